@@ -0,0 +1,130 @@
+const PersonalAccessToken = require('../models/PersonalAccessToken');
+const tokenService = require('../services/tokenService');
+
+const DEFAULT_EXPIRY_DAYS = 90;
+const MAX_EXPIRY_DAYS = 365;
+
+// List the current user's personal access tokens
+const getAccessTokens = async (req, res) => {
+  try {
+    const tokens = await PersonalAccessToken.findByUserId(req.user.userId);
+
+    res.json({
+      success: true,
+      data: {
+        tokens,
+        available_scopes: tokenService.personalAccessTokenScopes
+      }
+    });
+
+  } catch (error) {
+    console.error('Get access tokens error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Create a personal access token; the token value is only returned in this response
+const createAccessToken = async (req, res) => {
+  try {
+    const { name, scopes, expires_in_days = DEFAULT_EXPIRY_DAYS } = req.body;
+
+    // Validation
+    const errors = [];
+
+    if (!name || typeof name !== 'string' || name.trim().length < 1 || name.length > 100) {
+      errors.push('Name is required and must be less than 100 characters');
+    }
+
+    const availableScopes = tokenService.personalAccessTokenScopes;
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      errors.push('At least one scope is required');
+    } else {
+      const invalidScopes = scopes.filter(scope => !availableScopes.includes(scope));
+      if (invalidScopes.length > 0) {
+        errors.push(`Invalid scope(s): ${invalidScopes.join(', ')}. Available scopes: ${availableScopes.join(', ')}`);
+      }
+    }
+
+    const expiryDays = parseInt(expires_in_days);
+    if (isNaN(expiryDays) || expiryDays < 1 || expiryDays > MAX_EXPIRY_DAYS) {
+      errors.push(`expires_in_days must be between 1 and ${MAX_EXPIRY_DAYS}`);
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      });
+    }
+
+    const generated = tokenService.generatePersonalAccessToken();
+    const accessToken = await PersonalAccessToken.create({
+      user_id: req.user.userId,
+      name: name.trim(),
+      token_hash: generated.hash,
+      token_prefix: generated.prefix,
+      scopes: [...new Set(scopes)],
+      expires_at: new Date(Date.now() + expiryDays * 24 * 60 * 60 * 1000)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Access token created. Copy it now; it will not be shown again.',
+      data: {
+        token: generated.token,
+        access_token: accessToken
+      }
+    });
+
+  } catch (error) {
+    console.error('Create access token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Revoke a personal access token
+const revokeAccessToken = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!id || isNaN(parseInt(id)) || parseInt(id) < 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid token ID is required'
+      });
+    }
+
+    const revoked = await PersonalAccessToken.revoke(parseInt(id), req.user.userId);
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: 'Access token not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Access token revoked successfully'
+    });
+
+  } catch (error) {
+    console.error('Revoke access token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getAccessTokens,
+  createAccessToken,
+  revokeAccessToken
+};
@@ -0,0 +1,130 @@
+const CalendarFeed = require('../models/CalendarFeed');
+const DeadlineCollaborator = require('../models/DeadlineCollaborator');
+const User = require('../models/User');
+const calendarService = require('../services/calendarService');
+const tokenService = require('../services/tokenService');
+
+const buildFeedUrl = (req, token) => {
+  const baseUrl = process.env.API_URL || `${req.protocol}://${req.get('host')}`;
+  return `${baseUrl}/api/calendar/${token}.ics`;
+};
+
+// Serve a user's deadlines as an iCalendar feed (authenticated by the secret token in the URL)
+const getCalendarFeed = async (req, res) => {
+  try {
+    const { token } = req.params;
+
+    if (!/^[a-f0-9]{64}$/.test(token)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Calendar feed not found'
+      });
+    }
+
+    const feed = await CalendarFeed.findByTokenHash(tokenService.hashToken(token));
+    if (!feed) {
+      return res.status(404).json({
+        success: false,
+        message: 'Calendar feed not found'
+      });
+    }
+
+    const [deadlines, preferences] = await Promise.all([
+      DeadlineCollaborator.getUserAccessibleDeadlines(feed.user_id),
+      User.getNotificationPreferences(feed.user_id)
+    ]);
+
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': 'inline; filename="deadlines.ics"',
+      'Cache-Control': 'private, max-age=300'
+    });
+    res.send(calendarService.buildCalendar(deadlines, preferences));
+
+  } catch (error) {
+    console.error('Calendar feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Whether the current user has a feed (the URL itself is only shown when created)
+const getFeedStatus = async (req, res) => {
+  try {
+    const feed = await CalendarFeed.findByUserId(req.user.userId);
+
+    res.json({
+      success: true,
+      data: {
+        enabled: Boolean(feed),
+        created_at: feed ? feed.created_at : null,
+        last_accessed_at: feed ? feed.last_accessed_at : null
+      }
+    });
+
+  } catch (error) {
+    console.error('Get calendar feed status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Create the feed URL, or replace it so the previous URL stops working
+const rotateFeedToken = async (req, res) => {
+  try {
+    const generated = tokenService.generateCalendarFeedToken();
+    const feed = await CalendarFeed.upsertForUser(req.user.userId, generated.hash);
+
+    res.json({
+      success: true,
+      message: 'Calendar feed URL created. Keep it private; anyone with the link can see your deadlines.',
+      data: {
+        url: buildFeedUrl(req, generated.token),
+        created_at: feed.created_at
+      }
+    });
+
+  } catch (error) {
+    console.error('Rotate calendar feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Turn the feed off
+const revokeFeed = async (req, res) => {
+  try {
+    const deleted = await CalendarFeed.deleteForUser(req.user.userId);
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'No calendar feed to revoke'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Calendar feed revoked successfully'
+    });
+
+  } catch (error) {
+    console.error('Revoke calendar feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getCalendarFeed,
+  getFeedStatus,
+  rotateFeedToken,
+  revokeFeed
+};
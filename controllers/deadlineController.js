@@ -1,55 +1,39 @@
 const Deadline = require('../models/Deadline');
 const User = require('../models/User');
 const DeadlineCollaborator = require('../models/DeadlineCollaborator');
+const DeadlineSubtask = require('../models/DeadlineSubtask');
 const Friend = require('../models/Friend');
 const pool = require('../config/db');
-
-// Validation helper functions
-const validateDateFormat = (dateString) => {
-  // Accept various datetime formats
-  const isoRegex = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d{3})?Z?$/;
-  const standardRegex = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/;
-  const datetimeLocalRegex = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}$/; // From datetime-local input
-  const dateOnlyRegex = /^\d{4}-\d{2}-\d{2}$/;
-  
-  return isoRegex.test(dateString) || standardRegex.test(dateString) || 
-         datetimeLocalRegex.test(dateString) || dateOnlyRegex.test(dateString);
-};
-
-const validatePriority = (priority) => {
-  return ['low', 'medium', 'high', 'urgent'].includes(priority);
-};
-
-const validateStatus = (status) => {
-  return ['pending', 'in_progress', 'completed', 'overdue'].includes(status);
-};
-
-const validateTitle = (title) => {
-  return title && title.trim().length >= 1 && title.length <= 255;
-};
-
-const validateDescription = (description) => {
-  return !description || description.length <= 1000;
+const recurrenceService = require('../services/recurrenceService');
+const { validateReminderOffsets } = require('../utils/reminderOffsets');
+const notificationService = require('../services/notificationService');
+const { parseSnooze } = require('../utils/snooze');
+const deadlineSocketService = require('../services/deadlineSocketService');
+const webhookService = require('../services/webhookService');
+const { hasPermission } = require('../middleware/permissions');
+
+const {
+  validateDateFormat,
+  validatePriority,
+  validateStatus,
+  validateTitle,
+  validateDescription,
+  formatDueDate,
+  validateNewDeadline,
+  parseListFilters
+} = require('../utils/deadlineValidation');
+
+const validateRecurrenceScope = (scope) => {
+  return ['this', 'following'].includes(scope);
 };
 
 // Get all deadlines with filtering and pagination
 const getAllDeadlines = async (req, res) => {
   try {
-    const { 
-      page = 1, 
-      limit = 10, 
-      status, 
-      priority, 
-      search, 
-      sortBy = 'due_date', 
-      sortOrder = 'ASC',
-      category,
-      subject,
-      
-    } = req.query;
+    const { page = 1, limit = 10 } = req.query;
 
     // Validation
-    const errors = [];
+    const { errors, filters: listFilters } = parseListFilters(req.query);
     
     if (page && (isNaN(parseInt(page)) || parseInt(page) < 1)) {
       errors.push('Page must be a positive integer');
@@ -58,23 +42,6 @@ const getAllDeadlines = async (req, res) => {
     if (limit && (isNaN(parseInt(limit)) || parseInt(limit) < 1 || parseInt(limit) > 100)) {
       errors.push('Limit must be between 1 and 100');
     }
-    
-    if (status && !validateStatus(status)) {
-      errors.push('Invalid status value');
-    }
-    
-    if (priority && !validatePriority(priority)) {
-      errors.push('Invalid priority value');
-    }
-
-    const validSortFields = ['id', 'title', 'due_date', 'status', 'priority', 'created_at'];
-    if (sortBy && !validSortFields.includes(sortBy)) {
-      errors.push('Invalid sort field');
-    }
-
-    if (sortOrder && !['ASC', 'DESC'].includes(sortOrder.toUpperCase())) {
-      errors.push('Sort order must be ASC or DESC');
-    }
 
     if (errors.length > 0) {
       return res.status(400).json({
@@ -87,19 +54,11 @@ const getAllDeadlines = async (req, res) => {
     const offset = (parseInt(page) - 1) * parseInt(limit);
     
     const filters = {
+      ...listFilters,
       limit: parseInt(limit),
-      offset,
-      sortBy,
-      sortOrder: sortOrder.toUpperCase()
+      offset
     };
 
-    if (status) filters.status = status;
-    if (priority) filters.priority = priority;
-    // Remove student_id filter since we're now using user authorization
-    if (search) filters.search = search;
-    if (category) filters.category = category;
-    if (subject) filters.subject = subject;
-
     // Get user ID from authenticated user
     const userId = req.user.userId;
 
@@ -146,6 +105,7 @@ const getDeadlineById = async (req, res) => {
     // Use DeadlineCollaborator method to get deadline with collaborators
     try {
       const deadline = await DeadlineCollaborator.getDeadlineWithCollaborators(parseInt(id), userId);
+      const subtasks = await DeadlineSubtask.findByDeadlineId(parseInt(id));
       
       // Enhanced collaborator information for frontend modal
       const enhancedDeadline = {
@@ -159,7 +119,11 @@ const getDeadlineById = async (req, res) => {
         owner_collaborators: deadline.collaborators ? deadline.collaborators.filter(c => c.role === 'owner') : [],
         regular_collaborators: deadline.collaborators ? deadline.collaborators.filter(c => c.role === 'collaborator') : [],
         // Check if current user can manage collaborators
-        can_manage_collaborators: deadline.user_access && (deadline.user_access.role === 'owner' || deadline.user_access.can_edit)
+        can_manage_collaborators: deadline.user_access && (deadline.user_access.role === 'owner' || deadline.user_access.can_edit),
+        // Checklist items in display order
+        subtasks,
+        subtask_count: subtasks.length,
+        completed_subtask_count: subtasks.filter(s => s.is_done).length
       };
       
       console.log(`📋 Deadline ${id} retrieved; collaborators count: ${enhancedDeadline.collaborator_count}`);
@@ -221,44 +185,8 @@ const createDeadline = async (req, res) => {
       errors.push('Valid student ID is required');
     }
 
-    if (!validateTitle(title)) {
-      errors.push('Title is required and must be between 1 and 255 characters');
-    }
-
-    if (!validateDescription(description)) {
-      errors.push('Description must be less than 1000 characters');
-    }
-
-    if (!due_date) {
-      errors.push('Due date is required');
-    } else if (!validateDateFormat(due_date)) {
-      errors.push('Due date must be in valid format (YYYY-MM-DD or YYYY-MM-DDTHH:mm:ss)');
-    }
-    // Removed future date validation - allow any date (past, present, or future)
-
-    if (!validatePriority(priority)) {
-      errors.push('Priority must be: low, medium, high, or urgent');
-    }
-
-    if (!validateStatus(status)) {
-      errors.push('Status must be: pending, in_progress, completed, or overdue');
-    }
-
-    if (category && (category.length > 50)) {
-      errors.push('Category must be less than 50 characters');
-    }
-
-    if (subject && (subject.length > 100)) {
-      errors.push('Subject must be less than 100 characters');
-    }
-
-    if (estimated_hours && (isNaN(parseInt(estimated_hours)) || parseInt(estimated_hours) < 0)) {
-      errors.push('Estimated hours must be a positive number');
-    }
-
-    if (notes && notes.length > 1000) {
-      errors.push('Notes must be less than 1000 characters');
-    }
+    const { errors: fieldErrors, recurrenceRule: normalizedRule, reminderOffsets } = validateNewDeadline(req.body, { timeZone: req.user.timezone });
+    errors.push(...fieldErrors);
 
     // Validate collaborators array - simplified for debugging
     if (collaborators && !Array.isArray(collaborators)) {
@@ -283,22 +211,8 @@ const createDeadline = async (req, res) => {
     //   });
     // }
 
-    // Process the due_date - preserve user's intended time
-    let formattedDueDate = due_date;
-    if (due_date) {
-      // Process due_date without logging the raw input to avoid leaking timestamps
-      
-      // Handle different date formats
-      if (/^\d{4}-\d{2}-\d{2}$/.test(due_date)) {
-        // Date only format - add end of day time
-  formattedDueDate = due_date + ' 23:59:59';
-      } else if (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}$/.test(due_date)) {
-        // Datetime-local format (YYYY-MM-DDTHH:mm) - add seconds
-  formattedDueDate = due_date + ':00';
-      }
-      
-      // Final formatted due_date prepared (not logged for privacy)
-    }
+    // Process the due_date - times without an offset are in the user's timezone
+    const formattedDueDate = formatDueDate(due_date, req.user.timezone);
 
     // Create deadline
     const deadlineData = {
@@ -311,7 +225,9 @@ const createDeadline = async (req, res) => {
       category: category ? category.trim() : null,
       subject: subject ? subject.trim() : null,
       estimated_hours: estimated_hours ? parseInt(estimated_hours) : null,
-      notes: notes ? notes.trim() : null
+      notes: notes ? notes.trim() : null,
+      recurrence_rule: normalizedRule,
+      reminder_offsets: reminderOffsets
     };
 
   console.log('Creating deadline');
@@ -350,6 +266,8 @@ const createDeadline = async (req, res) => {
       console.error('⚠️ Error adding owner as collaborator:', collabError.message);
       // Continue anyway since the deadline was created successfully
     }
+
+    webhookService.emit('deadline.created', deadline, { actorId: req.user.userId });
     
     // Get the created deadline with collaborators
     let deadlineWithCollaborators;
@@ -395,7 +313,10 @@ const updateDeadline = async (req, res) => {
       estimated_hours,
       actual_hours,
       completion_percentage,
-      notes
+      notes,
+      recurrence_rule,
+      recurrence_scope = 'this',
+      reminder_offsets
     } = req.body;
 
     // Debug logging (redacted)
@@ -465,6 +386,17 @@ const updateDeadline = async (req, res) => {
       errors.push('Notes must be less than 1000 characters');
     }
 
+    if (!validateRecurrenceScope(recurrence_scope)) {
+      errors.push("Recurrence scope must be 'this' or 'following'");
+    }
+
+    let reminderOffsets;
+    if (reminder_offsets !== undefined) {
+      const reminders = validateReminderOffsets(reminder_offsets);
+      reminderOffsets = reminders.offsets;
+      errors.push(...reminders.errors);
+    }
+
     if (errors.length > 0) {
       console.log('Validation errors in update (count):', errors.length);
       return res.status(400).json({
@@ -488,20 +420,8 @@ const updateDeadline = async (req, res) => {
     if (title !== undefined) updateData.title = title.trim();
     if (description !== undefined) updateData.description = description ? description.trim() : null;
     if (due_date !== undefined) {
-      // Process the due_date - preserve user's intended time
-      let formattedDueDate = due_date;
       // NOTE: input values are intentionally not logged to avoid leaking timestamps
-      // Handle different date formats
-      if (/^\d{4}-\d{2}-\d{2}$/.test(due_date)) {
-        // Date only format - add end of day time
-        formattedDueDate = due_date + ' 23:59:59';
-      } else if (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}$/.test(due_date)) {
-        // Datetime-local format (YYYY-MM-DDTHH:mm) - add seconds
-        formattedDueDate = due_date + ':00';
-      }
-      
-      updateData.due_date = formattedDueDate;
-      // Processed due_date input for update (value not logged for privacy)
+      updateData.due_date = formatDueDate(due_date, req.user.timezone);
     }
     if (priority !== undefined) updateData.priority = priority;
     if (status !== undefined) updateData.status = status;
@@ -511,6 +431,7 @@ const updateDeadline = async (req, res) => {
     if (actual_hours !== undefined) updateData.actual_hours = actual_hours ? parseInt(actual_hours) : null;
     if (completion_percentage !== undefined) updateData.completion_percentage = parseInt(completion_percentage);
     if (notes !== undefined) updateData.notes = notes ? notes.trim() : null;
+    if (reminder_offsets !== undefined) updateData.reminder_offsets = reminderOffsets;
 
     // Merge with existing data
     const finalUpdateData = {
@@ -524,16 +445,105 @@ const updateDeadline = async (req, res) => {
       estimated_hours: updateData.estimated_hours !== undefined ? updateData.estimated_hours : existingDeadline.estimated_hours,
       actual_hours: updateData.actual_hours !== undefined ? updateData.actual_hours : existingDeadline.actual_hours,
       completion_percentage: updateData.completion_percentage !== undefined ? updateData.completion_percentage : existingDeadline.completion_percentage,
-      notes: updateData.notes !== undefined ? updateData.notes : existingDeadline.notes
+      notes: updateData.notes !== undefined ? updateData.notes : existingDeadline.notes,
+      reminder_offsets: updateData.reminder_offsets !== undefined ? updateData.reminder_offsets : existingDeadline.reminder_offsets
     };
 
-    const updatedDeadline = await Deadline.update(parseInt(id), finalUpdateData);
+    // With a checklist, progress is derived from completed subtasks instead of the submitted value
+    const subtaskProgress = await DeadlineSubtask.getProgress(parseInt(id));
+    if (subtaskProgress.total > 0) {
+      finalUpdateData.completion_percentage = subtaskProgress.percentage;
+    }
+
+    // Recurrence handling: "this" edits only this occurrence and keeps the series schedule,
+    // "following" also changes the rule/schedule for this and every later occurrence
+    const isRecurring = Boolean(existingDeadline.recurrence_rule);
+    const appliesToFollowing = !isRecurring || recurrence_scope === 'following';
+
+    if (recurrence_rule !== undefined && !appliesToFollowing) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: ["Changing the recurrence rule of a recurring deadline requires recurrence_scope 'following'"]
+      });
+    }
+
+    const dueDateChanged = updateData.due_date !== undefined &&
+      new Date(updateData.due_date).getTime() !== new Date(existingDeadline.due_date).getTime();
+
+    if (appliesToFollowing) {
+      finalUpdateData.occurrence_date = dueDateChanged || !isRecurring
+        ? finalUpdateData.due_date
+        : existingDeadline.occurrence_date || existingDeadline.due_date;
+      finalUpdateData.recurrence_rule = existingDeadline.recurrence_rule;
+
+      if (recurrence_rule !== undefined || (isRecurring && dueDateChanged)) {
+        // Re-anchor the series on this occurrence, in the owner's timezone
+        const owner = existingDeadline.student_id === req.user.userId
+          ? req.user
+          : await User.findById(existingDeadline.student_id);
+        const recurrence = recurrenceService.normalizeRule(
+          recurrence_rule !== undefined ? recurrence_rule : existingDeadline.recurrence_rule,
+          finalUpdateData.due_date,
+          owner && owner.timezone
+        );
+        if (recurrence.errors.length > 0) {
+          return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors: recurrence.errors
+          });
+        }
+        finalUpdateData.recurrence_rule = recurrence.rule;
+      }
+    } else {
+      // Keep the original slot so moving one occurrence doesn't shift the rest of the series
+      finalUpdateData.recurrence_rule = existingDeadline.recurrence_rule;
+      finalUpdateData.occurrence_date = existingDeadline.occurrence_date || existingDeadline.due_date;
+    }
+
+    let updatedDeadline = await Deadline.update(parseInt(id), finalUpdateData);
+
+    // Propagate "this and following" edits through the rest of the series
+    if (isRecurring && recurrence_scope === 'following') {
+      const seriesChanges = {};
+      ['title', 'description', 'priority', 'category', 'subject', 'estimated_hours', 'notes', 'reminder_offsets'].forEach(field => {
+        if (updateData[field] !== undefined) seriesChanges[field] = updateData[field];
+      });
+      if (recurrence_rule !== undefined || dueDateChanged) {
+        seriesChanges.recurrence_rule = finalUpdateData.recurrence_rule;
+      }
+
+      await Deadline.updateLaterOccurrences(updatedDeadline, seriesChanges);
+
+      if (recurrence_rule !== undefined || dueDateChanged) {
+        // Not-yet-started later occurrences are regenerated from the edited one
+        const removed = await Deadline.resetLaterOccurrences(updatedDeadline);
+        console.log(`🔁 Removed ${removed.length} pending occurrence(s) after schedule change on deadline ${id}`);
+        updatedDeadline = await Deadline.findById(parseInt(id));
+      }
+    }
+
+    // Completed or past occurrences immediately produce the next one
+    let nextOccurrence = null;
+    if (updatedDeadline.recurrence_rule &&
+        (updatedDeadline.status === 'completed' || new Date(updatedDeadline.due_date) < new Date())) {
+      nextOccurrence = await notificationService.generateNextOccurrence(updatedDeadline);
+    }
+
+    deadlineSocketService.publish('deadline_updated', updatedDeadline.id, req.user.userId);
+    webhookService.emit(
+      updatedDeadline.status === 'completed' && existingDeadline.status !== 'completed' ? 'deadline.completed' : 'deadline.updated',
+      updatedDeadline,
+      { actorId: req.user.userId, next_occurrence_id: nextOccurrence ? nextOccurrence.id : null }
+    );
 
     res.json({
       success: true,
       message: 'Deadline updated successfully',
       data: {
-        deadline: updatedDeadline
+        deadline: updatedDeadline,
+        next_occurrence: nextOccurrence
       }
     });
 
@@ -582,11 +592,28 @@ const updateDeadlineStatus = async (req, res) => {
 
     const updatedDeadline = await Deadline.updateStatus(parseInt(id), status);
 
+    // Completing an occurrence of a recurring deadline generates the next one
+    let nextOccurrence = null;
+    if (status === 'completed' && updatedDeadline.recurrence_rule) {
+      nextOccurrence = await notificationService.generateNextOccurrence(updatedDeadline);
+    }
+
+    deadlineSocketService.publish('deadline_status_changed', updatedDeadline.id, req.user.userId, {
+      status: updatedDeadline.status,
+      previous_status: existingDeadline.status
+    });
+    webhookService.emit(
+      status === 'completed' && existingDeadline.status !== 'completed' ? 'deadline.completed' : 'deadline.updated',
+      updatedDeadline,
+      { actorId: req.user.userId, previous_status: existingDeadline.status, next_occurrence_id: nextOccurrence ? nextOccurrence.id : null }
+    );
+
     res.json({
       success: true,
       message: 'Deadline status updated successfully',
       data: {
-        deadline: updatedDeadline
+        deadline: updatedDeadline,
+        next_occurrence: nextOccurrence
       }
     });
 
@@ -599,6 +626,65 @@ const updateDeadlineStatus = async (req, res) => {
   }
 };
 
+// Snooze your reminders for a deadline: none until the given time, then one reminder
+const snoozeDeadlineReminders = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.userId;
+
+    if (!id || isNaN(parseInt(id)) || parseInt(id) < 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: ['Valid deadline ID is required']
+      });
+    }
+
+    const { errors, until } = parseSnooze(req.body, req.user.timezone);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      });
+    }
+
+    const deadline = await Deadline.findById(parseInt(id));
+    if (!deadline || !await DeadlineCollaborator.canAccessDeadline(deadline.id, userId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Deadline not found'
+      });
+    }
+
+    if (deadline.status === 'completed' || until >= new Date(deadline.due_date)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: ['Reminders can only be snoozed for open deadlines, until before they are due']
+      });
+    }
+
+    await notificationService.snoozeDeadline(userId, deadline, until);
+
+    res.json({
+      success: true,
+      message: 'Reminders snoozed',
+      data: {
+        deadline_id: deadline.id,
+        snoozed_until: until.toISOString()
+      }
+    });
+
+  } catch (error) {
+    console.error('Snooze deadline reminders error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
 // Delete a deadline
 const deleteDeadline = async (req, res) => {
   try {
@@ -620,7 +706,15 @@ const deleteDeadline = async (req, res) => {
       });
     }
 
+    // Collaborators are deleted with the deadline, so look up whose webhooks to notify first
+    const recipients = await DeadlineCollaborator.getNotificationRecipients(parseInt(id));
+
     await Deadline.delete(parseInt(id));
+    deadlineSocketService.publish('deadline_deleted', parseInt(id), req.user.userId);
+    webhookService.emit('deadline.deleted', existingDeadline, {
+      actorId: req.user.userId,
+      userIds: recipients.map(recipient => recipient.user_id)
+    });
 
     res.json({
       success: true,
@@ -768,6 +862,14 @@ const getDeadlinesByStudentId = async (req, res) => {
       });
     }
 
+    // Users see their own deadlines; anyone else's need users:read (teachers and admins)
+    if (parseInt(student_id) !== req.user.userId && !hasPermission(req.user.role, 'users:read')) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to perform this action.'
+      });
+    }
+
     // Check if student exists
     const student = await User.findById(parseInt(student_id));
     if (!student) {
@@ -982,6 +1084,14 @@ const addCollaboratorsToDeadline = async (req, res) => {
       });
     }
 
+    deadlineSocketService.publish('collaborator_added', parseInt(id), userId, {
+      collaborator_ids: successfulCollaborators.map(collaborator => collaborator.user_id)
+    });
+    webhookService.emit('collaborator.added', deadline, {
+      actorId: userId,
+      collaborator_ids: successfulCollaborators.map(collaborator => collaborator.user_id)
+    });
+
     res.json({
       success: true,
       message: `Successfully added ${successfulCollaborators.length} collaborator(s)${create_copies ? ' with individual copies' : ''}${allSkipped.length > 0 ? `. ${allSkipped.length} request(s) denied/skipped` : ''}`,
@@ -1013,6 +1123,7 @@ module.exports = {
   createDeadline,
   updateDeadline,
   updateDeadlineStatus,
+  snoozeDeadlineReminders,
   deleteDeadline,
   getUpcomingDeadlines,
   getOverdueDeadlines,
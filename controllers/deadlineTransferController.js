@@ -0,0 +1,229 @@
+const Deadline = require('../models/Deadline');
+const DeadlineCollaborator = require('../models/DeadlineCollaborator');
+const calendarService = require('../services/calendarService');
+const deadlineTransferService = require('../services/deadlineTransferService');
+const { parseListFilters } = require('../utils/deadlineValidation');
+
+const isEnabled = (value) => ['true', '1'].includes(String(value));
+
+// Export the current user's deadlines as CSV or JSON, using the same filters as the deadline list
+const exportDeadlines = async (req, res) => {
+  try {
+    const { format = 'json' } = req.query;
+    const { errors, filters } = parseListFilters(req.query);
+
+    if (!['csv', 'json'].includes(format)) {
+      errors.push('Format must be csv or json');
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      });
+    }
+
+    const deadlines = await DeadlineCollaborator.getUserAccessibleDeadlines(req.user.userId, filters);
+    const filename = `deadlines-${new Date().toISOString().substring(0, 10)}.${format}`;
+
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+
+    if (format === 'csv') {
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      return res.send(deadlineTransferService.toCsv(deadlines, req.user.timezone));
+    }
+
+    res.json({
+      exported_at: new Date().toISOString(),
+      timezone: req.user.timezone,
+      count: deadlines.length,
+      deadlines: deadlines.map(deadline => deadlineTransferService.toExportRecord(deadline, req.user.timezone))
+    });
+
+  } catch (error) {
+    console.error('Export deadlines error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Import deadlines from CSV (text/csv body) or JSON ({ deadlines: [...] } or an export file).
+// Every row is validated first; nothing is created if any row fails. ?dry_run=true only validates.
+const importDeadlines = async (req, res) => {
+  try {
+    let records;
+    try {
+      if (typeof req.body === 'string') {
+        records = deadlineTransferService.parseCsv(req.body);
+      } else if (req.body && typeof req.body.csv === 'string') {
+        records = deadlineTransferService.parseCsv(req.body.csv);
+      } else if (req.body && Array.isArray(req.body.deadlines)) {
+        records = req.body.deadlines;
+      } else {
+        throw new Error('Send a CSV file as a text/csv request body, or JSON { "deadlines": [...] }');
+      }
+    } catch (parseError) {
+      return res.status(400).json({
+        success: false,
+        message: parseError.message
+      });
+    }
+
+    if (records.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No deadlines to import'
+      });
+    }
+
+    if (records.length > deadlineTransferService.maxImportRows) {
+      return res.status(400).json({
+        success: false,
+        message: `At most ${deadlineTransferService.maxImportRows} deadlines can be imported at once`
+      });
+    }
+
+    const validated = records.map((record, index) => ({ row: index + 1, ...deadlineTransferService.validateRecord(record, req.user.timezone) }));
+    const rowErrors = validated
+      .filter(result => result.errors.length > 0)
+      .map(result => ({ row: result.row, errors: result.errors }));
+
+    if (rowErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Validation failed for ${rowErrors.length} of ${records.length} row(s); nothing was imported`,
+        errors: rowErrors
+      });
+    }
+
+    if (isEnabled(req.query.dry_run)) {
+      return res.json({
+        success: true,
+        message: `All ${records.length} row(s) are valid; nothing was imported (dry run)`,
+        data: {
+          dry_run: true,
+          deadlines: validated.map(result => ({ row: result.row, ...result.deadline }))
+        }
+      });
+    }
+
+    // All rows or none: a failure part way through does not leave half of the file imported
+    const deadlines = await Deadline.createMany(validated.map(result => result.deadline), req.user.userId);
+    const created = deadlines.map((deadline, index) => ({
+      row: validated[index].row,
+      id: deadline.id,
+      title: deadline.title,
+      due_date: deadline.due_date
+    }));
+
+    res.status(201).json({
+      success: true,
+      message: `Imported ${created.length} deadline(s)`,
+      data: {
+        created
+      }
+    });
+
+  } catch (error) {
+    console.error('Import deadlines error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Import deadlines from an .ics file (raw text/calendar body, or JSON { ics: "..." }).
+// With ?preview=true nothing is created; the response lists what would be.
+const importIcs = async (req, res) => {
+  try {
+    const icsText = typeof req.body === 'string' ? req.body : req.body && req.body.ics;
+
+    if (!icsText || typeof icsText !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Upload an .ics file as a text/calendar request body, or send JSON { "ics": "..." }'
+      });
+    }
+
+    let parsed;
+    try {
+      parsed = calendarService.parseDeadlines(icsText, { timeZone: req.user.timezone });
+    } catch (parseError) {
+      return res.status(400).json({
+        success: false,
+        message: parseError.message
+      });
+    }
+
+    const userId = req.user.userId;
+    const importedUids = await Deadline.findImportedUids(userId, parsed.items.map(item => item.uid).filter(Boolean));
+
+    const duplicates = [];
+    const toCreate = [];
+    for (const item of parsed.items) {
+      if (item.uid && importedUids.has(item.uid)) {
+        duplicates.push({ uid: item.uid, title: item.deadline.title });
+      } else {
+        toCreate.push(item);
+      }
+    }
+
+    if (isEnabled(req.query.preview)) {
+      return res.json({
+        success: true,
+        message: `${toCreate.length} deadline(s) would be imported`,
+        data: {
+          preview: true,
+          to_create: toCreate.map(item => ({ uid: item.uid, ...item.deadline, warnings: item.warnings })),
+          duplicates,
+          skipped: parsed.skipped
+        }
+      });
+    }
+
+    // One transaction for the whole file; entries that a concurrent import of the same file created
+    // first come back as null and are reported as duplicates
+    const deadlines = await Deadline.createMany(
+      toCreate.map(item => ({ ...item.deadline, import_uid: item.uid })),
+      userId,
+      { skipDuplicates: true }
+    );
+
+    const created = [];
+    deadlines.forEach((deadline, index) => {
+      const item = toCreate[index];
+      if (!deadline) {
+        duplicates.push({ uid: item.uid, title: item.deadline.title });
+        return;
+      }
+      created.push({ id: deadline.id, uid: item.uid, title: deadline.title, due_date: deadline.due_date, warnings: item.warnings });
+    });
+
+    res.status(created.length > 0 ? 201 : 200).json({
+      success: true,
+      message: `Imported ${created.length} deadline(s)`,
+      data: {
+        created,
+        duplicates,
+        skipped: parsed.skipped
+      }
+    });
+
+  } catch (error) {
+    console.error('Import ICS error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  exportDeadlines,
+  importDeadlines,
+  importIcs
+};
@@ -0,0 +1,182 @@
+const Deadline = require('../models/Deadline');
+const DeadlineCollaborator = require('../models/DeadlineCollaborator');
+const User = require('../models/User');
+const tokenService = require('../services/tokenService');
+const notificationService = require('../services/notificationService');
+const deadlineSocketService = require('../services/deadlineSocketService');
+const webhookService = require('../services/webhookService');
+const { setDeadlineMute } = require('../utils/mutedDeadlines');
+const { formatReminderOffset } = require('../utils/reminderOffsets');
+const { formatDateTime } = require('../utils/timezone');
+
+const SNOOZE_MS = 24 * 60 * 60 * 1000;
+
+// Reminder type key to words: "1_day" -> "1 day", "reminder_4320m" -> "3 days"
+const describeReminderType = (notificationType) => {
+  const match = /^reminder_(\d+)m$/.exec(notificationType);
+  return match ? formatReminderOffset(parseInt(match[1])) : notificationType.replace('_', ' ');
+};
+
+const ACTION_PROMPTS = {
+  complete: (deadline) => ({ question: `Mark "${deadline.title}" as completed?`, button: 'Mark completed' }),
+  snooze: (deadline) => ({ question: `Remind you about "${deadline.title}" again in one day instead?`, button: 'Snooze 1 day' }),
+  mute: (deadline) => ({ question: `Stop all reminders for "${deadline.title}"?`, button: 'Mute reminders' }),
+  unsubscribe: (deadline, notificationType) => ({
+    question: `Stop emailing you reminders ${describeReminderType(notificationType)} before a deadline?`,
+    button: 'Unsubscribe'
+  })
+};
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// These endpoints are opened from email clients, so they answer with a small HTML page
+const sendPage = (res, status, title, message, button) => {
+  res.status(status).set('Cache-Control', 'no-store').send(`
+    <!doctype html>
+    <html lang="en">
+    <head>
+      <meta charset="utf-8" />
+      <meta name="viewport" content="width=device-width,initial-scale=1" />
+      <meta name="referrer" content="no-referrer" />
+      <title>${escapeHtml(title)} - Deadline Tracker</title>
+    </head>
+    <body style="font-family: Arial, sans-serif; max-width: 480px; margin: 60px auto; padding: 0 20px; color: #333;">
+      <h2>${escapeHtml(title)}</h2>
+      <p>${escapeHtml(message)}</p>
+      ${button ? `<form method="post"><button type="submit" style="background:#4CAF50;color:white;padding:10px 20px;border:none;border-radius:5px;cursor:pointer;">${escapeHtml(button)}</button></form>` : ''}
+    </body>
+    </html>
+  `);
+};
+
+// Verify the link and load what it acts on; sends an error page and returns null if it cannot be used
+const loadAction = async (req, res) => {
+  let action;
+  try {
+    action = tokenService.verifyEmailActionToken(req.params.token);
+  } catch (error) {
+    sendPage(res, 400, 'Link expired', 'This link is invalid or has expired. Open Deadline Tracker to make the change there.');
+    return null;
+  }
+
+  if (action.action === 'unsubscribe') {
+    if (!action.notificationType) {
+      sendPage(res, 400, 'Link expired', 'This link is invalid or has expired. Open Deadline Tracker to make the change there.');
+      return null;
+    }
+    return { action, deadline: { id: action.deadlineId } };
+  }
+
+  const deadline = await Deadline.findById(action.deadlineId);
+  const access = deadline && await DeadlineCollaborator.canAccessDeadline(deadline.id, action.userId);
+  if (!deadline || !access) {
+    sendPage(res, 404, 'Deadline not found', 'This deadline no longer exists or is no longer shared with you.');
+    return null;
+  }
+
+  return { action, deadline };
+};
+
+// Confirmation page for an email action link (GET /api/email-actions/:token). Nothing changes until the
+// button is pressed, so link scanners that open every URL in an email cannot trigger actions.
+const showEmailAction = async (req, res) => {
+  try {
+    const loaded = await loadAction(req, res);
+    if (!loaded) {
+      return;
+    }
+
+    const { action, deadline } = loaded;
+    if (action.action === 'complete' && deadline.status === 'completed') {
+      return sendPage(res, 200, 'Already completed', `"${deadline.title}" is already marked as completed.`);
+    }
+
+    const prompt = ACTION_PROMPTS[action.action](deadline, action.notificationType);
+    sendPage(res, 200, 'Deadline Tracker', prompt.question, prompt.button);
+
+  } catch (error) {
+    console.error('Show email action error:', error);
+    sendPage(res, 500, 'Something went wrong', 'Please try again later.');
+  }
+};
+
+// Apply an email action (POST /api/email-actions/:token)
+const applyEmailAction = async (req, res) => {
+  try {
+    const loaded = await loadAction(req, res);
+    if (!loaded) {
+      return;
+    }
+
+    const { action, deadline } = loaded;
+    const userId = action.userId;
+
+    if (action.action === 'complete') {
+      if (!await DeadlineCollaborator.canEditDeadline(deadline.id, userId)) {
+        return sendPage(res, 403, 'Not allowed', `You do not have permission to change "${deadline.title}".`);
+      }
+
+      if (deadline.status !== 'completed') {
+        const updatedDeadline = await Deadline.updateStatus(deadline.id, 'completed');
+
+        // Completing an occurrence of a recurring deadline generates the next one
+        if (updatedDeadline.recurrence_rule) {
+          await notificationService.generateNextOccurrence(updatedDeadline);
+        }
+
+        deadlineSocketService.publish('deadline_status_changed', updatedDeadline.id, userId, {
+          status: updatedDeadline.status,
+          previous_status: deadline.status
+        });
+        webhookService.emit('deadline.completed', updatedDeadline, { actorId: userId, previous_status: deadline.status });
+      }
+
+      return sendPage(res, 200, 'Marked as completed', `"${deadline.title}" is marked as completed. Well done!`);
+    }
+
+    const [user, preferences] = await Promise.all([
+      User.findById(userId),
+      User.getNotificationPreferences(userId)
+    ]);
+
+    if (action.action === 'unsubscribe') {
+      await User.updateNotificationPreferences(userId, {
+        ...preferences,
+        reminders: { ...preferences.reminders, [action.notificationType]: false }
+      });
+
+      return sendPage(res, 200, 'Unsubscribed',
+        `You will no longer get reminder emails ${describeReminderType(action.notificationType)} before a deadline. You can turn them back on in your notification settings.`);
+    }
+
+    if (action.action === 'snooze') {
+      const until = new Date(Date.now() + SNOOZE_MS);
+      await notificationService.snoozeDeadline(userId, deadline, until);
+
+      return sendPage(res, 200, 'Snoozed',
+        `We will remind you about "${deadline.title}" again on ${formatDateTime(until, user && user.timezone)}.`);
+    }
+
+    await User.updateNotificationPreferences(userId, {
+      ...preferences,
+      muted_deadlines: setDeadlineMute(preferences.muted_deadlines, deadline.id, null)
+    });
+
+    sendPage(res, 200, 'Reminders muted',
+      `You will not get reminders for "${deadline.title}" any more. You can unmute it in your notification settings.`);
+
+  } catch (error) {
+    console.error('Apply email action error:', error);
+    sendPage(res, 500, 'Something went wrong', 'Please try again later.');
+  }
+};
+
+module.exports = {
+  showEmailAction,
+  applyEmailAction
+};
@@ -0,0 +1,158 @@
+const EmailOutbox = require('../models/EmailOutbox');
+
+const EMAIL_STATUSES = ['pending', 'sending', 'sent', 'dead'];
+
+// List outbox messages, newest first (GET /api/admin/emails?status=dead&category=...&page=&limit=)
+const getEmails = async (req, res) => {
+  try {
+    const { status, category } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+    if (status && !EMAIL_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: [`status must be one of: ${EMAIL_STATUSES.join(', ')}`]
+      });
+    }
+
+    const [{ emails, total }, stats] = await Promise.all([
+      EmailOutbox.findAll({ status, category, limit, offset: (page - 1) * limit }),
+      EmailOutbox.getStats()
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        emails,
+        stats,
+        pagination: {
+          currentPage: page,
+          limit,
+          total
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get emails error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// A message with its delivery attempts
+const getEmailById = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!id || isNaN(parseInt(id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid email ID is required'
+      });
+    }
+
+    const email = await EmailOutbox.findById(parseInt(id));
+    if (!email) {
+      return res.status(404).json({
+        success: false,
+        message: 'Email not found'
+      });
+    }
+
+    const deliveries = await EmailOutbox.getDeliveryLog(email.id);
+
+    res.json({
+      success: true,
+      data: {
+        email,
+        deliveries
+      }
+    });
+
+  } catch (error) {
+    console.error('Get email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Re-queue a dead message
+const retryEmail = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!id || isNaN(parseInt(id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid email ID is required'
+      });
+    }
+
+    const email = await EmailOutbox.findById(parseInt(id));
+    if (!email) {
+      return res.status(404).json({
+        success: false,
+        message: 'Email not found'
+      });
+    }
+
+    const [requeued] = await EmailOutbox.requeue(email.id);
+    if (!requeued) {
+      return res.status(409).json({
+        success: false,
+        message: `Only dead emails can be re-queued (this one is ${email.status})`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Email re-queued',
+      data: {
+        email: requeued
+      }
+    });
+
+  } catch (error) {
+    console.error('Retry email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Re-queue every dead message
+const retryDeadEmails = async (req, res) => {
+  try {
+    const requeued = await EmailOutbox.requeueAllDead();
+
+    res.json({
+      success: true,
+      message: `${requeued.length} email(s) re-queued`,
+      data: {
+        count: requeued.length
+      }
+    });
+
+  } catch (error) {
+    console.error('Retry dead emails error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getEmails,
+  getEmailById,
+  retryEmail,
+  retryDeadEmails
+};
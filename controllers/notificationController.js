@@ -1,4 +1,6 @@
 const InAppNotification = require('../models/InAppNotification');
+const notificationStreamService = require('../services/notificationStreamService');
+const { parseSnooze } = require('../utils/snooze');
 
 // Get user's notifications
 const getNotifications = async (req, res) => {
@@ -10,6 +12,7 @@ const getNotifications = async (req, res) => {
       is_read, 
       type, 
       priority, 
+      snoozed,
       page = 1, 
       limit = 20, 
       order_by = 'created_at', 
@@ -31,6 +34,10 @@ const getNotifications = async (req, res) => {
       errors.push('is_read must be true or false');
     }
 
+    if (snoozed !== undefined && !['true', 'false'].includes(snoozed)) {
+      errors.push('snoozed must be true or false');
+    }
+
     const validTypes = ['reminder', 'overdue', 'deadline_shared', 'deadline_updated'];
     if (type && !validTypes.includes(type)) {
       errors.push(`type must be one of: ${validTypes.join(', ')}`);
@@ -65,6 +72,7 @@ const getNotifications = async (req, res) => {
       is_read: is_read !== undefined ? is_read === 'true' : undefined,
       type,
       priority,
+      snoozed: snoozed === 'true',
       limit: parseInt(limit),
       offset,
       order_by,
@@ -121,6 +129,37 @@ const getUnreadCount = async (req, res) => {
   }
 };
 
+// Stream notification changes and unread counts as Server-Sent Events
+const streamNotifications = async (req, res) => {
+  const userId = req.user.userId;
+
+  if (!notificationStreamService.canConnect(userId)) {
+    return res.status(429).json({
+      success: false,
+      message: 'Too many open notification streams'
+    });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  req.on('close', () => notificationStreamService.removeClient(userId, res));
+
+  try {
+    await notificationStreamService.addClient(req.user, res);
+  } catch (error) {
+    console.error('Notification stream error:', error);
+    notificationStreamService.removeClient(userId, res);
+    res.end();
+  }
+};
+
 // Mark notification as read
 const markAsRead = async (req, res) => {
   try {
@@ -160,6 +199,54 @@ const markAsRead = async (req, res) => {
   }
 };
 
+// Snooze a notification: hide it until a time, then it comes back unread
+const snoozeNotification = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { notificationId } = req.params;
+
+    if (!notificationId || isNaN(parseInt(notificationId))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid notification ID is required'
+      });
+    }
+
+    const { errors, until } = parseSnooze(req.body, req.user.timezone);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      });
+    }
+
+    const notification = await InAppNotification.snooze(parseInt(notificationId), userId, until);
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Notification snoozed',
+      data: {
+        notification
+      }
+    });
+
+  } catch (error) {
+    console.error('Snooze notification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
 // Mark all notifications as read
 const markAllAsRead = async (req, res) => {
   try {
@@ -510,17 +597,17 @@ const createTestOverdueNotification = async (req, res) => {
   }
 };
 
-// Manually trigger daily summary for testing
+// Manually trigger the digests that are due (daily summaries and weekly digests) for testing
 const triggerDailySummary = async (req, res) => {
   try {
-    console.log('📊 Manual daily summary trigger started...');
+    console.log('📊 Manual digest trigger started...');
     
     const notificationService = require('../services/notificationService');
-    await notificationService.sendDailySummary();
+    await notificationService.sendDigests();
 
     res.json({
       success: true,
-      message: 'Daily summary triggered successfully',
+      message: 'Digests triggered successfully',
       timestamp: new Date().toISOString()
     });
 
@@ -534,6 +621,41 @@ const triggerDailySummary = async (req, res) => {
   }
 };
 
+// Scheduler status: which instance leads the scheduled tasks, and the reminder queue
+const getSchedulerStatus = async (req, res) => {
+  try {
+    const notificationService = require('../services/notificationService');
+    const reminderQueueService = require('../services/reminderQueueService');
+    const emailOutboxService = require('../services/emailOutboxService');
+    const webhookService = require('../services/webhookService');
+
+    const [scheduler, reminderQueue, emailOutbox, webhooks] = await Promise.all([
+      notificationService.getStatus(),
+      reminderQueueService.getStatus(),
+      emailOutboxService.getStatus(),
+      webhookService.getStatus()
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        scheduler,
+        reminder_queue: reminderQueue,
+        email_outbox: emailOutbox,
+        webhooks
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Scheduler status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get scheduler status',
+      error: error.message
+    });
+  }
+};
+
 // Manually trigger overdue deadline check for testing
 const triggerOverdueCheck = async (req, res) => {
   try {
@@ -595,7 +717,7 @@ const triggerOverdueCheck = async (req, res) => {
               }
 
               // Create the notification (do not log recipient info)
-              await InAppNotification.createOverdueNotification(recipient.user_id, deadline, overdueDuration);
+              await InAppNotification.createOverdueNotification(recipient.user_id, deadline, overdueDuration, recipient.timezone);
               createdForThisDeadline++;
               debugInfo.notifications_created++;
             }
@@ -875,7 +997,8 @@ const forceOverdueNotifications = async (req, res) => {
               const notification = await InAppNotification.createOverdueNotification(
                 recipient.user_id, 
                 deadline, 
-                overdueDuration
+                overdueDuration,
+                recipient.timezone
               );
               
               deadlineInfo.notifications_created++;
@@ -923,122 +1046,12 @@ const forceOverdueNotifications = async (req, res) => {
   }
 };
 
-// Initialize and test notification database
-const initializeNotificationDB = async (req, res) => {
-  try {
-    const pool = require('../config/db');
-    const InAppNotification = require('../models/InAppNotification');
-    
-    console.log('🔧 Initializing notification database...');
-    
-    const results = {
-      steps: [],
-      success: false,
-      table_created: false,
-      test_notification_created: false,
-      final_count: 0
-    };
-
-    try {
-      // Step 1: Force create the table
-      results.steps.push('Creating in_app_notifications table...');
-      await InAppNotification.createTable();
-      results.table_created = true;
-      results.steps.push('✅ Table created successfully');
-      
-      // Step 2: Verify table exists
-      const tableCheckQuery = `
-        SELECT EXISTS (
-          SELECT FROM information_schema.tables 
-          WHERE table_schema = 'public' 
-          AND table_name = 'in_app_notifications'
-        );
-      `;
-      
-      const tableExists = await pool.query(tableCheckQuery);
-      if (!tableExists.rows[0].exists) {
-        throw new Error('Table creation failed - table does not exist');
-      }
-      results.steps.push('✅ Table existence verified');
-      
-      // Step 3: Test creating a notification directly with SQL
-      const userId = req.user.userId;
-      const directInsertQuery = `
-        INSERT INTO in_app_notifications (
-          user_id, deadline_id, type, title, message, data, priority, created_at
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())
-        RETURNING *
-      `;
-      
-      const testData = {
-        user_id: userId,
-        deadline_id: null,
-        type: 'test',
-        title: 'Direct SQL Test',
-        message: 'This notification was created directly with SQL to test database operations.',
-        data: JSON.stringify({ test: true, method: 'direct_sql' }),
-        priority: 'normal'
-      };
-      
-      const directResult = await pool.query(directInsertQuery, [
-        testData.user_id,
-        testData.deadline_id,
-        testData.type,
-        testData.title,
-        testData.message,
-        testData.data,
-        testData.priority
-      ]);
-      
-      results.steps.push('✅ Direct SQL insert successful');
-      results.test_notification_created = true;
-      
-      // Step 4: Test using the model method
-      const modelTestNotification = await InAppNotification.create({
-        user_id: userId,
-        deadline_id: null,
-        type: 'test_model',
-        title: 'Model Test Notification',
-        message: 'This notification was created using the InAppNotification model to verify it works.',
-        data: { test: true, method: 'model' },
-        priority: 'normal'
-      });
-      
-      results.steps.push('✅ Model create method successful');
-      
-      // Step 5: Get final count
-      const countResult = await pool.query('SELECT COUNT(*) as count FROM in_app_notifications WHERE user_id = $1', [userId]);
-      results.final_count = parseInt(countResult.rows[0].count);
-      results.steps.push(`✅ Final notification count for user: ${results.final_count}`);
-      
-      results.success = true;
-      results.steps.push('🎉 All tests passed - notification system is working!');
-      
-    } catch (error) {
-      results.steps.push(`❌ Error: ${error.message}`);
-      console.error('Initialization error:', error);
-    }
-
-    res.json({
-      success: results.success,
-      message: results.success ? 'Notification database initialized successfully' : 'Notification database initialization failed',
-      data: results
-    });
-
-  } catch (error) {
-    console.error('❌ Initialize notification DB error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to initialize notification database',
-      error: error.message
-    });
-  }
-};
-
 module.exports = {
   getNotifications,
   getUnreadCount,
+  streamNotifications,
   markAsRead,
+  snoozeNotification,
   markAllAsRead,
   deleteNotification,
   deleteAllRead,
@@ -1048,9 +1061,9 @@ module.exports = {
   testDatabaseStructure,
   createTestOverdueNotification,
   triggerDailySummary,
+  getSchedulerStatus,
   triggerOverdueCheck,
   testUserPreferences,
   diagnosticCheck,
-  forceOverdueNotifications,
-  initializeNotificationDB
+  forceOverdueNotifications
 };
\ No newline at end of file
@@ -0,0 +1,332 @@
+const Deadline = require('../models/Deadline');
+const DeadlineCollaborator = require('../models/DeadlineCollaborator');
+const DeadlineSubtask = require('../models/DeadlineSubtask');
+const { validateDateFormat, formatDueDate } = require('../utils/deadlineValidation');
+
+// Validation helper functions
+const validateId = (id) => {
+  return id !== undefined && !isNaN(parseInt(id)) && parseInt(id) >= 1;
+};
+
+const validateTitle = (title) => {
+  return typeof title === 'string' && title.trim().length >= 1 && title.length <= 255;
+};
+
+
+// Load the deadline and check the user's access to it.
+// Sends the error response and returns null when the request cannot continue.
+const loadDeadlineForUser = async (req, res, { requireEdit = false } = {}) => {
+  const { id } = req.params;
+
+  if (!validateId(id)) {
+    res.status(400).json({
+      success: false,
+      message: 'Valid deadline ID is required'
+    });
+    return null;
+  }
+
+  const deadline = await Deadline.findById(parseInt(id));
+  if (!deadline) {
+    res.status(404).json({
+      success: false,
+      message: 'Deadline not found'
+    });
+    return null;
+  }
+
+  const userId = req.user.userId;
+  const allowed = requireEdit
+    ? await DeadlineCollaborator.canEditDeadline(deadline.id, userId)
+    : await DeadlineCollaborator.canAccessDeadline(deadline.id, userId);
+
+  if (!allowed) {
+    res.status(403).json({
+      success: false,
+      message: requireEdit
+        ? 'You do not have permission to edit this deadline'
+        : 'Access denied to this deadline'
+    });
+    return null;
+  }
+
+  return deadline;
+};
+
+// Validate subtask fields shared by create and update; pushes messages into errors
+const validateSubtaskFields = async (deadlineId, fields, errors) => {
+  const { title, is_done, due_date, assignee_id } = fields;
+
+  if (title !== undefined && !validateTitle(title)) {
+    errors.push('Title must be between 1 and 255 characters');
+  }
+
+  if (is_done !== undefined && typeof is_done !== 'boolean') {
+    errors.push('is_done must be a boolean');
+  }
+
+  if (due_date !== undefined && due_date !== null && due_date !== '' && !validateDateFormat(due_date)) {
+    errors.push('Invalid due date format. Use YYYY-MM-DD, YYYY-MM-DDTHH:mm, YYYY-MM-DD HH:MM:SS or an ISO timestamp with Z or an offset');
+  }
+
+  if (assignee_id !== undefined && assignee_id !== null && assignee_id !== '') {
+    if (!validateId(assignee_id)) {
+      errors.push('Assignee ID must be a positive integer');
+    } else {
+      // Assignees are limited to the deadline's owner and collaborators
+      const access = await DeadlineCollaborator.canAccessDeadline(deadlineId, parseInt(assignee_id));
+      if (!access) {
+        errors.push('Assignee must be a collaborator on this deadline');
+      }
+    }
+  }
+};
+
+// Build the update payload from request fields, converting empty values to null.
+// Due dates without an offset are in `timeZone` (the user's).
+const buildSubtaskData = (fields, timeZone) => {
+  const { title, is_done, due_date, assignee_id } = fields;
+  const data = {};
+
+  if (title !== undefined) data.title = title.trim();
+  if (is_done !== undefined) data.is_done = is_done;
+  if (due_date !== undefined) data.due_date = due_date ? formatDueDate(due_date, timeZone) : null;
+  if (assignee_id !== undefined) data.assignee_id = assignee_id ? parseInt(assignee_id) : null;
+
+  return data;
+};
+
+const buildChecklistResponse = async (deadlineId) => {
+  const [subtasks, progress] = await Promise.all([
+    DeadlineSubtask.findByDeadlineId(deadlineId),
+    DeadlineSubtask.getProgress(deadlineId)
+  ]);
+
+  return {
+    subtasks,
+    progress: {
+      total: progress.total,
+      done: progress.done,
+      completion_percentage: progress.percentage
+    }
+  };
+};
+
+// Get the checklist of a deadline
+const getSubtasks = async (req, res) => {
+  try {
+    const deadline = await loadDeadlineForUser(req, res);
+    if (!deadline) return;
+
+    res.json({
+      success: true,
+      data: await buildChecklistResponse(deadline.id)
+    });
+
+  } catch (error) {
+    console.error('Get subtasks error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Add a subtask to a deadline
+const createSubtask = async (req, res) => {
+  try {
+    const deadline = await loadDeadlineForUser(req, res, { requireEdit: true });
+    if (!deadline) return;
+
+    const { title, due_date, assignee_id } = req.body;
+
+    const errors = [];
+
+    if (!title) {
+      errors.push('Title is required');
+    }
+
+    await validateSubtaskFields(deadline.id, { title, due_date, assignee_id }, errors);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      });
+    }
+
+    const subtask = await DeadlineSubtask.create({
+      deadline_id: deadline.id,
+      ...buildSubtaskData({ title, due_date, assignee_id }, req.user.timezone)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Subtask created successfully',
+      data: {
+        subtask,
+        ...(await buildChecklistResponse(deadline.id))
+      }
+    });
+
+  } catch (error) {
+    console.error('Create subtask error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Update a subtask (title, done flag, due date, assignee)
+const updateSubtask = async (req, res) => {
+  try {
+    const deadline = await loadDeadlineForUser(req, res, { requireEdit: true });
+    if (!deadline) return;
+
+    const { subtaskId } = req.params;
+
+    if (!validateId(subtaskId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid subtask ID is required'
+      });
+    }
+
+    const existingSubtask = await DeadlineSubtask.findById(deadline.id, parseInt(subtaskId));
+    if (!existingSubtask) {
+      return res.status(404).json({
+        success: false,
+        message: 'Subtask not found'
+      });
+    }
+
+    const { title, is_done, due_date, assignee_id } = req.body;
+
+    const errors = [];
+    await validateSubtaskFields(deadline.id, { title, is_done, due_date, assignee_id }, errors);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      });
+    }
+
+    const updateData = buildSubtaskData({ title, is_done, due_date, assignee_id }, req.user.timezone);
+    if (Object.keys(updateData).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No updates provided'
+      });
+    }
+
+    const subtask = await DeadlineSubtask.update(deadline.id, parseInt(subtaskId), updateData);
+
+    res.json({
+      success: true,
+      message: 'Subtask updated successfully',
+      data: {
+        subtask,
+        ...(await buildChecklistResponse(deadline.id))
+      }
+    });
+
+  } catch (error) {
+    console.error('Update subtask error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Reorder the checklist; body: { subtask_ids: [3, 1, 2] }
+const reorderSubtasks = async (req, res) => {
+  try {
+    const deadline = await loadDeadlineForUser(req, res, { requireEdit: true });
+    if (!deadline) return;
+
+    const { subtask_ids } = req.body;
+
+    if (!Array.isArray(subtask_ids) || subtask_ids.some(subtaskId => !validateId(subtaskId))) {
+      return res.status(400).json({
+        success: false,
+        message: 'subtask_ids must be an array of subtask IDs'
+      });
+    }
+
+    try {
+      await DeadlineSubtask.reorder(deadline.id, subtask_ids.map(subtaskId => parseInt(subtaskId)));
+    } catch (reorderError) {
+      if (reorderError.message === 'Subtask order must include every subtask of the deadline exactly once') {
+        return res.status(400).json({
+          success: false,
+          message: reorderError.message
+        });
+      }
+      throw reorderError;
+    }
+
+    res.json({
+      success: true,
+      message: 'Subtasks reordered successfully',
+      data: await buildChecklistResponse(deadline.id)
+    });
+
+  } catch (error) {
+    console.error('Reorder subtasks error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Delete a subtask
+const deleteSubtask = async (req, res) => {
+  try {
+    const deadline = await loadDeadlineForUser(req, res, { requireEdit: true });
+    if (!deadline) return;
+
+    const { subtaskId } = req.params;
+
+    if (!validateId(subtaskId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid subtask ID is required'
+      });
+    }
+
+    const deleted = await DeadlineSubtask.delete(deadline.id, parseInt(subtaskId));
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Subtask not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Subtask deleted successfully',
+      data: await buildChecklistResponse(deadline.id)
+    });
+
+  } catch (error) {
+    console.error('Delete subtask error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getSubtasks,
+  createSubtask,
+  updateSubtask,
+  reorderSubtasks,
+  deleteSubtask
+};
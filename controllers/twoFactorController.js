@@ -0,0 +1,319 @@
+const User = require('../models/User');
+const RecoveryCode = require('../models/RecoveryCode');
+const totpService = require('../services/totpService');
+const tokenService = require('../services/tokenService');
+const authThrottleService = require('../services/authThrottleService');
+const { sendThrottled } = require('../middleware/authThrottle');
+
+// Check a TOTP code or a recovery code for a user with 2FA enabled.
+// Codes are single-use: the TOTP step is claimed and recovery codes are consumed.
+const verifySecondFactor = async (state, { code, recoveryCode }) => {
+  if (code) {
+    const step = totpService.verifyCode(totpService.decryptSecret(state.two_factor_secret), code);
+    return step !== null && await User.claimTwoFactorStep(state.id, step);
+  }
+
+  if (recoveryCode) {
+    return RecoveryCode.consume(state.id, totpService.hashRecoveryCode(recoveryCode));
+  }
+
+  return false;
+};
+
+// Generate, store and return a fresh set of recovery codes
+const issueRecoveryCodes = async (userId) => {
+  const codes = totpService.generateRecoveryCodes();
+  await RecoveryCode.replaceForUser(userId, codes.map(code => totpService.hashRecoveryCode(code)));
+  return codes;
+};
+
+// Get two-factor status for the current user
+const getTwoFactorStatus = async (req, res) => {
+  try {
+    const state = await User.getTwoFactorState(req.user.userId);
+    if (!state) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        enabled: state.two_factor_enabled === true,
+        pending_setup: Boolean(state.two_factor_pending_secret),
+        recovery_codes_remaining: state.two_factor_enabled ? await RecoveryCode.countRemaining(state.id) : 0
+      }
+    });
+
+  } catch (error) {
+    console.error('Get two-factor status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Start enrollment: create a secret and return it as an otpauth:// URI for authenticator apps
+const setupTwoFactor = async (req, res) => {
+  try {
+    const state = await User.getTwoFactorState(req.user.userId);
+    if (!state) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (state.two_factor_enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = totpService.generateSecret();
+    await User.setPendingTwoFactorSecret(state.id, totpService.encryptSecret(secret));
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code or enter the secret in your authenticator app, then confirm with a code',
+      data: {
+        secret,
+        otpauth_uri: totpService.buildOtpauthUri(secret, state.email)
+      }
+    });
+
+  } catch (error) {
+    console.error('Setup two-factor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Finish enrollment with a first valid code; returns the recovery codes once
+const confirmTwoFactor = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification code is required'
+      });
+    }
+
+    const state = await User.getTwoFactorState(req.user.userId);
+    if (!state || !state.two_factor_pending_secret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start two-factor setup first'
+      });
+    }
+
+    const step = totpService.verifyCode(totpService.decryptSecret(state.two_factor_pending_secret), code);
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid verification code'
+      });
+    }
+
+    await User.enableTwoFactor(state.id, step);
+    const recoveryCodes = await issueRecoveryCodes(state.id);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe; they will not be shown again.',
+      data: {
+        recovery_codes: recoveryCodes
+      }
+    });
+
+  } catch (error) {
+    console.error('Confirm two-factor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Turn off two-factor authentication (requires the password and a code)
+const disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    if (!password || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password and a verification or recovery code are required'
+      });
+    }
+
+    const user = await User.findByEmail(req.user.email);
+    if (!user || !(await User.verifyPassword(password, user.password))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+    }
+
+    const state = await User.getTwoFactorState(req.user.userId);
+    if (!state.two_factor_enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!(await verifySecondFactor(state, { code, recoveryCode }))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid verification code'
+      });
+    }
+
+    await User.disableTwoFactor(state.id);
+    await RecoveryCode.deleteForUser(state.id);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+
+  } catch (error) {
+    console.error('Disable two-factor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Replace all recovery codes (requires a current code)
+const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification code is required'
+      });
+    }
+
+    const state = await User.getTwoFactorState(req.user.userId);
+    if (!state || !state.two_factor_enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!(await verifySecondFactor(state, { code }))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid verification code'
+      });
+    }
+
+    const recoveryCodes = await issueRecoveryCodes(state.id);
+
+    res.json({
+      success: true,
+      message: 'Recovery codes regenerated. Previous codes no longer work.',
+      data: {
+        recovery_codes: recoveryCodes
+      }
+    });
+
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Second login step: exchange the challenge token from /login and a code for a session
+const loginWithTwoFactor = async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Challenge token and a verification or recovery code are required'
+      });
+    }
+
+    let decoded;
+    try {
+      decoded = tokenService.verifyTwoFactorChallengeToken(challengeToken);
+    } catch (tokenError) {
+      return res.status(401).json({
+        success: false,
+        message: tokenError.message
+      });
+    }
+
+    const state = await User.getTwoFactorState(decoded.userId);
+    if (!state || !state.two_factor_enabled) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired challenge token'
+      });
+    }
+
+    // Code guesses count against the same account and IP limits as passwords
+    const throttled = await authThrottleService.check('login', { email: state.email, ip: req.ip });
+    if (throttled) {
+      return sendThrottled(res, throttled);
+    }
+
+    if (!(await verifySecondFactor(state, { code, recoveryCode }))) {
+      await authThrottleService.recordFailure('login', { email: state.email, ip: req.ip });
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid verification code'
+      });
+    }
+
+    await authThrottleService.recordSuccess('login', { email: state.email });
+
+    const tokens = await tokenService.issueSession(state.id, req);
+    const user = await User.findByEmail(state.email);
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      data: {
+        user: User.withoutSecrets(user),
+        ...tokens,
+        recovery_codes_remaining: recoveryCode ? await RecoveryCode.countRemaining(state.id) : undefined
+      }
+    });
+
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  confirmTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  loginWithTwoFactor
+};
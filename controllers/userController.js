@@ -1,9 +1,21 @@
 
 const crypto = require('crypto');
 const emailService = require('../services/emailService');
-const jwt = require('jsonwebtoken');
+const tokenService = require('../services/tokenService');
+const authThrottleService = require('../services/authThrottleService');
 const User = require('../models/User');
 const Friend = require('../models/Friend');
+const Session = require('../models/Session');
+const ReminderJob = require('../models/ReminderJob');
+const { ROLES } = require('../middleware/permissions');
+const { validateReminderOffsets } = require('../utils/reminderOffsets');
+const { validateQuietHours } = require('../utils/quietHours');
+const { validateDigestSchedule } = require('../utils/digestSchedule');
+const { validateMutedDeadlines } = require('../utils/mutedDeadlines');
+const { isValidTimeZone } = require('../utils/timezone');
+
+// Switch key of reminders at a custom offset (see getReminderType), e.g. "reminder_4320m"
+const CUSTOM_REMINDER_TYPE_PATTERN = /^reminder_[1-9]\d*m$/;
 
 // Validation helper functions
 const validateEmail = (email) => {
@@ -23,17 +35,17 @@ const validateUsername = (username) => {
   return usernameRegex.test(username);
 };
 
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN || '24h'
-  });
+// Email a verification link for the user's current address
+const sendVerificationEmail = async (user) => {
+  const token = tokenService.generateEmailVerificationToken(user);
+  const verifyUrl = `${process.env.FRONTEND_URL}/verify-email?token=${token}`;
+  return emailService.sendEmailVerification(user.email, user.full_name, verifyUrl);
 };
 
 // Register new user
 const register = async (req, res) => {
   try {
-    const { username, email, password, full_name } = req.body;
+    const { username, email, password, full_name, timezone } = req.body;
 
     // Validation
     const errors = [];
@@ -54,6 +66,10 @@ const register = async (req, res) => {
       errors.push('Full name is required and must be less than 100 characters');
     }
 
+    if (timezone !== undefined && !isValidTimeZone(timezone)) {
+      errors.push('Timezone must be an IANA timezone name such as "Europe/Berlin"');
+    }
+
     if (errors.length > 0) {
       return res.status(400).json({
         success: false,
@@ -87,18 +103,25 @@ const register = async (req, res) => {
       username: username.trim(),
       email: email.toLowerCase().trim(),
       password,
-      full_name: full_name.trim()
+      full_name: full_name.trim(),
+      timezone
     });
 
-    // Generate token
-    const token = generateToken(newUser.id);
+    // Start a session (short-lived access token + refresh token)
+    const tokens = await tokenService.issueSession(newUser.id, req);
+
+    // Reminder and summary emails stay off until the address is confirmed
+    const verificationResult = await sendVerificationEmail(newUser);
+    if (!verificationResult.success) {
+      console.error('Failed to send verification email after registration');
+    }
 
     res.status(201).json({
       success: true,
-      message: 'User registered successfully',
+      message: 'User registered successfully. Please check your email to verify your address.',
       data: {
         user: newUser,
-        token
+        ...tokens
       }
     });
 
@@ -135,37 +158,43 @@ const login = async (req, res) => {
       });
     }
 
-    // Find user by email
+    // Find user by email and check password
     const user = await User.findByEmail(email.toLowerCase().trim());
+    const isValidPassword = user ? await User.verifyPassword(password, user.password) : false;
 
-    if (!user) {
+    if (!isValidPassword) {
+      // Unknown emails count too, so lockouts do not reveal which accounts exist
+      await authThrottleService.recordFailure('login', { email, ip: req.ip });
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
       });
     }
 
-    // Check password
-    const isValidPassword = await User.verifyPassword(password, user.password);
-    if (!isValidPassword) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid credentials'
+    // With 2FA enabled the password only earns a challenge token, exchanged at /login/2fa.
+    // Failures are only cleared once the second factor has been checked too.
+    if (user.two_factor_enabled) {
+      return res.json({
+        success: true,
+        message: 'Two-factor authentication required',
+        data: {
+          two_factor_required: true,
+          challengeToken: tokenService.generateTwoFactorChallengeToken(user.id)
+        }
       });
     }
 
-    // Generate token
-    const token = generateToken(user.id);
+    await authThrottleService.recordSuccess('login', { email });
 
-    // Remove password from response
-    const { password: _, ...userWithoutPassword } = user;
+    // Start a session (short-lived access token + refresh token)
+    const tokens = await tokenService.issueSession(user.id, req);
 
     res.json({
       success: true,
       message: 'Login successful',
       data: {
-        user: userWithoutPassword,
-        token
+        user: User.withoutSecrets(user),
+        ...tokens
       }
     });
 
@@ -212,7 +241,7 @@ const getProfile = async (req, res) => {
 const updateProfile = async (req, res) => {
   try {
     const userId = req.user.userId;
-    const { username, email, full_name } = req.body;
+    const { username, email, full_name, timezone } = req.body;
 
     // Validation
     const errors = [];
@@ -229,6 +258,10 @@ const updateProfile = async (req, res) => {
       errors.push('Full name must be between 1 and 100 characters');
     }
 
+    if (timezone !== undefined && !isValidTimeZone(timezone)) {
+      errors.push('Timezone must be an IANA timezone name such as "Europe/Berlin"');
+    }
+
     if (errors.length > 0) {
       return res.status(400).json({
         success: false,
@@ -272,9 +305,15 @@ const updateProfile = async (req, res) => {
       username: username ? username.trim() : currentUser.username,
       email: email ? email.toLowerCase().trim() : currentUser.email,
       full_name: full_name ? full_name.trim() : currentUser.full_name,
-      role: currentUser.role // Keep existing role
+      role: currentUser.role, // Keep existing role
+      timezone: timezone || currentUser.timezone
     });
 
+    // A changed address has to be verified again before emails are sent to it
+    if (updatedUser.email !== currentUser.email) {
+      await sendVerificationEmail(updatedUser);
+    }
+
     res.json({
       success: true,
       message: 'Profile updated successfully',
@@ -338,9 +377,15 @@ const changePassword = async (req, res) => {
     // Update password
     await User.updatePassword(userId, newPassword);
 
+    // Sign out every other device; the session making the change stays active
+    const revokedSessions = await Session.revokeAllForUser(userId, 'password_changed', req.user.sessionId);
+
     res.json({
       success: true,
-      message: 'Password changed successfully'
+      message: 'Password changed successfully',
+      data: {
+        revoked_sessions: revokedSessions
+      }
     });
 
   } catch (error) {
@@ -363,6 +408,8 @@ const forgotPassword = async (req, res) => {
       });
     }
 
+    await authThrottleService.recordFailure('password_reset_request', { email, ip: req.ip });
+
     const user = await User.findByEmail(email.toLowerCase().trim());
     if (!user) {
       // Respond generically to avoid user enumeration
@@ -410,6 +457,7 @@ const resetPassword = async (req, res) => {
     // Find user by token
     const user = await User.findByResetToken(token);
     if (!user || !user.reset_token_expires || new Date(user.reset_token_expires) < new Date()) {
+      await authThrottleService.recordFailure('password_reset', { ip: req.ip });
       return res.status(400).json({
         success: false,
         message: 'Invalid or expired token'
@@ -420,6 +468,12 @@ const resetPassword = async (req, res) => {
     await User.updatePassword(user.id, newPassword);
     await User.clearResetToken(user.id);
 
+    // Whoever had the old password may still be signed in somewhere
+    await Session.revokeAllForUser(user.id, 'password_reset');
+
+    // The owner proved control of the mailbox, so lift any login lockout
+    await authThrottleService.recordSuccess('login', { email: user.email });
+
     return res.json({
       success: true,
       message: 'Password has been reset successfully'
@@ -556,13 +610,236 @@ const deleteUser = async (req, res) => {
   }
 };
 
-// Logout (for token blacklisting if implemented)
+// Change a user's role (admin functionality)
+const updateUserRole = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { role } = req.body;
+
+    if (!id || isNaN(parseInt(id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid user ID is required'
+      });
+    }
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Role must be one of: ${ROLES.join(', ')}`
+      });
+    }
+
+    // Prevent admins from demoting themselves (and possibly leaving no admin)
+    if (parseInt(id) === req.user.userId) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own role'
+      });
+    }
+
+    const user = await User.updateRole(parseInt(id), role);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'User role updated successfully',
+      data: {
+        user
+      }
+    });
+
+  } catch (error) {
+    console.error('Update user role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Clear failed-login counters and lockouts for a user (admin functionality)
+const unlockUser = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!id || isNaN(parseInt(id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid user ID is required'
+      });
+    }
+
+    const user = await User.findById(parseInt(id));
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const cleared = await authThrottleService.unlockAccount(user.email);
+
+    res.json({
+      success: true,
+      message: cleared > 0 ? 'User unlocked successfully' : 'User was not locked',
+      data: {
+        cleared_records: cleared
+      }
+    });
+
+  } catch (error) {
+    console.error('Unlock user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Verify email address from the emailed link
+const verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification token is required'
+      });
+    }
+
+    let decoded;
+    try {
+      decoded = tokenService.verifyEmailVerificationToken(token);
+    } catch (tokenError) {
+      return res.status(400).json({
+        success: false,
+        message: tokenError.message
+      });
+    }
+
+    const user = await User.markEmailVerified(decoded.userId, decoded.email);
+    if (!user) {
+      // The account was deleted or the email has changed since the link was sent
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired verification token'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully',
+      data: {
+        user
+      }
+    });
+
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Send a new verification link to the current user
+const resendVerificationEmail = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user.email_verified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified'
+      });
+    }
+
+    const result = await sendVerificationEmail(user);
+    if (!result.success) {
+      return res.status(502).json({
+        success: false,
+        message: 'Failed to send verification email'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Verification email sent'
+    });
+
+  } catch (error) {
+    console.error('Resend verification email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Exchange a refresh token for a new access token (the refresh token rotates on every use)
+const refreshToken = async (req, res) => {
+  try {
+    const { refreshToken: token } = req.body;
+
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Refresh token is required'
+      });
+    }
+
+    try {
+      const tokens = await tokenService.refreshSession(token);
+
+      res.json({
+        success: true,
+        message: 'Token refreshed successfully',
+        data: tokens
+      });
+    } catch (refreshError) {
+      const rejected = [
+        'Invalid refresh token',
+        'Refresh token reuse detected',
+        'Session has been revoked',
+        'Refresh token expired'
+      ];
+      if (rejected.includes(refreshError.message)) {
+        return res.status(401).json({
+          success: false,
+          message: refreshError.message
+        });
+      }
+      throw refreshError;
+    }
+
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Logout - revokes the current session so its access and refresh tokens stop working
 const logout = async (req, res) => {
   try {
-    // In a stateless JWT implementation, logout is handled client-side
-    // by removing the token. This endpoint can be used for token blacklisting
-    // if that feature is implemented later
-    
+    await Session.revoke(req.user.sessionId, 'logout');
+
     res.json({
       success: true,
       message: 'Logout successful'
@@ -577,6 +854,91 @@ const logout = async (req, res) => {
   }
 };
 
+// List the current user's active sessions
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.findActiveByUserId(req.user.userId);
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => ({
+          id: session.id,
+          user_agent: session.user_agent,
+          ip_address: session.ip_address,
+          created_at: session.created_at,
+          last_used_at: session.last_used_at,
+          expires_at: session.expires_at,
+          current: session.id === req.user.sessionId
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Sign out a single session (e.g. a lost device)
+const revokeSession = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!id || isNaN(parseInt(id)) || parseInt(id) < 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid session ID is required'
+      });
+    }
+
+    const revoked = await Session.revokeForUser(parseInt(id), req.user.userId, 'remote_signout');
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: parseInt(id) === req.user.sessionId ? 'Signed out of this session' : 'Session signed out successfully'
+    });
+
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Sign out everywhere except the current session
+const revokeOtherSessions = async (req, res) => {
+  try {
+    const revokedCount = await Session.revokeAllForUser(req.user.userId, 'remote_signout', req.user.sessionId);
+
+    res.json({
+      success: true,
+      message: `Signed out of ${revokedCount} other session(s)`,
+      data: {
+        revoked_sessions: revokedCount
+      }
+    });
+
+  } catch (error) {
+    console.error('Revoke other sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
 // Friend Management Functions
 
 // Send friend request
@@ -1336,12 +1698,16 @@ const updateNotificationPreferences = async (req, res) => {
     const { 
       email_enabled, 
       reminders, 
+      reminder_offsets,
       overdue_notifications, 
       daily_summary,
       in_app_enabled,
       in_app_reminders,
       in_app_overdue_notifications,
-      in_app_daily_summary
+      in_app_daily_summary,
+      digest,
+      muted_deadlines,
+      quiet_hours
     } = req.body;
 
     // Validation
@@ -1357,7 +1723,7 @@ const updateNotificationPreferences = async (req, res) => {
       } else {
         const validReminderTypes = ['2_days', '1_day', '12_hours', '1_hour'];
         for (const [key, value] of Object.entries(reminders)) {
-          if (!validReminderTypes.includes(key)) {
+          if (!validReminderTypes.includes(key) && !CUSTOM_REMINDER_TYPE_PATTERN.test(key)) {
             errors.push(`Invalid reminder type: ${key}`);
           }
           if (typeof value !== 'boolean') {
@@ -1367,6 +1733,14 @@ const updateNotificationPreferences = async (req, res) => {
       }
     }
 
+    // Default reminder schedule for deadlines without their own (null restores the standard reminders)
+    let reminderOffsets;
+    if (reminder_offsets !== undefined) {
+      const reminderValidation = validateReminderOffsets(reminder_offsets);
+      reminderOffsets = reminderValidation.offsets;
+      errors.push(...reminderValidation.errors);
+    }
+
     if (overdue_notifications !== undefined && typeof overdue_notifications !== 'boolean') {
       errors.push('overdue_notifications must be a boolean');
     }
@@ -1386,7 +1760,7 @@ const updateNotificationPreferences = async (req, res) => {
       } else {
         const validReminderTypes = ['2_days', '1_day', '12_hours', '1_hour'];
         for (const [key, value] of Object.entries(in_app_reminders)) {
-          if (!validReminderTypes.includes(key)) {
+          if (!validReminderTypes.includes(key) && !CUSTOM_REMINDER_TYPE_PATTERN.test(key)) {
             errors.push(`Invalid in-app reminder type: ${key}`);
           }
           if (typeof value !== 'boolean') {
@@ -1404,6 +1778,30 @@ const updateNotificationPreferences = async (req, res) => {
       errors.push('in_app_daily_summary must be a boolean');
     }
 
+    // Digest frequency, weekday and hour (null restores the daily summary at 8 AM)
+    let digestSchedule;
+    if (digest !== undefined) {
+      const digestValidation = validateDigestSchedule(digest);
+      digestSchedule = digestValidation.digest;
+      errors.push(...digestValidation.errors);
+    }
+
+    // Muted and snoozed deadlines replace the previous list as a whole (null clears it)
+    let mutedDeadlines;
+    if (muted_deadlines !== undefined) {
+      const mutedValidation = validateMutedDeadlines(muted_deadlines);
+      mutedDeadlines = mutedValidation.mutedDeadlines;
+      errors.push(...mutedValidation.errors);
+    }
+
+    // Quiet hours replace the previous setting as a whole (null turns them off)
+    let quietHours;
+    if (quiet_hours !== undefined) {
+      const quietHoursValidation = validateQuietHours(quiet_hours);
+      quietHours = quietHoursValidation.quietHours;
+      errors.push(...quietHoursValidation.errors);
+    }
+
     if (errors.length > 0) {
       return res.status(400).json({
         success: false,
@@ -1419,16 +1817,25 @@ const updateNotificationPreferences = async (req, res) => {
     const updatedPreferences = {
       email_enabled: email_enabled !== undefined ? email_enabled : currentPreferences.email_enabled,
       reminders: reminders ? { ...currentPreferences.reminders, ...reminders } : currentPreferences.reminders,
+      reminder_offsets: reminder_offsets !== undefined ? reminderOffsets : currentPreferences.reminder_offsets,
       overdue_notifications: overdue_notifications !== undefined ? overdue_notifications : currentPreferences.overdue_notifications,
       daily_summary: daily_summary !== undefined ? daily_summary : currentPreferences.daily_summary,
       in_app_enabled: in_app_enabled !== undefined ? in_app_enabled : currentPreferences.in_app_enabled,
       in_app_reminders: in_app_reminders ? { ...currentPreferences.in_app_reminders, ...in_app_reminders } : currentPreferences.in_app_reminders,
       in_app_overdue_notifications: in_app_overdue_notifications !== undefined ? in_app_overdue_notifications : currentPreferences.in_app_overdue_notifications,
-      in_app_daily_summary: in_app_daily_summary !== undefined ? in_app_daily_summary : currentPreferences.in_app_daily_summary
+      in_app_daily_summary: in_app_daily_summary !== undefined ? in_app_daily_summary : currentPreferences.in_app_daily_summary,
+      digest: digest !== undefined ? digestSchedule : currentPreferences.digest,
+      muted_deadlines: muted_deadlines !== undefined ? mutedDeadlines : currentPreferences.muted_deadlines,
+      quiet_hours: quiet_hours !== undefined ? quietHours : currentPreferences.quiet_hours
     };
 
     const preferences = await User.updateNotificationPreferences(userId, updatedPreferences);
 
+    // Deadlines without their own reminder offsets follow the new default
+    if (reminder_offsets !== undefined) {
+      await ReminderJob.scheduleForUser(userId);
+    }
+
     res.json({
       success: true,
       message: 'Notification preferences updated successfully',
@@ -1455,7 +1862,15 @@ module.exports = {
   getAllUsers,
   getUserById,
   deleteUser,
+  updateUserRole,
+  unlockUser,
+  refreshToken,
   logout,
+  verifyEmail,
+  resendVerificationEmail,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
   // Friend management functions
   sendFriendRequest,
   acceptFriendRequest,
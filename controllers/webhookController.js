@@ -0,0 +1,371 @@
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const webhookService = require('../services/webhookService');
+const { validateWebhookUrl } = require('../utils/webhookUrl');
+
+const MAX_WEBHOOKS_PER_USER = 10;
+const MIN_SECRET_LENGTH = 16;
+const DELIVERY_STATUSES = ['pending', 'sending', 'delivered', 'failed'];
+
+// Validate the fields of a create or update request; on update only the given fields are checked
+const validateWebhook = ({ url, events, secret, description, is_active }, isUpdate) => {
+  const errors = [];
+
+  if (!isUpdate || url !== undefined) {
+    errors.push(...validateWebhookUrl(url));
+  }
+
+  if (!isUpdate || events !== undefined) {
+    const availableEvents = webhookService.events;
+    if (!Array.isArray(events) || events.length === 0) {
+      errors.push(`At least one event is required. Available events: ${availableEvents.join(', ')}`);
+    } else {
+      const invalidEvents = events.filter(event => !availableEvents.includes(event));
+      if (invalidEvents.length > 0) {
+        errors.push(`Invalid event(s): ${invalidEvents.join(', ')}. Available events: ${availableEvents.join(', ')}`);
+      }
+    }
+  }
+
+  if (secret !== undefined && (typeof secret !== 'string' || secret.length < MIN_SECRET_LENGTH || secret.length > 255)) {
+    errors.push(`secret must be between ${MIN_SECRET_LENGTH} and 255 characters`);
+  }
+
+  if (description !== undefined && description !== null && (typeof description !== 'string' || description.length > 255)) {
+    errors.push('description must be less than 255 characters');
+  }
+
+  if (is_active !== undefined && typeof is_active !== 'boolean') {
+    errors.push('is_active must be true or false');
+  }
+
+  return errors;
+};
+
+const parseId = (value) => {
+  const id = parseInt(value);
+  return isNaN(id) || id < 1 ? null : id;
+};
+
+// Load the current user's webhook from :id; sends the error response and returns null if there is none
+const loadWebhook = async (req, res) => {
+  const id = parseId(req.params.id);
+  if (!id) {
+    res.status(400).json({
+      success: false,
+      message: 'Valid webhook ID is required'
+    });
+    return null;
+  }
+
+  const webhook = await Webhook.findById(id, req.user.userId);
+  if (!webhook) {
+    res.status(404).json({
+      success: false,
+      message: 'Webhook not found'
+    });
+    return null;
+  }
+
+  return webhook;
+};
+
+// List the current user's webhooks
+const getWebhooks = async (req, res) => {
+  try {
+    const webhooks = await Webhook.findByUserId(req.user.userId);
+
+    res.json({
+      success: true,
+      data: {
+        webhooks,
+        available_events: webhookService.events
+      }
+    });
+
+  } catch (error) {
+    console.error('Get webhooks error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Register a webhook; without a secret one is generated. The secret is only returned in this response.
+const createWebhook = async (req, res) => {
+  try {
+    const { url, events, secret, description } = req.body;
+
+    const errors = validateWebhook({ url, events, secret, description }, false);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      });
+    }
+
+    if (await Webhook.countByUserId(req.user.userId) >= MAX_WEBHOOKS_PER_USER) {
+      return res.status(400).json({
+        success: false,
+        message: `You can register at most ${MAX_WEBHOOKS_PER_USER} webhooks`
+      });
+    }
+
+    const webhookSecret = secret || webhookService.generateSecret();
+    const webhook = await Webhook.create({
+      userId: req.user.userId,
+      url,
+      description: description ? description.trim() : null,
+      secret: webhookSecret,
+      events: [...new Set(events)]
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Webhook created. Copy the secret now; it will not be shown again.',
+      data: {
+        secret: webhookSecret,
+        webhook
+      }
+    });
+
+  } catch (error) {
+    console.error('Create webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+const getWebhookById = async (req, res) => {
+  try {
+    const webhook = await loadWebhook(req, res);
+    if (!webhook) {
+      return;
+    }
+
+    res.json({
+      success: true,
+      data: { webhook }
+    });
+
+  } catch (error) {
+    console.error('Get webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Change the url, events, description or secret, or pause the webhook (is_active: false)
+const updateWebhook = async (req, res) => {
+  try {
+    const id = parseId(req.params.id);
+    const { url, events, secret, description, is_active } = req.body;
+
+    const errors = validateWebhook({ url, events, secret, description, is_active }, true);
+    if (!id) {
+      errors.unshift('Valid webhook ID is required');
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      });
+    }
+
+    const webhook = await Webhook.update(id, req.user.userId, {
+      url,
+      events: events && [...new Set(events)],
+      secret,
+      description: typeof description === 'string' ? description.trim() : description,
+      is_active
+    });
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Webhook updated successfully',
+      data: { webhook }
+    });
+
+  } catch (error) {
+    console.error('Update webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+const deleteWebhook = async (req, res) => {
+  try {
+    const id = parseId(req.params.id);
+    if (!id) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid webhook ID is required'
+      });
+    }
+
+    const deleted = await Webhook.delete(id, req.user.userId);
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Webhook deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Delivery history of a webhook (payload, attempts, last response or error), newest first
+// (GET /api/webhooks/:id/deliveries?status=failed&page=&limit=)
+const getWebhookDeliveries = async (req, res) => {
+  try {
+    const { status } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+    if (status && !DELIVERY_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: [`status must be one of: ${DELIVERY_STATUSES.join(', ')}`]
+      });
+    }
+
+    const webhook = await loadWebhook(req, res);
+    if (!webhook) {
+      return;
+    }
+
+    const { deliveries, total } = await WebhookDelivery.findByWebhookId(webhook.id, {
+      status,
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    res.json({
+      success: true,
+      data: {
+        deliveries,
+        pagination: {
+          currentPage: page,
+          limit,
+          total
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get webhook deliveries error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Send a finished delivery again
+const redeliverWebhookDelivery = async (req, res) => {
+  try {
+    const deliveryId = parseId(req.params.deliveryId);
+    if (!deliveryId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid delivery ID is required'
+      });
+    }
+
+    const webhook = await loadWebhook(req, res);
+    if (!webhook) {
+      return;
+    }
+
+    const delivery = await WebhookDelivery.redeliver(deliveryId, webhook.id);
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        message: 'Delivery not found or still being delivered'
+      });
+    }
+
+    res.status(202).json({
+      success: true,
+      message: 'Delivery queued again',
+      data: { delivery }
+    });
+
+  } catch (error) {
+    console.error('Redeliver webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Queue a `webhook.test` event; its outcome shows up in the delivery history
+const sendTestWebhook = async (req, res) => {
+  try {
+    const webhook = await loadWebhook(req, res);
+    if (!webhook) {
+      return;
+    }
+
+    if (!webhook.is_active) {
+      return res.status(400).json({
+        success: false,
+        message: 'Webhook is disabled; enable it before sending a test event'
+      });
+    }
+
+    const delivery = await webhookService.sendTestEvent(webhook, req.user);
+
+    res.status(202).json({
+      success: true,
+      message: 'Test event queued',
+      data: { delivery }
+    });
+
+  } catch (error) {
+    console.error('Send test webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getWebhooks,
+  createWebhook,
+  getWebhookById,
+  updateWebhook,
+  deleteWebhook,
+  getWebhookDeliveries,
+  redeliverWebhookDelivery,
+  sendTestWebhook
+};
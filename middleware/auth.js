@@ -1,7 +1,138 @@
 const jwt = require('jsonwebtoken');
 const pool = require('../config/db');
+const Session = require('../models/Session');
+const PersonalAccessToken = require('../models/PersonalAccessToken');
+const tokenService = require('../services/tokenService');
 
-const authMiddleware = async (req, res, next) => {
+const failure = (status, message) => ({ user: null, status, message });
+
+// Authenticate a personal access token; it is only accepted on routes that declare a scope it holds
+const authenticatePersonalAccessToken = async (token, scope, ip) => {
+  if (!scope) {
+    return failure(403, 'Personal access tokens are not accepted for this endpoint.');
+  }
+
+  const accessToken = await PersonalAccessToken.findActiveByHash(tokenService.hashToken(token));
+  if (!accessToken) {
+    return failure(401, 'Invalid or expired access token.');
+  }
+
+  if (!accessToken.scopes.includes(scope)) {
+    return failure(403, `Access token is missing the required scope: ${scope}`);
+  }
+
+  if (!accessToken.last_used_at || Date.now() - new Date(accessToken.last_used_at).getTime() > 60 * 1000) {
+    PersonalAccessToken.touch(accessToken.id, ip || null)
+      .catch(error => console.error('Access token touch error:', error.message));
+  }
+
+  return {
+    user: {
+      userId: accessToken.user_id,
+      username: accessToken.username,
+      email: accessToken.email,
+      fullName: accessToken.full_name,
+      role: accessToken.role,
+      timezone: accessToken.timezone,
+      sessionId: null,
+      accessTokenId: accessToken.id,
+      scopes: accessToken.scopes,
+      expiresAt: new Date(accessToken.expires_at)
+    }
+  };
+};
+
+// Authenticate a session JWT
+const authenticateSessionToken = async (token) => {
+  // Verify token
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  // Tokens issued before server-side sessions existed carry no session and are no longer accepted;
+  // purpose-bound tokens (email verification, ...) are never access tokens
+  if (!decoded.sessionId || decoded.purpose) {
+    return failure(401, 'Session expired. Please log in again.');
+  }
+  
+  // Get user and make sure the session has not been revoked (logout, password change, ...)
+  const result = await pool.query(
+    `SELECT u.id, u.username, u.email, u.full_name, u.role, u.timezone, s.id as session_id, s.revoked_at, s.expires_at, s.last_used_at
+     FROM users u
+     LEFT JOIN auth_sessions s ON s.id = $2 AND s.user_id = u.id
+     WHERE u.id = $1`,
+    [decoded.userId, decoded.sessionId]
+  );
+
+  if (result.rows.length === 0) {
+    return failure(401, 'Token is valid but user not found.');
+  }
+
+  const row = result.rows[0];
+  if (!row.session_id || row.revoked_at || new Date(row.expires_at) <= new Date()) {
+    return failure(401, 'Session has been revoked. Please log in again.');
+  }
+
+  // Keep "last used" current for the session list without a write on every request
+  if (Date.now() - new Date(row.last_used_at).getTime() > 60 * 1000) {
+    Session.touch(row.session_id).catch(error => console.error('Session touch error:', error.message));
+  }
+
+  // Interactive sessions are not restricted by scopes
+  return {
+    user: {
+      userId: row.id,
+      username: row.username,
+      email: row.email,
+      fullName: row.full_name,
+      role: row.role,
+      timezone: row.timezone,
+      sessionId: row.session_id,
+      scopes: null,
+      // The access token usually expires long before the session
+      expiresAt: new Date(Math.min(decoded.exp * 1000, new Date(row.expires_at).getTime()))
+    }
+  };
+};
+
+// Resolve a bearer token to { user }, or { user: null, status, message } when it is not accepted.
+// Also used outside of Express routes (WebSocket upgrades).
+const authenticateToken = async (token, { scope = null, ip = null } = {}) => {
+  try {
+    if (tokenService.isPersonalAccessToken(token)) {
+      return await authenticatePersonalAccessToken(token, scope, ip);
+    }
+
+    return await authenticateSessionToken(token);
+  } catch (error) {
+    if (error.name === 'JsonWebTokenError') {
+      return failure(401, 'Invalid token.');
+    }
+    
+    if (error.name === 'TokenExpiredError') {
+      return failure(401, 'Token expired.');
+    }
+
+    throw error;
+  }
+};
+
+// Whether the session or access token a user (as resolved by authenticateToken) signed in with is
+// still valid. Long-lived connections (notification stream, live deadline updates) check this again
+// while they are open, so they end after a logout, session revocation or password change.
+const isCredentialActive = async (user) => {
+  if (user.expiresAt && user.expiresAt <= new Date()) {
+    return false;
+  }
+
+  if (user.sessionId) {
+    return Boolean(await Session.findActiveById(user.sessionId));
+  }
+  if (user.accessTokenId) {
+    return Boolean(await PersonalAccessToken.findActiveById(user.accessTokenId));
+  }
+  return false;
+};
+
+const authenticate = async (req, res, next, scope = null) => {
   try {
     // Get token from header
     const authHeader = req.header('Authorization');
@@ -14,48 +145,20 @@ const authMiddleware = async (req, res, next) => {
     }
 
     const token = authHeader.replace('Bearer ', '');
+    const { user, status, message } = await authenticateToken(token, { scope, ip: req.ip });
 
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
-    // Get user from database
-    const result = await pool.query(
-      'SELECT id, username, email, full_name FROM users WHERE id = $1',
-      [decoded.userId]
-    );
-
-    if (result.rows.length === 0) {
-      return res.status(401).json({ 
+    if (!user) {
+      return res.status(status).json({ 
         success: false,
-        message: 'Token is valid but user not found.' 
+        message 
       });
     }
 
     // Add user to request object
-    req.user = {
-      userId: result.rows[0].id,
-      username: result.rows[0].username,
-      email: result.rows[0].email,
-      fullName: result.rows[0].full_name
-    };
-
+    req.user = user;
     next();
   } catch (error) {
     console.error('Auth middleware error:', error);
-    
-    if (error.name === 'JsonWebTokenError') {
-      return res.status(401).json({ 
-        success: false,
-        message: 'Invalid token.' 
-      });
-    }
-    
-    if (error.name === 'TokenExpiredError') {
-      return res.status(401).json({ 
-        success: false,
-        message: 'Token expired.' 
-      });
-    }
 
     res.status(500).json({ 
       success: false,
@@ -64,4 +167,14 @@ const authMiddleware = async (req, res, next) => {
   }
 };
 
-module.exports = authMiddleware;
\ No newline at end of file
+// Session-only authentication: personal access tokens are rejected
+const authMiddleware = (req, res, next) => authenticate(req, res, next);
+
+// Authentication that also accepts personal access tokens holding `scope`,
+// e.g. router.get('/', auth.scoped('deadlines:read'), getAllDeadlines)
+authMiddleware.scoped = (scope) => (req, res, next) => authenticate(req, res, next, scope);
+
+authMiddleware.authenticateToken = authenticateToken;
+authMiddleware.isCredentialActive = isCredentialActive;
+
+module.exports = authMiddleware;
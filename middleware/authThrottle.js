@@ -0,0 +1,37 @@
+const authThrottleService = require('../services/authThrottleService');
+
+// Reject an attempt that the throttle says must wait (429 with Retry-After)
+const sendThrottled = (res, throttle) => {
+  res.set('Retry-After', String(throttle.retryAfter));
+  return res.status(429).json({ 
+    success: false,
+    message: throttle.locked
+      ? 'Too many failed attempts. This account or network is temporarily locked; try again later.'
+      : `Too many failed attempts. Try again in ${throttle.retryAfter} second(s).`,
+    retry_after: throttle.retryAfter
+  });
+};
+
+// Refuse requests while the account in req.body.email or the client IP is delayed or locked out.
+// Handlers report the outcome through authThrottleService.recordFailure / recordSuccess.
+const throttle = (action) => async (req, res, next) => {
+  try {
+    const result = await authThrottleService.check(action, { email: req.body && req.body.email, ip: req.ip });
+    if (result) {
+      return sendThrottled(res, result);
+    }
+
+    next();
+  } catch (error) {
+    console.error('Auth throttle error:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'Internal server error.' 
+    });
+  }
+};
+
+module.exports = {
+  throttle,
+  sendThrottled
+};
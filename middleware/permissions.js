@@ -0,0 +1,29 @@
+// Role-based permissions. Use after the auth middleware, which puts the user's current role on req.user:
+//   router.delete('/:id', auth, requirePermission('users:manage'), deleteUser)
+
+const ROLES = ['student', 'teacher', 'admin'];
+
+const ROLE_PERMISSIONS = {
+  student: [],
+  teacher: ['users:read'],
+  admin: ['users:read', 'users:manage', 'emails:manage', 'system:debug']
+};
+
+const hasPermission = (role, permission) => (ROLE_PERMISSIONS[role] || []).includes(permission);
+
+const requirePermission = (permission) => (req, res, next) => {
+  if (!req.user || !hasPermission(req.user.role, permission)) {
+    return res.status(403).json({ 
+      success: false,
+      message: 'You do not have permission to perform this action.' 
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  ROLES,
+  hasPermission,
+  requirePermission
+};
@@ -0,0 +1,151 @@
+// Baseline schema: users, friends, deadlines, collaborators and in-app notifications.
+//
+// Written to also adopt databases created by the old createTable() methods and the
+// fix-database-schema / migrate-collaborators / fix-missing-owners endpoints, so every
+// statement is idempotent (IF NOT EXISTS) and the data fixes only touch missing rows.
+
+const DEFAULT_NOTIFICATION_PREFERENCES = '{"email_enabled": true, "in_app_enabled": true, "reminders": {"2_days": true, "1_day": true, "12_hours": true, "1_hour": true}, "overdue_notifications": true, "daily_summary": false, "in_app_reminders": {"2_days": true, "1_day": true, "12_hours": true, "1_hour": true}, "in_app_overdue": true}';
+
+module.exports = {
+  description: 'Create users, friends, deadlines, deadline_collaborators and in_app_notifications',
+
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS users (
+        id SERIAL PRIMARY KEY,
+        username VARCHAR(50) UNIQUE NOT NULL,
+        email VARCHAR(100) UNIQUE NOT NULL,
+        password VARCHAR(255) NOT NULL,
+        full_name VARCHAR(100),
+        role VARCHAR(20) DEFAULT 'student',
+        notification_preferences JSONB DEFAULT '${DEFAULT_NOTIFICATION_PREFERENCES}'::jsonb,
+        reset_token VARCHAR(255),
+        reset_token_expires TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS notification_preferences JSONB DEFAULT '${DEFAULT_NOTIFICATION_PREFERENCES}'::jsonb;
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS reset_token VARCHAR(255);
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS reset_token_expires TIMESTAMP;
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS friends (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        friend_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'accepted', 'declined', 'blocked')),
+        requested_by INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(user_id, friend_id),
+        CHECK (user_id != friend_id)
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS deadlines (
+        id SERIAL PRIMARY KEY,
+        student_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        title VARCHAR(255) NOT NULL,
+        description TEXT,
+        due_date TIMESTAMP NOT NULL,
+        priority VARCHAR(20) DEFAULT 'medium' CHECK (priority IN ('low', 'medium', 'high', 'urgent')),
+        status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'in_progress', 'completed', 'overdue')),
+        category VARCHAR(50),
+        subject VARCHAR(100),
+        estimated_hours INTEGER,
+        actual_hours INTEGER,
+        completion_percentage INTEGER DEFAULT 0 CHECK (completion_percentage >= 0 AND completion_percentage <= 100),
+        notes TEXT,
+        collaborators JSONB DEFAULT '[]',
+        notifications_sent JSONB DEFAULT '{}',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        completed_at TIMESTAMP
+      );
+
+      ALTER TABLE deadlines ADD COLUMN IF NOT EXISTS collaborators JSONB DEFAULT '[]';
+      ALTER TABLE deadlines ADD COLUMN IF NOT EXISTS notifications_sent JSONB DEFAULT '{}';
+      ALTER TABLE deadlines ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+      ALTER TABLE deadlines ADD COLUMN IF NOT EXISTS completed_at TIMESTAMP;
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS deadline_collaborators (
+        id SERIAL PRIMARY KEY,
+        deadline_id INTEGER REFERENCES deadlines(id) ON DELETE CASCADE,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        role VARCHAR(20) DEFAULT 'collaborator' CHECK (role IN ('owner', 'collaborator')),
+        can_edit BOOLEAN DEFAULT true,
+        can_delete BOOLEAN DEFAULT false,
+        joined_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(deadline_id, user_id)
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS in_app_notifications (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        deadline_id INTEGER REFERENCES deadlines(id) ON DELETE CASCADE,
+        type VARCHAR(50) NOT NULL, -- 'reminder', 'overdue', 'deadline_shared', 'deadline_updated', etc.
+        title VARCHAR(255) NOT NULL,
+        message TEXT NOT NULL,
+        data JSONB DEFAULT '{}'::jsonb, -- Additional data like deadline info, time remaining, etc.
+        is_read BOOLEAN DEFAULT false,
+        priority VARCHAR(20) DEFAULT 'normal', -- 'low', 'normal', 'high', 'urgent'
+        action_url VARCHAR(255), -- Optional URL for click action
+        expires_at TIMESTAMP, -- Optional expiration date
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_in_app_notifications_user_id ON in_app_notifications(user_id);
+      CREATE INDEX IF NOT EXISTS idx_in_app_notifications_deadline_id ON in_app_notifications(deadline_id);
+      CREATE INDEX IF NOT EXISTS idx_in_app_notifications_type ON in_app_notifications(type);
+      CREATE INDEX IF NOT EXISTS idx_in_app_notifications_is_read ON in_app_notifications(is_read);
+      CREATE INDEX IF NOT EXISTS idx_in_app_notifications_created_at ON in_app_notifications(created_at);
+    `);
+
+    // Every deadline owner is also an 'owner' collaborator (was /fix-missing-owners)
+    await client.query(`
+      INSERT INTO deadline_collaborators (deadline_id, user_id, role, can_edit, can_delete)
+      SELECT d.id, d.student_id, 'owner', true, true
+      FROM deadlines d
+      WHERE d.student_id IS NOT NULL
+      ON CONFLICT (deadline_id, user_id) DO NOTHING
+    `);
+
+    // Rebuild the denormalized collaborators list (was /migrate-collaborators)
+    await client.query(`
+      UPDATE deadlines d
+      SET collaborators = COALESCE((
+        SELECT jsonb_agg(jsonb_build_object(
+          'user_id', dc.user_id,
+          'role', dc.role,
+          'can_edit', dc.can_edit,
+          'can_delete', dc.can_delete,
+          'joined_at', dc.joined_at,
+          'username', u.username,
+          'full_name', u.full_name,
+          'email', u.email
+        ) ORDER BY dc.role DESC, u.username)
+        FROM deadline_collaborators dc
+        JOIN users u ON dc.user_id = u.id
+        WHERE dc.deadline_id = d.id
+      ), '[]'::jsonb)
+    `);
+  },
+
+  async down(client) {
+    await client.query(`
+      DROP TABLE IF EXISTS in_app_notifications;
+      DROP TABLE IF EXISTS deadline_collaborators;
+      DROP TABLE IF EXISTS deadlines;
+      DROP TABLE IF EXISTS friends;
+      DROP TABLE IF EXISTS users;
+    `);
+  }
+};
@@ -0,0 +1,29 @@
+// Recurring deadlines: each occurrence is its own row linked to the first one through series_id.
+
+module.exports = {
+  description: 'Add recurrence columns to deadlines',
+
+  async up(client) {
+    await client.query(`
+      ALTER TABLE deadlines ADD COLUMN IF NOT EXISTS recurrence_rule JSONB;
+      ALTER TABLE deadlines ADD COLUMN IF NOT EXISTS series_id INTEGER REFERENCES deadlines(id) ON DELETE SET NULL;
+      ALTER TABLE deadlines ADD COLUMN IF NOT EXISTS occurrence_index INTEGER DEFAULT 1;
+      ALTER TABLE deadlines ADD COLUMN IF NOT EXISTS occurrence_date TIMESTAMP;
+      ALTER TABLE deadlines ADD COLUMN IF NOT EXISTS next_occurrence_generated BOOLEAN DEFAULT false;
+
+      CREATE INDEX IF NOT EXISTS idx_deadlines_series_id ON deadlines(series_id);
+    `);
+  },
+
+  async down(client) {
+    await client.query(`
+      DROP INDEX IF EXISTS idx_deadlines_series_id;
+
+      ALTER TABLE deadlines DROP COLUMN IF EXISTS next_occurrence_generated;
+      ALTER TABLE deadlines DROP COLUMN IF EXISTS occurrence_date;
+      ALTER TABLE deadlines DROP COLUMN IF EXISTS occurrence_index;
+      ALTER TABLE deadlines DROP COLUMN IF EXISTS series_id;
+      ALTER TABLE deadlines DROP COLUMN IF EXISTS recurrence_rule;
+    `);
+  }
+};
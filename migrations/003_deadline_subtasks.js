@@ -0,0 +1,28 @@
+// Ordered checklist items inside a deadline.
+
+module.exports = {
+  description: 'Create deadline_subtasks',
+
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS deadline_subtasks (
+        id SERIAL PRIMARY KEY,
+        deadline_id INTEGER REFERENCES deadlines(id) ON DELETE CASCADE,
+        title VARCHAR(255) NOT NULL,
+        is_done BOOLEAN DEFAULT false,
+        position INTEGER NOT NULL DEFAULT 0,
+        due_date TIMESTAMP,
+        assignee_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        completed_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_deadline_subtasks_deadline_id ON deadline_subtasks(deadline_id, position);
+    `);
+  },
+
+  async down(client) {
+    await client.query('DROP TABLE IF EXISTS deadline_subtasks');
+  }
+};
@@ -0,0 +1,23 @@
+// Email verification state. Accounts that exist when this runs keep receiving email,
+// so they are marked verified; new registrations start unverified.
+
+module.exports = {
+  description: 'Add email_verified to users',
+
+  async up(client) {
+    await client.query(`
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified BOOLEAN DEFAULT false;
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMP;
+
+      UPDATE users SET email_verified = true, email_verified_at = COALESCE(created_at, CURRENT_TIMESTAMP)
+      WHERE email_verified_at IS NULL;
+    `);
+  },
+
+  async down(client) {
+    await client.query(`
+      ALTER TABLE users DROP COLUMN IF EXISTS email_verified_at;
+      ALTER TABLE users DROP COLUMN IF EXISTS email_verified;
+    `);
+  }
+};
@@ -0,0 +1,36 @@
+// Optional TOTP two-factor authentication. Secrets are stored encrypted, recovery codes as SHA-256 hashes.
+
+module.exports = {
+  description: 'Add TOTP two-factor columns and recovery codes',
+
+  async up(client) {
+    await client.query(`
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS two_factor_enabled BOOLEAN DEFAULT false;
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS two_factor_secret TEXT;
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS two_factor_pending_secret TEXT;
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS two_factor_last_step BIGINT;
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS two_factor_enabled_at TIMESTAMP;
+
+      CREATE TABLE IF NOT EXISTS two_factor_recovery_codes (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        code_hash VARCHAR(64) NOT NULL,
+        used_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(user_id, code_hash)
+      );
+    `);
+  },
+
+  async down(client) {
+    await client.query(`
+      DROP TABLE IF EXISTS two_factor_recovery_codes;
+
+      ALTER TABLE users DROP COLUMN IF EXISTS two_factor_enabled_at;
+      ALTER TABLE users DROP COLUMN IF EXISTS two_factor_last_step;
+      ALTER TABLE users DROP COLUMN IF EXISTS two_factor_pending_secret;
+      ALTER TABLE users DROP COLUMN IF EXISTS two_factor_secret;
+      ALTER TABLE users DROP COLUMN IF EXISTS two_factor_enabled;
+    `);
+  }
+};
@@ -0,0 +1,29 @@
+// Named, scoped API tokens for scripts and integrations. Only a SHA-256 hash of each token is stored.
+
+module.exports = {
+  description: 'Create personal_access_tokens',
+
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS personal_access_tokens (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        name VARCHAR(100) NOT NULL,
+        token_hash VARCHAR(64) UNIQUE NOT NULL,
+        token_prefix VARCHAR(16) NOT NULL,
+        scopes JSONB NOT NULL DEFAULT '[]',
+        expires_at TIMESTAMP NOT NULL,
+        last_used_at TIMESTAMP,
+        last_used_ip VARCHAR(45),
+        revoked_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_personal_access_tokens_user_id ON personal_access_tokens(user_id);
+    `);
+  },
+
+  async down(client) {
+    await client.query('DROP TABLE IF EXISTS personal_access_tokens');
+  }
+};
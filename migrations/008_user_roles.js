@@ -0,0 +1,24 @@
+// Roles drive route permissions (see middleware/permissions.js), so only known values are allowed.
+
+module.exports = {
+  description: 'Restrict users.role to student, teacher or admin',
+
+  async up(client) {
+    await client.query(`
+      UPDATE users SET role = 'student'
+      WHERE role IS NULL OR role NOT IN ('student', 'teacher', 'admin');
+
+      ALTER TABLE users ALTER COLUMN role SET DEFAULT 'student';
+      ALTER TABLE users ALTER COLUMN role SET NOT NULL;
+      ALTER TABLE users DROP CONSTRAINT IF EXISTS users_role_check;
+      ALTER TABLE users ADD CONSTRAINT users_role_check CHECK (role IN ('student', 'teacher', 'admin'));
+    `);
+  },
+
+  async down(client) {
+    await client.query(`
+      ALTER TABLE users DROP CONSTRAINT IF EXISTS users_role_check;
+      ALTER TABLE users ALTER COLUMN role DROP NOT NULL;
+    `);
+  }
+};
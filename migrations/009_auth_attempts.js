@@ -0,0 +1,26 @@
+// Failed authentication attempts per account (email) and per IP address. Kept in Postgres
+// so throttling and lockouts apply across every API instance.
+
+module.exports = {
+  description: 'Create auth_attempts for login throttling and lockout',
+
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS auth_attempts (
+        id SERIAL PRIMARY KEY,
+        action VARCHAR(30) NOT NULL,
+        subject_type VARCHAR(10) NOT NULL CHECK (subject_type IN ('account', 'ip')),
+        subject VARCHAR(255) NOT NULL,
+        failure_count INTEGER NOT NULL DEFAULT 0,
+        last_failure_at TIMESTAMP,
+        next_attempt_at TIMESTAMP,
+        locked_until TIMESTAMP,
+        UNIQUE(action, subject_type, subject)
+      );
+    `);
+  },
+
+  async down(client) {
+    await client.query('DROP TABLE IF EXISTS auth_attempts');
+  }
+};
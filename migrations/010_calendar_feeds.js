@@ -0,0 +1,22 @@
+// Secret per-user iCalendar feed URLs. Only a SHA-256 hash of the token is stored;
+// the URL is shown once when the token is created or rotated.
+
+module.exports = {
+  description: 'Create calendar_feeds',
+
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS calendar_feeds (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+        token_hash VARCHAR(64) UNIQUE NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_accessed_at TIMESTAMP
+      );
+    `);
+  },
+
+  async down(client) {
+    await client.query('DROP TABLE IF EXISTS calendar_feeds');
+  }
+};
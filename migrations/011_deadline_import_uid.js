@@ -0,0 +1,21 @@
+// UID of the calendar entry a deadline was imported from, so re-importing the same file skips it.
+
+module.exports = {
+  description: 'Add import_uid to deadlines',
+
+  async up(client) {
+    await client.query(`
+      ALTER TABLE deadlines ADD COLUMN IF NOT EXISTS import_uid VARCHAR(255);
+
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_deadlines_student_import_uid
+        ON deadlines(student_id, import_uid) WHERE import_uid IS NOT NULL;
+    `);
+  },
+
+  async down(client) {
+    await client.query(`
+      DROP INDEX IF EXISTS idx_deadlines_student_import_uid;
+      ALTER TABLE deadlines DROP COLUMN IF EXISTS import_uid;
+    `);
+  }
+};
@@ -0,0 +1,43 @@
+// Publish in-app notification changes on the in_app_notifications channel (LISTEN/NOTIFY),
+// so every API instance can push them to its connected clients whichever process wrote the row.
+
+module.exports = {
+  description: 'Add NOTIFY trigger for in-app notification changes',
+
+  async up(client) {
+    await client.query(`
+      CREATE OR REPLACE FUNCTION notify_in_app_notification_change() RETURNS trigger AS $$
+      DECLARE
+        changed in_app_notifications%ROWTYPE;
+      BEGIN
+        IF TG_OP = 'DELETE' THEN
+          changed := OLD;
+        ELSE
+          changed := NEW;
+        END IF;
+
+        PERFORM pg_notify('in_app_notifications', json_build_object(
+          'event', lower(TG_OP),
+          'id', changed.id,
+          'user_id', changed.user_id,
+          'is_read', changed.is_read
+        )::text);
+
+        RETURN NULL;
+      END;
+      $$ LANGUAGE plpgsql;
+
+      DROP TRIGGER IF EXISTS in_app_notifications_notify ON in_app_notifications;
+      CREATE TRIGGER in_app_notifications_notify
+        AFTER INSERT OR DELETE OR UPDATE OF is_read ON in_app_notifications
+        FOR EACH ROW EXECUTE FUNCTION notify_in_app_notification_change();
+    `);
+  },
+
+  async down(client) {
+    await client.query(`
+      DROP TRIGGER IF EXISTS in_app_notifications_notify ON in_app_notifications;
+      DROP FUNCTION IF EXISTS notify_in_app_notification_change();
+    `);
+  }
+};
@@ -0,0 +1,18 @@
+// Per-deadline reminder schedule, in minutes before the due date. NULL uses the owner's default
+// (notification_preferences.reminder_offsets, or the original 48h / 24h / 12h / 1h reminders).
+
+module.exports = {
+  description: 'Add reminder_offsets to deadlines',
+
+  async up(client) {
+    await client.query(`
+      ALTER TABLE deadlines ADD COLUMN IF NOT EXISTS reminder_offsets INTEGER[];
+    `);
+  },
+
+  async down(client) {
+    await client.query(`
+      ALTER TABLE deadlines DROP COLUMN IF EXISTS reminder_offsets;
+    `);
+  }
+};
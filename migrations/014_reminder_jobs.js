@@ -0,0 +1,36 @@
+// Queue of precomputed deadline reminders. One row per deadline and reminder offset; workers claim
+// due rows with FOR UPDATE SKIP LOCKED, so several server instances can share the queue.
+
+module.exports = {
+  description: 'Create reminder_jobs table',
+
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS reminder_jobs (
+        id SERIAL PRIMARY KEY,
+        deadline_id INTEGER NOT NULL REFERENCES deadlines(id) ON DELETE CASCADE,
+        offset_minutes INTEGER NOT NULL,
+        fire_at TIMESTAMP NOT NULL,
+        run_at TIMESTAMP NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending'
+          CHECK (status IN ('pending', 'running', 'done', 'skipped', 'failed')),
+        attempts INTEGER NOT NULL DEFAULT 0,
+        last_error TEXT,
+        locked_at TIMESTAMP,
+        completed_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (deadline_id, offset_minutes)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_reminder_jobs_due ON reminder_jobs(run_at) WHERE status = 'pending';
+      CREATE INDEX IF NOT EXISTS idx_reminder_jobs_running ON reminder_jobs(locked_at) WHERE status = 'running';
+    `);
+  },
+
+  async down(client) {
+    await client.query(`
+      DROP TABLE IF EXISTS reminder_jobs;
+    `);
+  }
+};
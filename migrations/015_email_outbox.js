@@ -0,0 +1,53 @@
+// Outbox for outgoing email: every message is stored first and delivered by a worker that retries
+// with backoff; messages that keep failing end up 'dead' until an admin re-queues them.
+// email_delivery_log keeps one row per delivery attempt.
+
+module.exports = {
+  description: 'Create email_outbox and email_delivery_log tables',
+
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS email_outbox (
+        id SERIAL PRIMARY KEY,
+        category VARCHAR(50) NOT NULL DEFAULT 'general',
+        to_address VARCHAR(255) NOT NULL,
+        subject TEXT NOT NULL,
+        html TEXT,
+        text TEXT,
+        deadline_id INTEGER REFERENCES deadlines(id) ON DELETE SET NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending'
+          CHECK (status IN ('pending', 'sending', 'sent', 'dead')),
+        attempts INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        locked_at TIMESTAMP,
+        message_id VARCHAR(255),
+        last_error TEXT,
+        sent_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_email_outbox_due ON email_outbox(next_attempt_at) WHERE status = 'pending';
+      CREATE INDEX IF NOT EXISTS idx_email_outbox_status ON email_outbox(status, created_at);
+
+      CREATE TABLE IF NOT EXISTS email_delivery_log (
+        id SERIAL PRIMARY KEY,
+        outbox_id INTEGER NOT NULL REFERENCES email_outbox(id) ON DELETE CASCADE,
+        attempt INTEGER NOT NULL,
+        status VARCHAR(20) NOT NULL CHECK (status IN ('sent', 'failed')),
+        message_id VARCHAR(255),
+        error TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_email_delivery_log_outbox ON email_delivery_log(outbox_id);
+    `);
+  },
+
+  async down(client) {
+    await client.query(`
+      DROP TABLE IF EXISTS email_delivery_log;
+      DROP TABLE IF EXISTS email_outbox;
+    `);
+  }
+};
@@ -0,0 +1,29 @@
+// Notifications held back while the recipient is in quiet hours (notification_preferences.quiet_hours).
+// They are delivered as one batch once the quiet hours are over.
+
+module.exports = {
+  description: 'Create held_notifications table',
+
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS held_notifications (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        deadline_id INTEGER NOT NULL REFERENCES deadlines(id) ON DELETE CASCADE,
+        kind VARCHAR(20) NOT NULL CHECK (kind IN ('reminder', 'overdue')),
+        notification_type VARCHAR(50) NOT NULL,
+        send_email BOOLEAN NOT NULL DEFAULT FALSE,
+        send_in_app BOOLEAN NOT NULL DEFAULT FALSE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_held_notifications_user ON held_notifications(user_id, created_at);
+    `);
+  },
+
+  async down(client) {
+    await client.query(`
+      DROP TABLE IF EXISTS held_notifications;
+    `);
+  }
+};
@@ -0,0 +1,30 @@
+// Per-user timezone (IANA name) and timezone-aware due dates. Existing due dates are converted
+// using the database session's timezone, the one they were compared against (NOW()) so far.
+// daily_summary_sent_on is the user's local date of the last daily summary, so it goes out once
+// per day at 08:00 in each user's own timezone.
+
+module.exports = {
+  description: 'Add users.timezone and store due dates as TIMESTAMPTZ',
+
+  async up(client) {
+    await client.query(`
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS timezone VARCHAR(64) NOT NULL DEFAULT 'UTC';
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS daily_summary_sent_on DATE;
+
+      ALTER TABLE deadlines ALTER COLUMN due_date TYPE TIMESTAMPTZ;
+      ALTER TABLE deadlines ALTER COLUMN occurrence_date TYPE TIMESTAMPTZ;
+      ALTER TABLE deadline_subtasks ALTER COLUMN due_date TYPE TIMESTAMPTZ;
+    `);
+  },
+
+  async down(client) {
+    await client.query(`
+      ALTER TABLE deadline_subtasks ALTER COLUMN due_date TYPE TIMESTAMP;
+      ALTER TABLE deadlines ALTER COLUMN occurrence_date TYPE TIMESTAMP;
+      ALTER TABLE deadlines ALTER COLUMN due_date TYPE TIMESTAMP;
+
+      ALTER TABLE users DROP COLUMN IF EXISTS daily_summary_sent_on;
+      ALTER TABLE users DROP COLUMN IF EXISTS timezone;
+    `);
+  }
+};
@@ -0,0 +1,84 @@
+// Snooze. An in-app notification with snoozed_until in the future is hidden and comes back as unread
+// when the time passes. A snoozed deadline reminder is a held notification with release_at set: it is
+// delivered again at that time (held notifications without release_at wait for quiet hours to end).
+// The NOTIFY payload gains snoozed_until and `woke`, so SSE clients can hide and re-show notifications.
+
+module.exports = {
+  description: 'Add snoozing of in-app notifications and deadline reminders',
+
+  async up(client) {
+    await client.query(`
+      ALTER TABLE in_app_notifications ADD COLUMN IF NOT EXISTS snoozed_until TIMESTAMPTZ;
+      CREATE INDEX IF NOT EXISTS idx_in_app_notifications_snoozed ON in_app_notifications(snoozed_until)
+        WHERE snoozed_until IS NOT NULL;
+
+      ALTER TABLE held_notifications ADD COLUMN IF NOT EXISTS release_at TIMESTAMPTZ;
+    `);
+
+    await client.query(`
+      CREATE OR REPLACE FUNCTION notify_in_app_notification_change() RETURNS trigger AS $$
+      DECLARE
+        changed in_app_notifications%ROWTYPE;
+      BEGIN
+        IF TG_OP = 'DELETE' THEN
+          changed := OLD;
+        ELSE
+          changed := NEW;
+        END IF;
+
+        PERFORM pg_notify('in_app_notifications', json_build_object(
+          'event', lower(TG_OP),
+          'id', changed.id,
+          'user_id', changed.user_id,
+          'is_read', changed.is_read,
+          'snoozed_until', changed.snoozed_until,
+          'woke', TG_OP = 'UPDATE' AND OLD.snoozed_until IS NOT NULL AND NEW.snoozed_until IS NULL
+        )::text);
+
+        RETURN NULL;
+      END;
+      $$ LANGUAGE plpgsql;
+
+      DROP TRIGGER IF EXISTS in_app_notifications_notify ON in_app_notifications;
+      CREATE TRIGGER in_app_notifications_notify
+        AFTER INSERT OR DELETE OR UPDATE OF is_read, snoozed_until ON in_app_notifications
+        FOR EACH ROW EXECUTE FUNCTION notify_in_app_notification_change();
+    `);
+  },
+
+  async down(client) {
+    await client.query(`
+      CREATE OR REPLACE FUNCTION notify_in_app_notification_change() RETURNS trigger AS $$
+      DECLARE
+        changed in_app_notifications%ROWTYPE;
+      BEGIN
+        IF TG_OP = 'DELETE' THEN
+          changed := OLD;
+        ELSE
+          changed := NEW;
+        END IF;
+
+        PERFORM pg_notify('in_app_notifications', json_build_object(
+          'event', lower(TG_OP),
+          'id', changed.id,
+          'user_id', changed.user_id,
+          'is_read', changed.is_read
+        )::text);
+
+        RETURN NULL;
+      END;
+      $$ LANGUAGE plpgsql;
+
+      DROP TRIGGER IF EXISTS in_app_notifications_notify ON in_app_notifications;
+      CREATE TRIGGER in_app_notifications_notify
+        AFTER INSERT OR DELETE OR UPDATE OF is_read ON in_app_notifications
+        FOR EACH ROW EXECUTE FUNCTION notify_in_app_notification_change();
+
+      DELETE FROM held_notifications WHERE release_at IS NOT NULL;
+      ALTER TABLE held_notifications DROP COLUMN IF EXISTS release_at;
+
+      DROP INDEX IF EXISTS idx_in_app_notifications_snoozed;
+      ALTER TABLE in_app_notifications DROP COLUMN IF EXISTS snoozed_until;
+    `);
+  }
+};
@@ -0,0 +1,18 @@
+// Reminder jobs remember who already got the reminder, so a retry after a partial failure only goes to
+// the recipients it did not reach.
+
+module.exports = {
+  description: 'Record the recipients a reminder job was delivered to',
+
+  async up(client) {
+    await client.query(`
+      ALTER TABLE reminder_jobs ADD COLUMN IF NOT EXISTS delivered_to INTEGER[] NOT NULL DEFAULT '{}';
+    `);
+  },
+
+  async down(client) {
+    await client.query(`
+      ALTER TABLE reminder_jobs DROP COLUMN IF EXISTS delivered_to;
+    `);
+  }
+};
@@ -0,0 +1,97 @@
+const pool = require('../config/db');
+
+class AuthAttempt {
+  // Rows for the given subjects that currently block another attempt
+  static async findBlocking(action, subjects) {
+    const query = `
+      SELECT subject_type, subject, failure_count, next_attempt_at, locked_until
+      FROM auth_attempts
+      WHERE action = $1
+        AND (subject_type, subject) IN (SELECT * FROM UNNEST($2::varchar[], $3::varchar[]))
+        AND (next_attempt_at > CURRENT_TIMESTAMP OR locked_until > CURRENT_TIMESTAMP)
+    `;
+
+    try {
+      const result = await pool.query(query, [
+        action,
+        subjects.map(s => s.type),
+        subjects.map(s => s.subject)
+      ]);
+      return result.rows;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Count a failure; the count starts over once the last failure is older than the window
+  static async recordFailure(action, subjectType, subject, windowSeconds) {
+    const query = `
+      INSERT INTO auth_attempts (action, subject_type, subject, failure_count, last_failure_at)
+      VALUES ($1, $2, $3, 1, CURRENT_TIMESTAMP)
+      ON CONFLICT (action, subject_type, subject) DO UPDATE SET
+        failure_count = CASE
+          WHEN auth_attempts.last_failure_at < CURRENT_TIMESTAMP - make_interval(secs => $4::integer) THEN 1
+          ELSE auth_attempts.failure_count + 1
+        END,
+        last_failure_at = CURRENT_TIMESTAMP
+      RETURNING id, failure_count
+    `;
+
+    try {
+      const result = await pool.query(query, [action, subjectType, subject, windowSeconds]);
+      return result.rows[0];
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Delay the next attempt and/or lock the subject out
+  static async block(id, delaySeconds, lockoutSeconds) {
+    const query = `
+      UPDATE auth_attempts
+      SET next_attempt_at = CURRENT_TIMESTAMP + make_interval(secs => $2::integer),
+          locked_until = CASE WHEN $3::integer > 0 THEN CURRENT_TIMESTAMP + make_interval(secs => $3::integer) ELSE locked_until END
+      WHERE id = $1
+    `;
+
+    try {
+      await pool.query(query, [id, delaySeconds, lockoutSeconds]);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Forget an account's failures (successful login, password reset, admin unlock)
+  static async clearAccount(subject, actions = null) {
+    const query = `
+      DELETE FROM auth_attempts
+      WHERE subject_type = 'account' AND subject = $1
+        AND ($2::varchar[] IS NULL OR action = ANY($2::varchar[]))
+    `;
+
+    try {
+      const result = await pool.query(query, [subject, actions]);
+      return result.rowCount;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Remove records that no longer affect anything
+  static async deleteStale() {
+    const query = `
+      DELETE FROM auth_attempts
+      WHERE last_failure_at < CURRENT_TIMESTAMP - INTERVAL '1 day'
+        AND (locked_until IS NULL OR locked_until < CURRENT_TIMESTAMP)
+    `;
+
+    try {
+      const result = await pool.query(query);
+      return result.rowCount;
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = AuthAttempt;
@@ -0,0 +1,64 @@
+const pool = require('../config/db');
+
+class CalendarFeed {
+  // Create the user's feed or replace its token (the old URL stops working)
+  static async upsertForUser(userId, tokenHash) {
+    const query = `
+      INSERT INTO calendar_feeds (user_id, token_hash)
+      VALUES ($1, $2)
+      ON CONFLICT (user_id) DO UPDATE SET
+        token_hash = EXCLUDED.token_hash,
+        created_at = CURRENT_TIMESTAMP,
+        last_accessed_at = NULL
+      RETURNING id, created_at, last_accessed_at
+    `;
+
+    try {
+      const result = await pool.query(query, [userId, tokenHash]);
+      return result.rows[0];
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  static async findByUserId(userId) {
+    const query = 'SELECT id, created_at, last_accessed_at FROM calendar_feeds WHERE user_id = $1';
+
+    try {
+      const result = await pool.query(query, [userId]);
+      return result.rows[0];
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Resolve a feed token and record the access
+  static async findByTokenHash(tokenHash) {
+    const query = `
+      UPDATE calendar_feeds
+      SET last_accessed_at = CURRENT_TIMESTAMP
+      WHERE token_hash = $1
+      RETURNING id, user_id
+    `;
+
+    try {
+      const result = await pool.query(query, [tokenHash]);
+      return result.rows[0];
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  static async deleteForUser(userId) {
+    const query = 'DELETE FROM calendar_feeds WHERE user_id = $1';
+
+    try {
+      const result = await pool.query(query, [userId]);
+      return result.rowCount > 0;
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = CalendarFeed;
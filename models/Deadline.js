@@ -1,66 +1,140 @@
 const pool = require('../config/db');
+const ReminderJob = require('./ReminderJob');
+
+const INSERT_DEADLINE_QUERY = `
+  INSERT INTO deadlines (
+    student_id, title, description, due_date, priority, status, category, subject, estimated_hours, notes,
+    recurrence_rule, series_id, occurrence_index, occurrence_date, import_uid, reminder_offsets
+  )
+  VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $4, $14, $15)
+  RETURNING *
+`;
+
+// Parameters of INSERT_DEADLINE_QUERY, with the column defaults for omitted fields
+const insertDeadlineValues = (deadlineData) => {
+  const {
+    student_id,
+    title,
+    description,
+    due_date,
+    priority = 'medium',
+    status = 'pending',
+    category,
+    subject,
+    estimated_hours,
+    notes,
+    recurrence_rule = null,
+    series_id = null,
+    occurrence_index = 1,
+    import_uid = null,
+    reminder_offsets = null
+  } = deadlineData;
+
+  return [
+    student_id, title, description, due_date, priority, status, category, subject, estimated_hours, notes,
+    recurrence_rule ? JSON.stringify(recurrence_rule) : null, series_id, occurrence_index, import_uid,
+    reminder_offsets
+  ];
+};
+
+// Queue the reminders of deadlines that were just written. The write is saved by then, so a failure is
+// logged rather than thrown; the reminder queue is synced again at startup.
+const scheduleReminders = async (deadlineIds) => {
+  try {
+    await ReminderJob.scheduleForDeadlines(deadlineIds);
+  } catch (error) {
+    console.error('❌ Error scheduling deadline reminders:', error.message);
+  }
+};
 
 class Deadline {
-  // Create deadlines table if it doesn't exist
-  static async createTable() {
-    const query = `
-      CREATE TABLE IF NOT EXISTS deadlines (
-        id SERIAL PRIMARY KEY,
-        student_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-        title VARCHAR(255) NOT NULL,
-        description TEXT,
-        due_date TIMESTAMP NOT NULL,
-        priority VARCHAR(20) DEFAULT 'medium' CHECK (priority IN ('low', 'medium', 'high', 'urgent')),
-        status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'in_progress', 'completed', 'overdue')),
-        category VARCHAR(50),
-        subject VARCHAR(100),
-        estimated_hours INTEGER,
-        actual_hours INTEGER,
-        completion_percentage INTEGER DEFAULT 0 CHECK (completion_percentage >= 0 AND completion_percentage <= 100),
-        notes TEXT,
-        collaborators JSONB DEFAULT '[]',
-        notifications_sent JSONB DEFAULT '{}',
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        completed_at TIMESTAMP
-      )
-    `;
-    
+  // Create a new deadline
+  static async create(deadlineData) {
     try {
-      await pool.query(query);
-      console.log('Deadlines table created successfully');
+      const result = await pool.query(INSERT_DEADLINE_QUERY, insertDeadlineValues(deadlineData));
+      await scheduleReminders([result.rows[0].id]);
+      return result.rows[0];
     } catch (error) {
-      console.error('Error creating deadlines table:', error);
       throw error;
     }
   }
 
-  // Create a new deadline
-  static async create(deadlineData) {
-    const {
-      student_id,
-      title,
-      description,
-      due_date,
-      priority = 'medium',
-      status = 'pending',
-      category,
-      subject,
-      estimated_hours,
-      notes
-    } = deadlineData;
-    
+  // Create deadlines owned by one user in a single transaction: either all of them are created (each
+  // with its owner collaborator row) or none is. With `skipDuplicates`, deadlines whose import_uid the
+  // owner already has are left out instead and come back as null.
+  static async createMany(deadlines, ownerId, { skipDuplicates = false } = {}) {
+    const client = await pool.connect();
+    const created = [];
+
+    try {
+      await client.query('BEGIN');
+
+      for (const deadlineData of deadlines) {
+        const values = insertDeadlineValues({ ...deadlineData, student_id: ownerId });
+        if (!skipDuplicates) {
+          const result = await client.query(INSERT_DEADLINE_QUERY, values);
+          created.push(result.rows[0]);
+          continue;
+        }
+
+        // A failed statement aborts the transaction, so each insert gets a savepoint to roll back to
+        await client.query('SAVEPOINT create_deadline');
+        try {
+          const result = await client.query(INSERT_DEADLINE_QUERY, values);
+          await client.query('RELEASE SAVEPOINT create_deadline');
+          created.push(result.rows[0]);
+        } catch (error) {
+          if (error.code !== '23505') {
+            throw error;
+          }
+          await client.query('ROLLBACK TO SAVEPOINT create_deadline');
+          created.push(null);
+        }
+      }
+
+      const ids = created.filter(Boolean).map(deadline => deadline.id);
+      await client.query(`
+        INSERT INTO deadline_collaborators (deadline_id, user_id, role, can_edit, can_delete)
+        SELECT id, $2, 'owner', true, true FROM unnest($1::int[]) AS id
+      `, [ids, ownerId]);
+
+      // Same shape as DeadlineCollaborator.syncCollaboratorsToDeadline writes
+      await client.query(`
+        UPDATE deadlines d
+        SET collaborators = jsonb_build_array(jsonb_build_object(
+          'user_id', u.id, 'role', 'owner', 'can_edit', true, 'can_delete', true, 'joined_at', CURRENT_TIMESTAMP,
+          'username', u.username, 'full_name', u.full_name, 'email', u.email
+        ))
+        FROM users u
+        WHERE d.id = ANY($1::int[]) AND u.id = $2
+      `, [ids, ownerId]);
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    await scheduleReminders(created.filter(Boolean).map(deadline => deadline.id));
+    return created;
+  }
+
+  // Which of the given calendar UIDs a user has already imported
+  static async findImportedUids(studentId, uids) {
+    if (uids.length === 0) {
+      return new Set();
+    }
+
     const query = `
-      INSERT INTO deadlines (student_id, title, description, due_date, priority, status, category, subject, estimated_hours, notes)
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
-      RETURNING *
+      SELECT import_uid FROM deadlines
+      WHERE student_id = $1 AND import_uid = ANY($2::varchar[])
     `;
-    
+
     try {
-      const result = await pool.query(query, [
-        student_id, title, description, due_date, priority, status, category, subject, estimated_hours, notes
-      ]);
-      return result.rows[0];
+      const result = await pool.query(query, [studentId, uids]);
+      return new Set(result.rows.map(row => row.import_uid));
     } catch (error) {
       throw error;
     }
@@ -251,7 +325,10 @@ class Deadline {
       estimated_hours,
       actual_hours,
       completion_percentage,
-      notes
+      notes,
+      recurrence_rule = null,
+      occurrence_date = due_date,
+      reminder_offsets = null
     } = deadlineData;
 
     const query = `
@@ -259,7 +336,8 @@ class Deadline {
       SET title = $1, description = $2, due_date = $3, priority = $4, status = $5,
           category = $6, subject = $7, estimated_hours = $8, actual_hours = $9,
           completion_percentage = $10, notes = $11, updated_at = CURRENT_TIMESTAMP,
-          completed_at = CASE WHEN $12 = 'completed' AND status != 'completed' THEN CURRENT_TIMESTAMP ELSE completed_at END
+          completed_at = CASE WHEN $12 = 'completed' AND status != 'completed' THEN CURRENT_TIMESTAMP ELSE completed_at END,
+          recurrence_rule = $14, occurrence_date = $15, reminder_offsets = $16
       WHERE id = $13
       RETURNING *
     `;
@@ -267,8 +345,12 @@ class Deadline {
     try {
       const result = await pool.query(query, [
         title, description, due_date, priority, status, category, subject,
-        estimated_hours, actual_hours, completion_percentage, notes, status, id
+        estimated_hours, actual_hours, completion_percentage, notes, status, id,
+        recurrence_rule ? JSON.stringify(recurrence_rule) : null, occurrence_date, reminder_offsets
       ]);
+      if (result.rows[0]) {
+        await scheduleReminders([result.rows[0].id]);
+      }
       return result.rows[0];
     } catch (error) {
       throw error;
@@ -287,6 +369,9 @@ class Deadline {
 
     try {
       const result = await pool.query(query, [status, id, status]);
+      if (result.rows[0]) {
+        await scheduleReminders([result.rows[0].id]);
+      }
       return result.rows[0];
     } catch (error) {
       throw error;
@@ -340,7 +425,7 @@ class Deadline {
       SET status = 'overdue', updated_at = CURRENT_TIMESTAMP
       WHERE due_date < CURRENT_TIMESTAMP 
       AND status NOT IN ('completed', 'overdue')
-      RETURNING id, title
+      RETURNING *
     `;
 
     try {
@@ -351,6 +436,195 @@ class Deadline {
     }
   }
 
+  // Get recurring deadlines whose next occurrence is due to be generated
+  // (the current occurrence was completed or its due date has passed)
+  static async getOccurrencesToAdvance() {
+    const query = `
+      SELECT *
+      FROM deadlines
+      WHERE recurrence_rule IS NOT NULL
+      AND next_occurrence_generated = false
+      AND (status = 'completed' OR due_date < CURRENT_TIMESTAMP)
+      ORDER BY due_date ASC
+    `;
+
+    try {
+      const result = await pool.query(query);
+      return result.rows;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Create the next occurrence of a recurring deadline and mark the previous one as advanced.
+  // Returns null if another process already advanced the series.
+  static async createNextOccurrence(previous, occurrenceDate) {
+    const client = await pool.connect();
+    let occurrence;
+
+    try {
+      await client.query('BEGIN');
+
+      // Claim the previous occurrence so concurrent runs don't generate duplicates
+      const claimResult = await client.query(`
+        UPDATE deadlines
+        SET next_occurrence_generated = true, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1 AND next_occurrence_generated = false
+        RETURNING id
+      `, [previous.id]);
+
+      if (claimResult.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      const insertResult = await client.query(`
+        INSERT INTO deadlines (
+          student_id, title, description, due_date, priority, status, category, subject,
+          estimated_hours, notes, recurrence_rule, series_id, occurrence_index, occurrence_date, reminder_offsets
+        )
+        VALUES ($1, $2, $3, $4, $5, 'pending', $6, $7, $8, $9, $10, $11, $12, $4, $13)
+        RETURNING *
+      `, [
+        previous.student_id,
+        previous.title,
+        previous.description,
+        occurrenceDate,
+        previous.priority,
+        previous.category,
+        previous.subject,
+        previous.estimated_hours,
+        previous.notes,
+        JSON.stringify(previous.recurrence_rule),
+        previous.series_id || previous.id,
+        (previous.occurrence_index || 1) + 1,
+        previous.reminder_offsets
+      ]);
+
+      await client.query('COMMIT');
+      occurrence = insertResult.rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    await scheduleReminders([occurrence.id]);
+    return occurrence;
+  }
+
+  // Mark a recurring deadline as the last of its series (no further occurrences)
+  static async markSeriesEnded(id) {
+    const query = `
+      UPDATE deadlines
+      SET next_occurrence_generated = true, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING id
+    `;
+
+    try {
+      const result = await pool.query(query, [id]);
+      return result.rows[0];
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Get occurrences of the same series that come after the given one
+  static async getLaterOccurrences(deadline) {
+    const query = `
+      SELECT *
+      FROM deadlines
+      WHERE (series_id = $1 OR id = $1)
+      AND occurrence_index > $2
+      ORDER BY occurrence_index ASC
+    `;
+
+    try {
+      const result = await pool.query(query, [deadline.series_id || deadline.id, deadline.occurrence_index || 1]);
+      return result.rows;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Apply field changes to later, not yet completed occurrences of a series ("this and following")
+  static async updateLaterOccurrences(deadline, fields) {
+    const allowedFields = [
+      'title', 'description', 'priority', 'category', 'subject', 'estimated_hours', 'notes', 'recurrence_rule', 'reminder_offsets'
+    ];
+    const setParts = [];
+    const params = [deadline.series_id || deadline.id, deadline.occurrence_index || 1];
+    let paramCount = 2;
+
+    for (const field of allowedFields) {
+      if (fields[field] !== undefined) {
+        paramCount++;
+        setParts.push(`${field} = $${paramCount}`);
+        params.push(field === 'recurrence_rule' && fields[field] ? JSON.stringify(fields[field]) : fields[field]);
+      }
+    }
+
+    if (setParts.length === 0) {
+      return [];
+    }
+
+    const query = `
+      UPDATE deadlines
+      SET ${setParts.join(', ')}, updated_at = CURRENT_TIMESTAMP
+      WHERE (series_id = $1 OR id = $1)
+      AND occurrence_index > $2
+      AND status != 'completed'
+      RETURNING *
+    `;
+
+    try {
+      const result = await pool.query(query, params);
+      await scheduleReminders(result.rows.map(row => row.id));
+      return result.rows;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Remove later occurrences that have not been started so the series can be regenerated
+  // from an edited occurrence, and reset the edited occurrence so it generates its successor again
+  static async resetLaterOccurrences(deadline) {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const deleteResult = await client.query(`
+        DELETE FROM deadlines
+        WHERE (series_id = $1 OR id = $1)
+        AND occurrence_index > $2
+        AND status = 'pending'
+        RETURNING id
+      `, [deadline.series_id || deadline.id, deadline.occurrence_index || 1]);
+
+      // Only re-open the edited occurrence if nothing after it survived (started or completed occurrences are kept)
+      await client.query(`
+        UPDATE deadlines
+        SET next_occurrence_generated = false, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+        AND NOT EXISTS (
+          SELECT 1 FROM deadlines
+          WHERE (series_id = $2 OR id = $2) AND occurrence_index > $3
+        )
+      `, [deadline.id, deadline.series_id || deadline.id, deadline.occurrence_index || 1]);
+
+      await client.query('COMMIT');
+      return deleteResult.rows;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
   // Create a copy of a deadline for a specific user
   static async createCopy(originalDeadlineId, newOwnerId, copyData = {}) {
     try {
@@ -406,6 +680,7 @@ class Deadline {
         original.notes
       ]);
       
+      await scheduleReminders([result.rows[0].id]);
       return result.rows[0];
     } catch (error) {
       throw error;
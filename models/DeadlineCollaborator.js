@@ -3,30 +3,6 @@ const pool = require('../config/db');
 let Deadline;
 
 class DeadlineCollaborator {
-  // Create deadline_collaborators table if it doesn't exist
-  static async createTable() {
-    const query = `
-      CREATE TABLE IF NOT EXISTS deadline_collaborators (
-        id SERIAL PRIMARY KEY,
-        deadline_id INTEGER REFERENCES deadlines(id) ON DELETE CASCADE,
-        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-        role VARCHAR(20) DEFAULT 'collaborator' CHECK (role IN ('owner', 'collaborator')),
-        can_edit BOOLEAN DEFAULT true,
-        can_delete BOOLEAN DEFAULT false,
-        joined_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        UNIQUE(deadline_id, user_id)
-      )
-    `;
-    
-    try {
-      await pool.query(query);
-      console.log('Deadline collaborators table created successfully');
-    } catch (error) {
-      console.error('Error creating deadline collaborators table:', error);
-      throw error;
-    }
-  }
-
   // Add collaborator to deadline
   static async addCollaborator(deadlineId, userId, role = 'collaborator', permissions = {}) {
     const { can_edit = true, can_delete = false } = permissions;
@@ -133,6 +109,29 @@ class DeadlineCollaborator {
     }
   }
 
+  // Copy collaborator rows from one deadline to another (used for recurring occurrences)
+  static async copyCollaborators(fromDeadlineId, toDeadlineId) {
+    try {
+      const query = `
+        INSERT INTO deadline_collaborators (deadline_id, user_id, role, can_edit, can_delete)
+        SELECT $2, user_id, role, can_edit, can_delete
+        FROM deadline_collaborators
+        WHERE deadline_id = $1
+        ON CONFLICT (deadline_id, user_id) DO NOTHING
+        RETURNING *
+      `;
+
+      const result = await pool.query(query, [fromDeadlineId, toDeadlineId]);
+
+      // Sync collaborators to deadline table
+      await this.syncCollaboratorsToDeadline(toDeadlineId);
+
+      return result.rows;
+    } catch (error) {
+      throw error;
+    }
+  }
+
   // Get deadline collaborators
   static async getCollaborators(deadlineId) {
     try {
@@ -385,12 +384,12 @@ class DeadlineCollaborator {
   static async getNotificationRecipients(deadlineId) {
     try {
       const query = `
-        SELECT u.id as user_id, u.email, u.username, u.full_name, dc.role
+        SELECT u.id as user_id, u.email, u.username, u.full_name, u.timezone, dc.role
         FROM deadline_collaborators dc
         JOIN users u ON dc.user_id = u.id
         WHERE dc.deadline_id = $1
         UNION
-        SELECT u.id as user_id, u.email, u.username, u.full_name, 'owner' as role
+        SELECT u.id as user_id, u.email, u.username, u.full_name, u.timezone, 'owner' as role
         FROM deadlines d
         JOIN users u ON d.student_id = u.id
         WHERE d.id = $1
@@ -0,0 +1,226 @@
+const pool = require('../config/db');
+
+class DeadlineSubtask {
+  // Create a subtask at the end of the deadline's checklist
+  static async create(subtaskData) {
+    const { deadline_id, title, due_date = null, assignee_id = null } = subtaskData;
+
+    const query = `
+      INSERT INTO deadline_subtasks (deadline_id, title, due_date, assignee_id, position)
+      VALUES ($1, $2, $3, $4, (
+        SELECT COALESCE(MAX(position), 0) + 1 FROM deadline_subtasks WHERE deadline_id = $1
+      ))
+      RETURNING *
+    `;
+
+    try {
+      const result = await pool.query(query, [deadline_id, title, due_date, assignee_id]);
+      await this.syncCompletionToDeadline(deadline_id);
+      return result.rows[0];
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Find subtask by ID within a deadline
+  static async findById(deadlineId, subtaskId) {
+    const query = 'SELECT * FROM deadline_subtasks WHERE id = $1 AND deadline_id = $2';
+
+    try {
+      const result = await pool.query(query, [subtaskId, deadlineId]);
+      return result.rows[0];
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Get the ordered checklist of a deadline
+  static async findByDeadlineId(deadlineId) {
+    const query = `
+      SELECT s.*, u.username as assignee_username, u.full_name as assignee_name
+      FROM deadline_subtasks s
+      LEFT JOIN users u ON s.assignee_id = u.id
+      WHERE s.deadline_id = $1
+      ORDER BY s.position ASC, s.id ASC
+    `;
+
+    try {
+      const result = await pool.query(query, [deadlineId]);
+      return result.rows;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Update subtask fields (only provided fields are changed)
+  static async update(deadlineId, subtaskId, updates) {
+    const { title, is_done, due_date, assignee_id } = updates;
+
+    const setParts = [];
+    const params = [subtaskId, deadlineId];
+    let paramCount = 2;
+
+    if (title !== undefined) {
+      paramCount++;
+      setParts.push(`title = $${paramCount}`);
+      params.push(title);
+    }
+
+    if (is_done !== undefined) {
+      paramCount++;
+      setParts.push(`is_done = $${paramCount}`);
+      setParts.push(`completed_at = CASE WHEN $${paramCount} THEN COALESCE(completed_at, CURRENT_TIMESTAMP) ELSE NULL END`);
+      params.push(is_done);
+    }
+
+    if (due_date !== undefined) {
+      paramCount++;
+      setParts.push(`due_date = $${paramCount}`);
+      params.push(due_date);
+    }
+
+    if (assignee_id !== undefined) {
+      paramCount++;
+      setParts.push(`assignee_id = $${paramCount}`);
+      params.push(assignee_id);
+    }
+
+    if (setParts.length === 0) {
+      throw new Error('No updates provided');
+    }
+
+    const query = `
+      UPDATE deadline_subtasks
+      SET ${setParts.join(', ')}, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND deadline_id = $2
+      RETURNING *
+    `;
+
+    try {
+      const result = await pool.query(query, params);
+      await this.syncCompletionToDeadline(deadlineId);
+      return result.rows[0];
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Delete subtask
+  static async delete(deadlineId, subtaskId) {
+    const query = 'DELETE FROM deadline_subtasks WHERE id = $1 AND deadline_id = $2 RETURNING id';
+
+    try {
+      const result = await pool.query(query, [subtaskId, deadlineId]);
+      await this.syncCompletionToDeadline(deadlineId);
+      return result.rows[0];
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Reorder a deadline's subtasks; orderedIds must contain every subtask of the deadline
+  static async reorder(deadlineId, orderedIds) {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const existing = await client.query(
+        'SELECT id FROM deadline_subtasks WHERE deadline_id = $1 FOR UPDATE',
+        [deadlineId]
+      );
+      const existingIds = existing.rows.map(row => row.id).sort((a, b) => a - b);
+      const requestedIds = [...orderedIds].sort((a, b) => a - b);
+
+      if (existingIds.length !== requestedIds.length || existingIds.some((id, i) => id !== requestedIds[i])) {
+        throw new Error('Subtask order must include every subtask of the deadline exactly once');
+      }
+
+      for (let i = 0; i < orderedIds.length; i++) {
+        await client.query(
+          'UPDATE deadline_subtasks SET position = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+          [i + 1, orderedIds[i]]
+        );
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    return this.findByDeadlineId(deadlineId);
+  }
+
+  // Get subtask progress for a deadline
+  static async getProgress(deadlineId) {
+    const query = `
+      SELECT COUNT(*) as total, COUNT(CASE WHEN is_done THEN 1 END) as done
+      FROM deadline_subtasks
+      WHERE deadline_id = $1
+    `;
+
+    try {
+      const result = await pool.query(query, [deadlineId]);
+      const total = parseInt(result.rows[0].total) || 0;
+      const done = parseInt(result.rows[0].done) || 0;
+
+      return {
+        total,
+        done,
+        percentage: total > 0 ? Math.round((done / total) * 100) : null
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Derive deadline.completion_percentage from its subtasks (left untouched when there are none)
+  static async syncCompletionToDeadline(deadlineId) {
+    const query = `
+      UPDATE deadlines d
+      SET completion_percentage = s.percentage, updated_at = CURRENT_TIMESTAMP
+      FROM (
+        SELECT ROUND(100.0 * COUNT(CASE WHEN is_done THEN 1 END) / COUNT(*))::int as percentage
+        FROM deadline_subtasks
+        WHERE deadline_id = $1
+        HAVING COUNT(*) > 0
+      ) s
+      WHERE d.id = $1
+      RETURNING d.completion_percentage
+    `;
+
+    try {
+      const result = await pool.query(query, [deadlineId]);
+      return result.rows[0] ? result.rows[0].completion_percentage : null;
+    } catch (error) {
+      console.error('Error syncing subtask completion to deadline:', error);
+      throw error;
+    }
+  }
+
+  // Copy a checklist to another deadline (used for recurring occurrences).
+  // Items start undone and their own due dates are shifted by the same offset as the deadline.
+  static async copyToDeadline(fromDeadlineId, toDeadlineId, fromDueDate, toDueDate) {
+    const query = `
+      INSERT INTO deadline_subtasks (deadline_id, title, position, due_date, assignee_id)
+      SELECT $2, title, position, due_date + ($4::timestamptz - $3::timestamptz), assignee_id
+      FROM deadline_subtasks
+      WHERE deadline_id = $1
+      ORDER BY position ASC
+      RETURNING *
+    `;
+
+    try {
+      const result = await pool.query(query, [fromDeadlineId, toDeadlineId, fromDueDate, toDueDate]);
+      await this.syncCompletionToDeadline(toDeadlineId);
+      return result.rows;
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = DeadlineSubtask;
@@ -0,0 +1,249 @@
+const pool = require('../config/db');
+
+// Channel on which new and re-queued messages are announced to the outbox workers
+const OUTBOX_CHANNEL = 'email_outbox';
+
+// Columns returned to admins; message bodies can contain reset and verification links, so they
+// never leave the database
+const SUMMARY_COLUMNS = `
+  id, category, to_address, subject, deadline_id, status, attempts, next_attempt_at,
+  message_id, last_error, sent_at, created_at, updated_at
+`;
+
+class EmailOutbox {
+  static get CHANNEL() {
+    return OUTBOX_CHANNEL;
+  }
+
+  static async enqueue({ category = 'general', to, subject, html = null, text = null, deadlineId = null }) {
+    const query = `
+      WITH inserted AS (
+        INSERT INTO email_outbox (category, to_address, subject, html, text, deadline_id)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING id
+      )
+      SELECT id, pg_notify($7, json_build_object('id', id)::text) FROM inserted
+    `;
+
+    try {
+      const result = await pool.query(query, [category, to, subject, html, text, deadlineId, OUTBOX_CHANNEL]);
+      return result.rows[0].id;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Claim due messages for this worker; rows claimed by other instances are skipped, not waited for
+  static async claimDue(limit) {
+    const query = `
+      UPDATE email_outbox
+      SET status = 'sending', attempts = attempts + 1, locked_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE id IN (
+        SELECT id FROM email_outbox
+        WHERE status = 'pending' AND next_attempt_at <= CURRENT_TIMESTAMP
+        ORDER BY next_attempt_at
+        LIMIT $1
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING *
+    `;
+
+    try {
+      const result = await pool.query(query, [limit]);
+      return result.rows;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // The body is dropped once delivered; the delivery log keeps the message id
+  static async markSent(id, messageId) {
+    const query = `
+      WITH updated AS (
+        UPDATE email_outbox
+        SET status = 'sent', message_id = $2, last_error = NULL, html = NULL, text = NULL,
+            locked_at = NULL, sent_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+        RETURNING id, attempts
+      )
+      INSERT INTO email_delivery_log (outbox_id, attempt, status, message_id)
+      SELECT id, attempts, 'sent', $2 FROM updated
+    `;
+
+    try {
+      await pool.query(query, [id, messageId || null]);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Record a failed attempt; with a delay the message is retried, without one it becomes dead
+  static async markFailed(id, errorMessage, retryDelaySeconds = null) {
+    const query = `
+      WITH updated AS (
+        UPDATE email_outbox
+        SET status = CASE WHEN $3::integer IS NULL THEN 'dead' ELSE 'pending' END,
+            next_attempt_at = CASE
+              WHEN $3::integer IS NULL THEN next_attempt_at
+              ELSE CURRENT_TIMESTAMP + make_interval(secs => $3::integer)
+            END,
+            last_error = $2, locked_at = NULL, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+        RETURNING id, attempts
+      )
+      INSERT INTO email_delivery_log (outbox_id, attempt, status, error)
+      SELECT id, attempts, 'failed', $2 FROM updated
+    `;
+
+    try {
+      await pool.query(query, [id, errorMessage, retryDelaySeconds]);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Messages left sending by a worker that died are handed out again
+  static async releaseStale(minutes) {
+    const query = `
+      UPDATE email_outbox
+      SET status = 'pending', locked_at = NULL, next_attempt_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE status = 'sending' AND locked_at < CURRENT_TIMESTAMP - make_interval(mins => $1::integer)
+    `;
+
+    try {
+      const result = await pool.query(query, [minutes]);
+      return result.rowCount;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  static async findAll({ status, category, limit = 50, offset = 0 } = {}) {
+    const conditions = [];
+    const values = [];
+
+    if (status) {
+      values.push(status);
+      conditions.push(`status = $${values.length}`);
+    }
+    if (category) {
+      values.push(category);
+      conditions.push(`category = $${values.length}`);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const query = `
+      SELECT ${SUMMARY_COLUMNS}, COUNT(*) OVER()::integer AS total_count
+      FROM email_outbox
+      ${where}
+      ORDER BY created_at DESC, id DESC
+      LIMIT $${values.length + 1} OFFSET $${values.length + 2}
+    `;
+
+    try {
+      const result = await pool.query(query, [...values, limit, offset]);
+      return {
+        emails: result.rows.map(({ total_count, ...email }) => email),
+        total: result.rows.length > 0 ? result.rows[0].total_count : 0
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  static async findById(id) {
+    const query = `SELECT ${SUMMARY_COLUMNS} FROM email_outbox WHERE id = $1`;
+
+    try {
+      const result = await pool.query(query, [id]);
+      return result.rows[0] || null;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  static async getDeliveryLog(id) {
+    const query = `
+      SELECT attempt, status, message_id, error, created_at
+      FROM email_delivery_log
+      WHERE outbox_id = $1
+      ORDER BY created_at, id
+    `;
+
+    try {
+      const result = await pool.query(query, [id]);
+      return result.rows;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Put dead messages back in the queue with a fresh set of attempts. The delivery log is kept.
+  static async requeue(id) {
+    return this.requeueWhere('id = $1', [id]);
+  }
+
+  static async requeueAllDead() {
+    return this.requeueWhere('TRUE', []);
+  }
+
+  static async requeueWhere(condition, values) {
+    const query = `
+      WITH requeued AS (
+        UPDATE email_outbox
+        SET status = 'pending', attempts = 0, next_attempt_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+        WHERE status = 'dead' AND ${condition}
+        RETURNING ${SUMMARY_COLUMNS}
+      )
+      SELECT requeued.*, pg_notify($${values.length + 1}, json_build_object('id', id)::text)
+      FROM requeued
+    `;
+
+    try {
+      const result = await pool.query(query, [...values, OUTBOX_CHANNEL]);
+      return result.rows.map(({ pg_notify, ...email }) => email);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  static async deleteSent(days) {
+    const query = `
+      DELETE FROM email_outbox
+      WHERE status = 'sent' AND sent_at < CURRENT_TIMESTAMP - make_interval(days => $1::integer)
+    `;
+
+    try {
+      const result = await pool.query(query, [days]);
+      return result.rowCount;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Message counts by status, plus how late the oldest due message is
+  static async getStats() {
+    const query = `
+      SELECT status, COUNT(*)::integer AS count,
+             MIN(next_attempt_at) FILTER (WHERE status = 'pending' AND next_attempt_at <= CURRENT_TIMESTAMP) AS oldest_due
+      FROM email_outbox
+      GROUP BY status
+    `;
+
+    try {
+      const result = await pool.query(query);
+      const stats = { pending: 0, sending: 0, sent: 0, dead: 0, oldest_due: null };
+      for (const row of result.rows) {
+        stats[row.status] = row.count;
+        if (row.oldest_due) {
+          stats.oldest_due = row.oldest_due;
+        }
+      }
+      return stats;
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = EmailOutbox;
@@ -1,31 +1,6 @@
 const pool = require('../config/db');
 
 class Friend {
-  // Create friends table if it doesn't exist
-  static async createTable() {
-    const query = `
-      CREATE TABLE IF NOT EXISTS friends (
-        id SERIAL PRIMARY KEY,
-        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-        friend_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-        status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'accepted', 'declined', 'blocked')),
-        requested_by INTEGER REFERENCES users(id) ON DELETE CASCADE,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        UNIQUE(user_id, friend_id),
-        CHECK (user_id != friend_id)
-      )
-    `;
-    
-    try {
-      await pool.query(query);
-      console.log('Friends table created successfully');
-    } catch (error) {
-      console.error('Error creating friends table:', error);
-      throw error;
-    }
-  }
-
   // Send friend request
   static async sendFriendRequest(userId, friendId) {
     try {
@@ -0,0 +1,82 @@
+const pool = require('../config/db');
+
+// Reminders and overdue alerts held back during the recipient's quiet hours (see utils/quietHours.js),
+// and snoozed reminders, which are held until their release_at
+class HeldNotification {
+  static async create({ userId, deadlineId, kind, notificationType, sendEmail, sendInApp, releaseAt = null }) {
+    const query = `
+      INSERT INTO held_notifications (user_id, deadline_id, kind, notification_type, send_email, send_in_app, release_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING *
+    `;
+
+    try {
+      const result = await pool.query(query, [userId, deadlineId, kind, notificationType, sendEmail, sendInApp, releaseAt]);
+      return result.rows[0];
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Snooze a user's reminders for a deadline again: the new snooze replaces the previous one
+  static async replaceSnooze({ userId, deadlineId, sendEmail, sendInApp, releaseAt }) {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+      await client.query(
+        'DELETE FROM held_notifications WHERE user_id = $1 AND deadline_id = $2 AND release_at IS NOT NULL',
+        [userId, deadlineId]
+      );
+      const result = await client.query(`
+        INSERT INTO held_notifications (user_id, deadline_id, kind, notification_type, send_email, send_in_app, release_at)
+        VALUES ($1, $2, 'reminder', 'snoozed', $3, $4, $5)
+        RETURNING *
+      `, [userId, deadlineId, sendEmail, sendInApp, releaseAt]);
+      await client.query('COMMIT');
+      return result.rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Users with notifications that may go out once they are not in quiet hours (snoozed ones count from
+  // their release time)
+  static async getUserIds() {
+    const query = `
+      SELECT DISTINCT user_id FROM held_notifications
+      WHERE release_at IS NULL OR release_at <= CURRENT_TIMESTAMP
+    `;
+
+    try {
+      const result = await pool.query(query);
+      return result.rows.map(row => row.user_id);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Remove and return a user's held notifications that are due, oldest first
+  static async takeForUser(userId) {
+    const query = `
+      WITH taken AS (
+        DELETE FROM held_notifications
+        WHERE user_id = $1 AND (release_at IS NULL OR release_at <= CURRENT_TIMESTAMP)
+        RETURNING *
+      )
+      SELECT * FROM taken ORDER BY created_at, id
+    `;
+
+    try {
+      const result = await pool.query(query, [userId]);
+      return result.rows;
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = HeldNotification;
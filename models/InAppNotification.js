@@ -1,42 +1,7 @@
 const pool = require('../config/db');
+const { formatDateTime } = require('../utils/timezone');
 
 class InAppNotification {
-  // Create in_app_notifications table if it doesn't exist
-  static async createTable() {
-    const query = `
-      CREATE TABLE IF NOT EXISTS in_app_notifications (
-        id SERIAL PRIMARY KEY,
-        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-        deadline_id INTEGER REFERENCES deadlines(id) ON DELETE CASCADE,
-        type VARCHAR(50) NOT NULL, -- 'reminder', 'overdue', 'deadline_shared', 'deadline_updated', etc.
-        title VARCHAR(255) NOT NULL,
-        message TEXT NOT NULL,
-        data JSONB DEFAULT '{}'::jsonb, -- Additional data like deadline info, time remaining, etc.
-        is_read BOOLEAN DEFAULT false,
-        priority VARCHAR(20) DEFAULT 'normal', -- 'low', 'normal', 'high', 'urgent'
-        action_url VARCHAR(255), -- Optional URL for click action
-        expires_at TIMESTAMP, -- Optional expiration date
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      );
-
-      -- Create indexes for better performance
-      CREATE INDEX IF NOT EXISTS idx_in_app_notifications_user_id ON in_app_notifications(user_id);
-      CREATE INDEX IF NOT EXISTS idx_in_app_notifications_deadline_id ON in_app_notifications(deadline_id);
-      CREATE INDEX IF NOT EXISTS idx_in_app_notifications_type ON in_app_notifications(type);
-      CREATE INDEX IF NOT EXISTS idx_in_app_notifications_is_read ON in_app_notifications(is_read);
-      CREATE INDEX IF NOT EXISTS idx_in_app_notifications_created_at ON in_app_notifications(created_at);
-    `;
-    
-    try {
-      await pool.query(query);
-      console.log('In-app notifications table created successfully');
-    } catch (error) {
-      console.error('Error creating in_app_notifications table:', error);
-      throw error;
-    }
-  }
-
   // Create a new in-app notification
   static async create(notificationData) {
     const {
@@ -80,6 +45,7 @@ class InAppNotification {
       is_read,
       type,
       priority,
+      snoozed = false,
       limit = 20,
       offset = 0,
       order_by = 'created_at',
@@ -118,6 +84,11 @@ class InAppNotification {
     // Add expiration filter (exclude expired notifications)
     query += ` AND (n.expires_at IS NULL OR n.expires_at > CURRENT_TIMESTAMP)`;
 
+    // Snoozed notifications are hidden until they wake, unless asked for
+    query += snoozed
+      ? ` AND n.snoozed_until > CURRENT_TIMESTAMP`
+      : ` AND (n.snoozed_until IS NULL OR n.snoozed_until <= CURRENT_TIMESTAMP)`;
+
     // Add ordering
     const validOrderFields = ['created_at', 'updated_at', 'priority', 'is_read'];
     const validDirections = ['ASC', 'DESC'];
@@ -144,6 +115,23 @@ class InAppNotification {
     }
   }
 
+  // Get one of a user's notifications
+  static async findById(notificationId, userId) {
+    const query = `
+      SELECT n.*, d.title as deadline_title, d.due_date
+      FROM in_app_notifications n
+      LEFT JOIN deadlines d ON n.deadline_id = d.id
+      WHERE n.id = $1 AND n.user_id = $2
+    `;
+
+    try {
+      const result = await pool.query(query, [notificationId, userId]);
+      return result.rows[0];
+    } catch (error) {
+      throw error;
+    }
+  }
+
   // Get unread notification count for user
   static async getUnreadCount(userId) {
     const query = `
@@ -151,6 +139,7 @@ class InAppNotification {
       FROM in_app_notifications
       WHERE user_id = $1 AND is_read = false
       AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)
+      AND (snoozed_until IS NULL OR snoozed_until <= CURRENT_TIMESTAMP)
     `;
 
     try {
@@ -178,6 +167,40 @@ class InAppNotification {
     }
   }
 
+  // Hide a notification until `until`; it comes back unread
+  static async snooze(notificationId, userId, until) {
+    const query = `
+      UPDATE in_app_notifications 
+      SET snoozed_until = $3, is_read = false, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND user_id = $2
+      RETURNING *
+    `;
+
+    try {
+      const result = await pool.query(query, [notificationId, userId, until]);
+      return result.rows[0];
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Bring back snoozed notifications whose time has come, as unread
+  static async wakeSnoozed() {
+    const query = `
+      UPDATE in_app_notifications 
+      SET snoozed_until = NULL, is_read = false, updated_at = CURRENT_TIMESTAMP
+      WHERE snoozed_until IS NOT NULL AND snoozed_until <= CURRENT_TIMESTAMP
+      RETURNING id
+    `;
+
+    try {
+      const result = await pool.query(query);
+      return result.rowCount;
+    } catch (error) {
+      throw error;
+    }
+  }
+
   // Mark all notifications as read for user
   static async markAllAsRead(userId) {
     const query = `
@@ -244,10 +267,10 @@ class InAppNotification {
     }
   }
 
-  // Create deadline reminder notification
-  static async createDeadlineReminder(userId, deadline, timeRemaining, notificationType) {
+  // Create deadline reminder notification (the due time is shown in the recipient's timezone)
+  static async createDeadlineReminder(userId, deadline, timeRemaining, notificationType, timeZone) {
     const title = `Deadline Reminder: ${deadline.title}`;
-    const message = `Your deadline "${deadline.title}" is due in ${timeRemaining}. Don't forget to complete it!`;
+    const message = `Your deadline "${deadline.title}" is due in ${timeRemaining} (${formatDateTime(deadline.due_date, timeZone)}). Don't forget to complete it!`;
     
     const data = {
       deadline_id: deadline.id,
@@ -272,10 +295,10 @@ class InAppNotification {
     });
   }
 
-  // Create overdue notification
-  static async createOverdueNotification(userId, deadline, overdueDuration) {
+  // Create overdue notification (the due time is shown in the recipient's timezone)
+  static async createOverdueNotification(userId, deadline, overdueDuration, timeZone) {
     const title = `🚨 Deadline Overdue: ${deadline.title}`;
-    const message = `DEADLINE OVERDUE! "${deadline.title}" was due ${overdueDuration} ago. This deadline needs immediate attention.`;
+    const message = `DEADLINE OVERDUE! "${deadline.title}" was due ${overdueDuration} ago (${formatDateTime(deadline.due_date, timeZone)}). This deadline needs immediate attention.`;
     
     const data = {
       deadline_id: deadline.id,
@@ -357,6 +380,48 @@ class InAppNotification {
     });
   }
 
+  // Create weekly planning digest notification
+  static async createWeeklyDigest(userId, digest) {
+    const { upcoming, overdue, completed, shared } = digest;
+
+    const summaryParts = [];
+    if (upcoming.length > 0) {
+      summaryParts.push(`${upcoming.length} due in the next 7 days`);
+    }
+    if (overdue.length > 0) {
+      summaryParts.push(`${overdue.length} overdue`);
+    }
+    if (completed.length > 0) {
+      summaryParts.push(`${completed.length} completed last week`);
+    }
+    if (shared.length > 0) {
+      summaryParts.push(`${shared.length} shared deadline${shared.length > 1 ? 's' : ''} in progress`);
+    }
+
+    const data = {
+      summary: {
+        upcoming_deadlines: upcoming.length,
+        overdue_deadlines: overdue.length,
+        completed_last_week: completed.length,
+        shared_deadlines: shared.length
+      },
+      upcoming_deadline_ids: upcoming.map(deadline => deadline.id),
+      overdue_deadline_ids: overdue.map(deadline => deadline.id),
+      generated_at: new Date().toISOString()
+    };
+
+    return await this.create({
+      user_id: userId,
+      deadline_id: null,
+      type: 'weekly_digest',
+      title: '🗓️ Weekly Planning Digest',
+      message: `🗓️ Your week: ${summaryParts.join(', ')}`,
+      data,
+      priority: overdue.length > 0 ? 'high' : 'low',
+      action_url: '/deadlines'
+    });
+  }
+
   // Helper method to map deadline priority to notification priority
   static mapDeadlinePriorityToNotificationPriority(deadlinePriority) {
     const priorityMap = {
@@ -0,0 +1,107 @@
+const pool = require('../config/db');
+
+const PUBLIC_COLUMNS = 'id, name, token_prefix, scopes, expires_at, last_used_at, last_used_ip, created_at';
+
+class PersonalAccessToken {
+  // Create a token record (the plain token itself is never stored)
+  static async create(tokenData) {
+    const { user_id, name, token_hash, token_prefix, scopes, expires_at } = tokenData;
+
+    const query = `
+      INSERT INTO personal_access_tokens (user_id, name, token_hash, token_prefix, scopes, expires_at)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING ${PUBLIC_COLUMNS}
+    `;
+
+    try {
+      const result = await pool.query(query, [user_id, name, token_hash, token_prefix, JSON.stringify(scopes), expires_at]);
+      return result.rows[0];
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // List a user's tokens that have not been revoked, newest first
+  static async findByUserId(userId) {
+    const query = `
+      SELECT ${PUBLIC_COLUMNS}
+      FROM personal_access_tokens
+      WHERE user_id = $1 AND revoked_at IS NULL
+      ORDER BY created_at DESC
+    `;
+
+    try {
+      const result = await pool.query(query, [userId]);
+      return result.rows;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Resolve a token hash to its owner, if the token is still valid
+  static async findActiveByHash(tokenHash) {
+    const query = `
+      SELECT t.id, t.user_id, t.scopes, t.last_used_at, t.expires_at,
+             u.username, u.email, u.full_name, u.role, u.timezone
+      FROM personal_access_tokens t
+      JOIN users u ON t.user_id = u.id
+      WHERE t.token_hash = $1 AND t.revoked_at IS NULL AND t.expires_at > CURRENT_TIMESTAMP
+    `;
+
+    try {
+      const result = await pool.query(query, [tokenHash]);
+      return result.rows[0];
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Record usage (throttled to one write per minute)
+  // Find a token that has not been revoked or expired
+  static async findActiveById(tokenId) {
+    const query = `
+      SELECT id, user_id, expires_at FROM personal_access_tokens
+      WHERE id = $1 AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+    `;
+
+    try {
+      const result = await pool.query(query, [tokenId]);
+      return result.rows[0];
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  static async touch(tokenId, ipAddress) {
+    const query = `
+      UPDATE personal_access_tokens
+      SET last_used_at = CURRENT_TIMESTAMP, last_used_ip = $2
+      WHERE id = $1 AND (last_used_at IS NULL OR last_used_at < CURRENT_TIMESTAMP - INTERVAL '1 minute')
+    `;
+
+    try {
+      await pool.query(query, [tokenId, ipAddress]);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Revoke one of a user's tokens
+  static async revoke(tokenId, userId) {
+    const query = `
+      UPDATE personal_access_tokens
+      SET revoked_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL
+      RETURNING id
+    `;
+
+    try {
+      const result = await pool.query(query, [tokenId, userId]);
+      return result.rows[0];
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = PersonalAccessToken;
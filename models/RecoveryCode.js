@@ -0,0 +1,63 @@
+const pool = require('../config/db');
+
+class RecoveryCode {
+  // Replace a user's recovery codes with a new set of hashes
+  static async replaceForUser(userId, codeHashes) {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+      await client.query('DELETE FROM two_factor_recovery_codes WHERE user_id = $1', [userId]);
+      for (const codeHash of codeHashes) {
+        await client.query(
+          'INSERT INTO two_factor_recovery_codes (user_id, code_hash) VALUES ($1, $2)',
+          [userId, codeHash]
+        );
+      }
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Use up a recovery code; returns false if it doesn't exist or was already used
+  static async consume(userId, codeHash) {
+    const query = `
+      UPDATE two_factor_recovery_codes
+      SET used_at = CURRENT_TIMESTAMP
+      WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+      RETURNING id
+    `;
+
+    try {
+      const result = await pool.query(query, [userId, codeHash]);
+      return Boolean(result.rows[0]);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  static async countRemaining(userId) {
+    const query = 'SELECT COUNT(*) as count FROM two_factor_recovery_codes WHERE user_id = $1 AND used_at IS NULL';
+
+    try {
+      const result = await pool.query(query, [userId]);
+      return parseInt(result.rows[0].count) || 0;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  static async deleteForUser(userId) {
+    try {
+      await pool.query('DELETE FROM two_factor_recovery_codes WHERE user_id = $1', [userId]);
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = RecoveryCode;
@@ -0,0 +1,249 @@
+const pool = require('../config/db');
+const { DEFAULT_REMINDER_OFFSETS } = require('../utils/reminderOffsets');
+
+// Reminders whose time passed at most this long ago are still scheduled, so a deadline created
+// shortly before a reminder offset gets that reminder (late) instead of none
+const SCHEDULE_GRACE_MINUTES = 60;
+
+// Reminder times of open, upcoming deadlines: the deadline's own offsets, else the owner's default,
+// else the standard ones. $1 is the standard offsets; `condition` filters deadlines `d` (using $2).
+const plannedReminders = (condition) => `
+  SELECT d.id AS deadline_id, o.minutes AS offset_minutes, d.due_date - make_interval(mins => o.minutes) AS fire_at
+  FROM deadlines d
+  JOIN users u ON u.id = d.student_id
+  CROSS JOIN LATERAL unnest(COALESCE(
+    d.reminder_offsets,
+    CASE WHEN jsonb_typeof(u.notification_preferences->'reminder_offsets') = 'array' THEN
+      ARRAY(SELECT jsonb_array_elements_text(u.notification_preferences->'reminder_offsets')::integer)
+    END,
+    $1::integer[]
+  )) AS o(minutes)
+  WHERE ${condition}
+    AND d.status NOT IN ('completed', 'overdue')
+    AND d.due_date > CURRENT_TIMESTAMP
+`;
+
+class ReminderJob {
+  // Bring the queue in line with the current deadlines: drop pending jobs for offsets that no longer
+  // apply, add new ones, and re-arm jobs whose fire time moved (e.g. the due date changed)
+  static async schedule(condition, value) {
+    const params = value === undefined ? [DEFAULT_REMINDER_OFFSETS] : [DEFAULT_REMINDER_OFFSETS, value];
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      await client.query(`
+        WITH planned AS (${plannedReminders(condition)})
+        DELETE FROM reminder_jobs j
+        USING deadlines d
+        WHERE j.deadline_id = d.id
+          AND ${condition}
+          AND j.status = 'pending'
+          AND NOT EXISTS (
+            SELECT 1 FROM planned p
+            WHERE p.deadline_id = j.deadline_id AND p.offset_minutes = j.offset_minutes
+          )
+      `, params);
+
+      const result = await client.query(`
+        WITH planned AS (${plannedReminders(condition)})
+        INSERT INTO reminder_jobs (deadline_id, offset_minutes, fire_at, run_at)
+        SELECT deadline_id, offset_minutes, fire_at, fire_at
+        FROM planned
+        WHERE fire_at > CURRENT_TIMESTAMP - make_interval(mins => $${params.length + 1}::integer)
+        ON CONFLICT (deadline_id, offset_minutes) DO UPDATE SET
+          fire_at = EXCLUDED.fire_at,
+          run_at = EXCLUDED.run_at,
+          status = 'pending',
+          attempts = 0,
+          delivered_to = '{}',
+          last_error = NULL,
+          completed_at = NULL,
+          updated_at = CURRENT_TIMESTAMP
+        WHERE reminder_jobs.fire_at <> EXCLUDED.fire_at AND reminder_jobs.status <> 'running'
+      `, [...params, SCHEDULE_GRACE_MINUTES]);
+
+      await client.query('COMMIT');
+      return result.rowCount;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  static async scheduleForDeadlines(deadlineIds) {
+    if (deadlineIds.length === 0) {
+      return 0;
+    }
+    return this.schedule('d.id = ANY($2::integer[])', deadlineIds);
+  }
+
+  // After a change to the user's default reminder offsets
+  static async scheduleForUser(userId) {
+    return this.schedule('d.student_id = $2', userId);
+  }
+
+  // Every upcoming deadline; run at startup to pick up deadlines changed outside the API
+  static async scheduleUpcoming() {
+    return this.schedule('TRUE');
+  }
+
+  // Claim due jobs for this worker; rows claimed by other instances are skipped, not waited for
+  static async claimDue(limit) {
+    const query = `
+      UPDATE reminder_jobs
+      SET status = 'running', attempts = attempts + 1, locked_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE id IN (
+        SELECT id FROM reminder_jobs
+        WHERE status = 'pending' AND run_at <= CURRENT_TIMESTAMP
+        ORDER BY run_at
+        LIMIT $1
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING *
+    `;
+
+    try {
+      const result = await pool.query(query, [limit]);
+      return result.rows;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Whether a reminder closer to the due date is due as well (after downtime only that one is sent)
+  static async hasCloserDueJob(job) {
+    const query = `
+      SELECT 1 FROM reminder_jobs
+      WHERE deadline_id = $1
+        AND offset_minutes < $2
+        AND fire_at <= CURRENT_TIMESTAMP
+        AND status IN ('pending', 'running')
+      LIMIT 1
+    `;
+
+    try {
+      const result = await pool.query(query, [job.deadline_id, job.offset_minutes]);
+      return result.rows.length > 0;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  static async finish(id, status, errorMessage = null) {
+    const query = `
+      UPDATE reminder_jobs
+      SET status = $2, last_error = $3, locked_at = NULL,
+          completed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+    `;
+
+    try {
+      await pool.query(query, [id, status, errorMessage]);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Add recipients to those who got the job's reminder (skipped when it is retried)
+  static async recordDelivered(id, userIds) {
+    const query = `
+      UPDATE reminder_jobs
+      SET delivered_to = ARRAY(SELECT DISTINCT unnest(delivered_to || $2::integer[])), updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+    `;
+
+    try {
+      await pool.query(query, [id, userIds]);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  static async markDone(id) {
+    return this.finish(id, 'done');
+  }
+
+  static async markSkipped(id) {
+    return this.finish(id, 'skipped');
+  }
+
+  static async markFailed(id, errorMessage) {
+    return this.finish(id, 'failed', errorMessage);
+  }
+
+  static async retryLater(id, errorMessage, delaySeconds) {
+    const query = `
+      UPDATE reminder_jobs
+      SET status = 'pending', last_error = $2, locked_at = NULL,
+          run_at = CURRENT_TIMESTAMP + make_interval(secs => $3::integer), updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+    `;
+
+    try {
+      await pool.query(query, [id, errorMessage, delaySeconds]);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Jobs left running by a worker that died are handed out again
+  static async releaseStale(minutes) {
+    const query = `
+      UPDATE reminder_jobs
+      SET status = 'pending', locked_at = NULL, run_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE status = 'running' AND locked_at < CURRENT_TIMESTAMP - make_interval(mins => $1::integer)
+    `;
+
+    try {
+      const result = await pool.query(query, [minutes]);
+      return result.rowCount;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  static async deleteFinished(days) {
+    const query = `
+      DELETE FROM reminder_jobs
+      WHERE status IN ('done', 'skipped', 'failed')
+        AND completed_at < CURRENT_TIMESTAMP - make_interval(days => $1::integer)
+    `;
+
+    try {
+      const result = await pool.query(query, [days]);
+      return result.rowCount;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Job counts by status, plus how late the oldest due job is
+  static async getStats() {
+    const query = `
+      SELECT status, COUNT(*)::integer AS count,
+             MIN(run_at) FILTER (WHERE status = 'pending' AND run_at <= CURRENT_TIMESTAMP) AS oldest_due
+      FROM reminder_jobs
+      GROUP BY status
+    `;
+
+    try {
+      const result = await pool.query(query);
+      const stats = { pending: 0, running: 0, done: 0, skipped: 0, failed: 0, oldest_due: null };
+      for (const row of result.rows) {
+        stats[row.status] = row.count;
+        if (row.oldest_due) {
+          stats.oldest_due = row.oldest_due;
+        }
+      }
+      return stats;
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = ReminderJob;
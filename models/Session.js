@@ -0,0 +1,213 @@
+const pool = require('../config/db');
+
+class Session {
+  // Create a session together with its first refresh token
+  static async create(sessionData) {
+    const { user_id, user_agent = null, ip_address = null, expires_at, refresh_token_hash, refresh_token_expires_at } = sessionData;
+
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const sessionResult = await client.query(`
+        INSERT INTO auth_sessions (user_id, user_agent, ip_address, expires_at)
+        VALUES ($1, $2, $3, $4)
+        RETURNING *
+      `, [user_id, user_agent, ip_address, expires_at]);
+      const session = sessionResult.rows[0];
+
+      await client.query(`
+        INSERT INTO refresh_tokens (session_id, token_hash, expires_at)
+        VALUES ($1, $2, $3)
+      `, [session.id, refresh_token_hash, refresh_token_expires_at]);
+
+      await client.query('COMMIT');
+      return session;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Find a session that has not been revoked or expired
+  static async findActiveById(sessionId) {
+    const query = `
+      SELECT * FROM auth_sessions
+      WHERE id = $1 AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+    `;
+
+    try {
+      const result = await pool.query(query, [sessionId]);
+      return result.rows[0];
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // List a user's active sessions, most recently used first
+  static async findActiveByUserId(userId) {
+    const query = `
+      SELECT id, user_agent, ip_address, created_at, last_used_at, expires_at
+      FROM auth_sessions
+      WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+      ORDER BY last_used_at DESC
+    `;
+
+    try {
+      const result = await pool.query(query, [userId]);
+      return result.rows;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Record activity on a session (throttled to one write per minute)
+  static async touch(sessionId) {
+    const query = `
+      UPDATE auth_sessions SET last_used_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND last_used_at < CURRENT_TIMESTAMP - INTERVAL '1 minute'
+    `;
+
+    try {
+      await pool.query(query, [sessionId]);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Exchange a refresh token for a new one.
+  // Presenting a token that was already exchanged revokes the whole session, since
+  // either the legitimate client or an attacker is holding a stolen copy.
+  static async rotateRefreshToken(tokenHash, newTokenHash, newTokenExpiresAt) {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const tokenResult = await client.query(`
+        SELECT rt.*, s.user_id, s.revoked_at, s.expires_at as session_expires_at
+        FROM refresh_tokens rt
+        JOIN auth_sessions s ON rt.session_id = s.id
+        WHERE rt.token_hash = $1
+        FOR UPDATE OF rt
+      `, [tokenHash]);
+      const token = tokenResult.rows[0];
+
+      if (!token) {
+        throw new Error('Invalid refresh token');
+      }
+
+      if (token.used_at) {
+        await client.query(`
+          UPDATE auth_sessions
+          SET revoked_at = COALESCE(revoked_at, CURRENT_TIMESTAMP), revoked_reason = COALESCE(revoked_reason, 'refresh_token_reuse')
+          WHERE id = $1
+        `, [token.session_id]);
+        await client.query('COMMIT');
+        console.warn(`🚨 Refresh token reuse detected; session ${token.session_id} revoked`);
+        throw new Error('Refresh token reuse detected');
+      }
+
+      if (token.revoked_at || new Date(token.session_expires_at) <= new Date()) {
+        throw new Error('Session has been revoked');
+      }
+
+      if (new Date(token.expires_at) <= new Date()) {
+        throw new Error('Refresh token expired');
+      }
+
+      await client.query('UPDATE refresh_tokens SET used_at = CURRENT_TIMESTAMP WHERE id = $1', [token.id]);
+      await client.query(`
+        INSERT INTO refresh_tokens (session_id, token_hash, expires_at)
+        VALUES ($1, $2, $3)
+      `, [token.session_id, newTokenHash, newTokenExpiresAt]);
+      const sessionResult = await client.query(`
+        UPDATE auth_sessions SET last_used_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+        RETURNING *
+      `, [token.session_id]);
+
+      await client.query('COMMIT');
+      return sessionResult.rows[0];
+    } catch (error) {
+      // Reuse detection commits the revocation before throwing; ROLLBACK is then a no-op
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Revoke a single session
+  static async revoke(sessionId, reason = 'logout') {
+    const query = `
+      UPDATE auth_sessions
+      SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = $2
+      WHERE id = $1 AND revoked_at IS NULL
+      RETURNING id
+    `;
+
+    try {
+      const result = await pool.query(query, [sessionId, reason]);
+      return result.rows[0];
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Revoke one of a user's sessions; returns undefined if it isn't theirs or already ended
+  static async revokeForUser(sessionId, userId, reason) {
+    const query = `
+      UPDATE auth_sessions
+      SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = $3
+      WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL
+      RETURNING id
+    `;
+
+    try {
+      const result = await pool.query(query, [sessionId, userId, reason]);
+      return result.rows[0];
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Revoke every active session of a user, optionally keeping one
+  static async revokeAllForUser(userId, reason, exceptSessionId = null) {
+    const query = `
+      UPDATE auth_sessions
+      SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = $2
+      WHERE user_id = $1 AND revoked_at IS NULL
+        AND ($3::int IS NULL OR id != $3::int)
+      RETURNING id
+    `;
+
+    try {
+      const result = await pool.query(query, [userId, reason, exceptSessionId]);
+      return result.rows.length;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Remove sessions that expired or were revoked more than a week ago
+  static async deleteStale() {
+    const query = `
+      DELETE FROM auth_sessions
+      WHERE expires_at < CURRENT_TIMESTAMP - INTERVAL '7 days'
+         OR revoked_at < CURRENT_TIMESTAMP - INTERVAL '7 days'
+    `;
+
+    try {
+      const result = await pool.query(query);
+      return result.rowCount;
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = Session;
@@ -1,5 +1,6 @@
 const pool = require('../config/db');
 const bcrypt = require('bcrypt');
+const { DEFAULT_DIGEST_SCHEDULE } = require('../utils/digestSchedule');
 
 class User {
   // Find user by reset token
@@ -43,72 +44,43 @@ class User {
       throw error;
     }
   }
-  // Create users table if it doesn't exist
-  static async createTable() {
-    const query = `
-      CREATE TABLE IF NOT EXISTS users (
-        id SERIAL PRIMARY KEY,
-        username VARCHAR(50) UNIQUE NOT NULL,
-        email VARCHAR(100) UNIQUE NOT NULL,
-        password VARCHAR(255) NOT NULL,
-        full_name VARCHAR(100),
-        role VARCHAR(20) DEFAULT 'student',
-        notification_preferences JSONB DEFAULT '{"email_enabled": true, "in_app_enabled": true, "reminders": {"2_days": true, "1_day": true, "12_hours": true, "1_hour": true}, "overdue_notifications": true, "daily_summary": false, "in_app_reminders": {"2_days": true, "1_day": true, "12_hours": true, "1_hour": true}, "in_app_overdue": true}'::jsonb,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `;
-    
-    try {
-      await pool.query(query);
-      console.log('Users table created successfully');
-
-      // Add missing columns for older installs: notification_preferences, reset_token, reset_token_expires
-      const alterQuery = `
-        DO $$
-        BEGIN
-          IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='users' AND column_name='notification_preferences') THEN
-            ALTER TABLE users ADD COLUMN notification_preferences JSONB DEFAULT '{"email_enabled": true, "in_app_enabled": true, "reminders": {"2_days": true, "1_day": true, "12_hours": true, "1_hour": true}, "overdue_notifications": true, "daily_summary": false, "in_app_reminders": {"2_days": true, "1_day": true, "12_hours": true, "1_hour": true}, "in_app_overdue": true}'::jsonb;
-          END IF;
-
-          IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='users' AND column_name='reset_token') THEN
-            ALTER TABLE users ADD COLUMN reset_token VARCHAR(255);
-          END IF;
-
-          IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='users' AND column_name='reset_token_expires') THEN
-            ALTER TABLE users ADD COLUMN reset_token_expires TIMESTAMP;
-          END IF;
-        END $$;
-      `;
-      await pool.query(alterQuery);
-    } catch (error) {
-      console.error('Error creating users table:', error);
-      throw error;
-    }
-  }
 
   // Create a new user
   static async create(userData) {
-    const { username, email, password, full_name, role = 'student' } = userData;
+    const { username, email, password, full_name, role = 'student', timezone = 'UTC' } = userData;
     
     // Hash password
     const saltRounds = 10;
     const hashedPassword = await bcrypt.hash(password, saltRounds);
     
     const query = `
-      INSERT INTO users (username, email, password, full_name, role)
-      VALUES ($1, $2, $3, $4, $5)
-      RETURNING id, username, email, full_name, role, created_at
+      INSERT INTO users (username, email, password, full_name, role, timezone)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING id, username, email, full_name, role, timezone, email_verified, created_at
     `;
     
     try {
-      const result = await pool.query(query, [username, email, hashedPassword, full_name, role]);
+      const result = await pool.query(query, [username, email, hashedPassword, full_name, role, timezone]);
       return result.rows[0];
     } catch (error) {
       throw error;
     }
   }
 
+  // Copy of a full users row without the password hash and other secrets, safe to return to clients
+  static withoutSecrets(user) {
+    const {
+      password,
+      reset_token,
+      reset_token_expires,
+      two_factor_secret,
+      two_factor_pending_secret,
+      two_factor_last_step,
+      ...safeUser
+    } = user;
+    return safeUser;
+  }
+
   // Find user by email
   static async findByEmail(email) {
     const query = 'SELECT * FROM users WHERE email = $1';
@@ -135,7 +107,7 @@ class User {
 
   // Find user by ID
   static async findById(id) {
-    const query = 'SELECT id, username, email, full_name, role, created_at FROM users WHERE id = $1';
+    const query = 'SELECT id, username, email, full_name, role, timezone, email_verified, two_factor_enabled, created_at FROM users WHERE id = $1';
     
     try {
       const result = await pool.query(query, [id]);
@@ -164,17 +136,38 @@ class User {
 
   // Update user
   static async update(id, userData) {
-    const { username, email, full_name, role } = userData;
+    const { username, email, full_name, role, timezone } = userData;
     
+    // Changing the email address requires verifying the new one
     const query = `
       UPDATE users 
-      SET username = $1, email = $2, full_name = $3, role = $4, updated_at = CURRENT_TIMESTAMP
+      SET username = $1, email = $2, full_name = $3, role = $4, timezone = $6,
+          email_verified = CASE WHEN email = $2 THEN email_verified ELSE false END,
+          email_verified_at = CASE WHEN email = $2 THEN email_verified_at ELSE NULL END,
+          updated_at = CURRENT_TIMESTAMP
       WHERE id = $5
-      RETURNING id, username, email, full_name, role, updated_at
+      RETURNING id, username, email, full_name, role, timezone, email_verified, updated_at
     `;
     
     try {
-      const result = await pool.query(query, [username, email, full_name, role, id]);
+      const result = await pool.query(query, [username, email, full_name, role, id, timezone]);
+      return result.rows[0];
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Change a user's role
+  static async updateRole(id, role) {
+    const query = `
+      UPDATE users
+      SET role = $1, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $2
+      RETURNING id, username, email, full_name, role, updated_at
+    `;
+
+    try {
+      const result = await pool.query(query, [role, id]);
       return result.rows[0];
     } catch (error) {
       throw error;
@@ -254,6 +247,121 @@ class User {
     }
   }
 
+  // Mark an email address as verified; only succeeds if it is still the user's current address
+  static async markEmailVerified(id, email) {
+    const query = `
+      UPDATE users
+      SET email_verified = true, email_verified_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND email = $2
+      RETURNING id, username, email, full_name, role, email_verified, email_verified_at
+    `;
+
+    try {
+      const result = await pool.query(query, [id, email]);
+      return result.rows[0];
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Two-factor state (secrets are encrypted; decrypt with totpService)
+  static async getTwoFactorState(id) {
+    const query = `
+      SELECT id, email, two_factor_enabled, two_factor_secret, two_factor_pending_secret, two_factor_last_step
+      FROM users WHERE id = $1
+    `;
+
+    try {
+      const result = await pool.query(query, [id]);
+      return result.rows[0];
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Store a secret awaiting confirmation with a first code
+  static async setPendingTwoFactorSecret(id, encryptedSecret) {
+    const query = `
+      UPDATE users SET two_factor_pending_secret = $2, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+    `;
+
+    try {
+      await pool.query(query, [id, encryptedSecret]);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Promote the pending secret to the active one
+  static async enableTwoFactor(id, step) {
+    const query = `
+      UPDATE users
+      SET two_factor_enabled = true, two_factor_secret = two_factor_pending_secret,
+          two_factor_pending_secret = NULL, two_factor_last_step = $2,
+          two_factor_enabled_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND two_factor_pending_secret IS NOT NULL
+      RETURNING id
+    `;
+
+    try {
+      const result = await pool.query(query, [id, step]);
+      return result.rows[0];
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  static async disableTwoFactor(id) {
+    const query = `
+      UPDATE users
+      SET two_factor_enabled = false, two_factor_secret = NULL, two_factor_pending_secret = NULL,
+          two_factor_last_step = NULL, two_factor_enabled_at = NULL, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+    `;
+
+    try {
+      await pool.query(query, [id]);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Record a used TOTP time step; fails if that step (or a later one) was already used, preventing replay
+  static async claimTwoFactorStep(id, step) {
+    const query = `
+      UPDATE users SET two_factor_last_step = $2
+      WHERE id = $1 AND (two_factor_last_step IS NULL OR two_factor_last_step < $2)
+      RETURNING id
+    `;
+
+    try {
+      const result = await pool.query(query, [id, step]);
+      return Boolean(result.rows[0]);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Notification preferences plus whether email may be sent to the address at all
+  static async getEmailPreferences(userId) {
+    const query = 'SELECT notification_preferences, email_verified FROM users WHERE id = $1';
+
+    try {
+      const result = await pool.query(query, [userId]);
+      if (result.rows.length === 0) {
+        throw new Error('User not found');
+      }
+
+      return {
+        preferences: result.rows[0].notification_preferences,
+        emailVerified: result.rows[0].email_verified === true
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
   // Get user notification preferences
   static async getNotificationPreferences(userId) {
     const query = 'SELECT notification_preferences FROM users WHERE id = $1';
@@ -291,11 +399,68 @@ class User {
     }
   }
 
+  // Users whose digest is due: it is now within two hours after their digest hour, in their timezone,
+  // on a day they get one (every day, or their weekday for weekly digests), and they have not had that
+  // day's digest yet. Marks them as sent in the same statement so no other run picks them up; a digest
+  // that could not be delivered is handed back with releaseDigestClaim.
+  static async claimDueDigests() {
+    const query = `
+      WITH schedule AS (
+        SELECT
+          id,
+          daily_summary_sent_on,
+          COALESCE(notification_preferences->'digest'->>'frequency', $1) AS frequency,
+          COALESCE(notification_preferences->'digest'->>'weekday', $2) AS weekday,
+          -- Local time shifted back by the digest hour, so the digest day starts at that hour
+          (CURRENT_TIMESTAMP AT TIME ZONE timezone)
+            - make_interval(hours => COALESCE((notification_preferences->'digest'->>'hour')::integer, $3)) AS digest_time
+        FROM users
+      )
+      UPDATE users u
+      SET daily_summary_sent_on = s.digest_time::date
+      FROM schedule s
+      WHERE u.id = s.id
+        AND s.digest_time::time < TIME '02:00'
+        AND (s.frequency = 'daily' OR lower(to_char(s.digest_time, 'Dy')) = s.weekday)
+        AND u.daily_summary_sent_on IS DISTINCT FROM s.digest_time::date
+      RETURNING u.id, u.email, u.username, u.full_name, u.timezone, s.frequency AS digest_frequency,
+        s.digest_time::date::text AS digest_sent_on, s.daily_summary_sent_on::text AS previous_digest_sent_on
+    `;
+
+    try {
+      const result = await pool.query(query, [
+        DEFAULT_DIGEST_SCHEDULE.frequency,
+        DEFAULT_DIGEST_SCHEDULE.weekday,
+        DEFAULT_DIGEST_SCHEDULE.hour
+      ]);
+      return result.rows;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Undo claimDueDigests for a user (as returned by it), so a later run sends the digest again.
+  // Does nothing if the claim has changed since.
+  static async releaseDigestClaim(user) {
+    const query = `
+      UPDATE users
+      SET daily_summary_sent_on = $3::date
+      WHERE id = $1 AND daily_summary_sent_on = $2::date
+    `;
+
+    try {
+      const result = await pool.query(query, [user.id, user.digest_sent_on, user.previous_digest_sent_on]);
+      return result.rowCount > 0;
+    } catch (error) {
+      throw error;
+    }
+  }
+
   // Check if user has email notifications enabled
   static async hasEmailNotificationsEnabled(userId) {
     try {
-      const preferences = await this.getNotificationPreferences(userId);
-      return preferences && preferences.email_enabled !== false;
+      const { preferences, emailVerified } = await this.getEmailPreferences(userId);
+      return emailVerified && preferences && preferences.email_enabled !== false;
     } catch (error) {
       console.error('Error checking email preferences:', error);
       return true; // Default to enabled if error
@@ -305,8 +470,9 @@ class User {
   // Check if specific reminder type is enabled
   static async isReminderEnabled(userId, reminderType) {
     try {
-      const preferences = await this.getNotificationPreferences(userId);
-      return preferences && 
+      const { preferences, emailVerified } = await this.getEmailPreferences(userId);
+      return emailVerified &&
+             preferences && 
              preferences.email_enabled !== false && 
              preferences.reminders && 
              preferences.reminders[reminderType] !== false;
@@ -319,8 +485,9 @@ class User {
   // Check if overdue notifications are enabled
   static async hasOverdueNotificationsEnabled(userId) {
     try {
-      const preferences = await this.getNotificationPreferences(userId);
-      return preferences && 
+      const { preferences, emailVerified } = await this.getEmailPreferences(userId);
+      return emailVerified &&
+             preferences && 
              preferences.email_enabled !== false && 
              preferences.overdue_notifications !== false;
     } catch (error) {
@@ -332,8 +499,9 @@ class User {
   // Check if daily summary is enabled
   static async hasDailySummaryEnabled(userId) {
     try {
-      const preferences = await this.getNotificationPreferences(userId);
-      return preferences && 
+      const { preferences, emailVerified } = await this.getEmailPreferences(userId);
+      return emailVerified &&
+             preferences && 
              preferences.email_enabled !== false && 
              preferences.daily_summary === true;
     } catch (error) {
@@ -342,6 +510,24 @@ class User {
     }
   }
 
+  // Check if the user muted or snoozed reminders for a deadline. notification_preferences.muted_deadlines
+  // maps deadline ids to null (muted) or the time a snooze ends; includeSnoozes = false only counts mutes.
+  static async isDeadlineMuted(userId, deadlineId, includeSnoozes = true) {
+    try {
+      const preferences = await this.getNotificationPreferences(userId);
+      const mutedDeadlines = (preferences && preferences.muted_deadlines) || {};
+      if (!Object.prototype.hasOwnProperty.call(mutedDeadlines, deadlineId)) {
+        return false;
+      }
+
+      const until = mutedDeadlines[deadlineId];
+      return until === null || (includeSnoozes && new Date(until) > new Date());
+    } catch (error) {
+      console.error('Error checking muted deadlines:', error);
+      return false; // Default to not muted if error
+    }
+  }
+
   // Check if in-app notifications are enabled
   static async hasInAppNotificationsEnabled(userId) {
     try {
@@ -0,0 +1,100 @@
+const pool = require('../config/db');
+
+// The secret is only read by the delivery worker (see WebhookDelivery.claimDue)
+const PUBLIC_COLUMNS = 'id, url, description, events, is_active, created_at, updated_at';
+
+class Webhook {
+  static async create({ userId, url, description = null, secret, events }) {
+    const query = `
+      INSERT INTO webhooks (user_id, url, description, secret, events)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING ${PUBLIC_COLUMNS}
+    `;
+
+    try {
+      const result = await pool.query(query, [userId, url, description, secret, JSON.stringify(events)]);
+      return result.rows[0];
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // A user's webhooks with the outcome of the latest delivery to each
+  static async findByUserId(userId) {
+    const query = `
+      SELECT w.id, w.url, w.description, w.events, w.is_active, w.created_at, w.updated_at,
+             last.status AS last_delivery_status, last.created_at AS last_delivery_at
+      FROM webhooks w
+      LEFT JOIN LATERAL (
+        SELECT status, created_at FROM webhook_deliveries
+        WHERE webhook_id = w.id
+        ORDER BY created_at DESC, id DESC
+        LIMIT 1
+      ) last ON TRUE
+      WHERE w.user_id = $1
+      ORDER BY w.created_at DESC, w.id DESC
+    `;
+
+    try {
+      const result = await pool.query(query, [userId]);
+      return result.rows;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  static async findById(id, userId) {
+    const query = `SELECT ${PUBLIC_COLUMNS} FROM webhooks WHERE id = $1 AND user_id = $2`;
+
+    try {
+      const result = await pool.query(query, [id, userId]);
+      return result.rows[0] || null;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  static async countByUserId(userId) {
+    try {
+      const result = await pool.query('SELECT COUNT(*)::integer AS count FROM webhooks WHERE user_id = $1', [userId]);
+      return result.rows[0].count;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Update url, description, secret, events and/or is_active; returns null if the webhook is not the user's
+  static async update(id, userId, updates) {
+    const columns = ['url', 'description', 'secret', 'events', 'is_active'].filter(column => updates[column] !== undefined);
+    if (columns.length === 0) {
+      return this.findById(id, userId);
+    }
+
+    const values = columns.map(column => (column === 'events' ? JSON.stringify(updates[column]) : updates[column]));
+    const query = `
+      UPDATE webhooks
+      SET ${columns.map((column, index) => `${column} = $${index + 3}`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND user_id = $2
+      RETURNING ${PUBLIC_COLUMNS}
+    `;
+
+    try {
+      const result = await pool.query(query, [id, userId, ...values]);
+      return result.rows[0] || null;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Deleting a webhook also deletes its delivery history
+  static async delete(id, userId) {
+    try {
+      const result = await pool.query('DELETE FROM webhooks WHERE id = $1 AND user_id = $2 RETURNING id', [id, userId]);
+      return result.rows.length > 0;
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = Webhook;
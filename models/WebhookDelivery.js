@@ -0,0 +1,216 @@
+const pool = require('../config/db');
+
+// Channel on which new and redelivered webhook deliveries are announced to the workers
+const DELIVERY_CHANNEL = 'webhook_deliveries';
+
+const SUMMARY_COLUMNS = `
+  id, webhook_id, event, payload, status, attempts, next_attempt_at, response_status, response_body,
+  duration_ms, last_error, delivered_at, created_at, updated_at
+`;
+
+class WebhookDelivery {
+  static get CHANNEL() {
+    return DELIVERY_CHANNEL;
+  }
+
+  // Queue an event for every active webhook of these users that subscribes to it; returns the number queued
+  static async enqueue({ event, payload, userIds }) {
+    const query = `
+      WITH inserted AS (
+        INSERT INTO webhook_deliveries (webhook_id, event, payload)
+        SELECT id, $1::text, $2::jsonb FROM webhooks
+        WHERE is_active = TRUE AND events ? $1::text AND user_id = ANY($3::integer[])
+        RETURNING id
+      )
+      SELECT id, pg_notify($4, json_build_object('id', id)::text) FROM inserted
+    `;
+
+    try {
+      const result = await pool.query(query, [event, JSON.stringify(payload), userIds, DELIVERY_CHANNEL]);
+      return result.rows.length;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Queue an event for one webhook regardless of its subscriptions (test events)
+  static async enqueueForWebhook(webhookId, event, payload) {
+    const query = `
+      WITH inserted AS (
+        INSERT INTO webhook_deliveries (webhook_id, event, payload)
+        VALUES ($1, $2, $3)
+        RETURNING ${SUMMARY_COLUMNS}
+      )
+      SELECT inserted.*, pg_notify($4, json_build_object('id', id)::text) FROM inserted
+    `;
+
+    try {
+      const result = await pool.query(query, [webhookId, event, JSON.stringify(payload), DELIVERY_CHANNEL]);
+      const { pg_notify, ...delivery } = result.rows[0];
+      return delivery;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Claim due deliveries for this worker, with the webhook's url and secret; rows claimed by other
+  // instances are skipped, not waited for
+  static async claimDue(limit) {
+    const query = `
+      UPDATE webhook_deliveries d
+      SET status = 'sending', attempts = d.attempts + 1, locked_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      FROM webhooks w
+      WHERE w.id = d.webhook_id AND d.id IN (
+        SELECT id FROM webhook_deliveries
+        WHERE status = 'pending' AND next_attempt_at <= CURRENT_TIMESTAMP
+        ORDER BY next_attempt_at
+        LIMIT $1
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING d.id, d.webhook_id, d.event, d.payload, d.attempts, w.url, w.secret, w.is_active
+    `;
+
+    try {
+      const result = await pool.query(query, [limit]);
+      return result.rows;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  static async markDelivered(id, { responseStatus, responseBody, durationMs }) {
+    const query = `
+      UPDATE webhook_deliveries
+      SET status = 'delivered', response_status = $2, response_body = $3, duration_ms = $4, last_error = NULL,
+          locked_at = NULL, delivered_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+    `;
+
+    try {
+      await pool.query(query, [id, responseStatus, responseBody, durationMs]);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Record a failed attempt; with a delay the delivery is retried, without one it has failed for good
+  static async markFailed(id, { error: errorMessage, responseStatus = null, responseBody = null, durationMs = null }, retryDelaySeconds = null) {
+    const query = `
+      UPDATE webhook_deliveries
+      SET status = CASE WHEN $6::integer IS NULL THEN 'failed' ELSE 'pending' END,
+          next_attempt_at = CASE
+            WHEN $6::integer IS NULL THEN next_attempt_at
+            ELSE CURRENT_TIMESTAMP + make_interval(secs => $6::integer)
+          END,
+          last_error = $2, response_status = $3, response_body = $4, duration_ms = $5,
+          locked_at = NULL, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+    `;
+
+    try {
+      await pool.query(query, [id, errorMessage, responseStatus, responseBody, durationMs, retryDelaySeconds]);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Deliveries left sending by a worker that died are handed out again
+  static async releaseStale(minutes) {
+    const query = `
+      UPDATE webhook_deliveries
+      SET status = 'pending', locked_at = NULL, next_attempt_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE status = 'sending' AND locked_at < CURRENT_TIMESTAMP - make_interval(mins => $1::integer)
+    `;
+
+    try {
+      const result = await pool.query(query, [minutes]);
+      return result.rowCount;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Delivery history of one webhook, newest first
+  static async findByWebhookId(webhookId, { status, limit = 50, offset = 0 } = {}) {
+    const values = [webhookId];
+    let statusCondition = '';
+    if (status) {
+      values.push(status);
+      statusCondition = `AND status = $${values.length}`;
+    }
+
+    const query = `
+      SELECT ${SUMMARY_COLUMNS}, COUNT(*) OVER()::integer AS total_count
+      FROM webhook_deliveries
+      WHERE webhook_id = $1 ${statusCondition}
+      ORDER BY created_at DESC, id DESC
+      LIMIT $${values.length + 1} OFFSET $${values.length + 2}
+    `;
+
+    try {
+      const result = await pool.query(query, [...values, limit, offset]);
+      return {
+        deliveries: result.rows.map(({ total_count, ...delivery }) => delivery),
+        total: result.rows.length > 0 ? result.rows[0].total_count : 0
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Send a finished delivery again with a fresh set of attempts (same payload and event id)
+  static async redeliver(id, webhookId) {
+    const query = `
+      WITH requeued AS (
+        UPDATE webhook_deliveries
+        SET status = 'pending', attempts = 0, next_attempt_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1 AND webhook_id = $2 AND status IN ('delivered', 'failed')
+        RETURNING ${SUMMARY_COLUMNS}
+      )
+      SELECT requeued.*, pg_notify($3, json_build_object('id', id)::text) FROM requeued
+    `;
+
+    try {
+      const result = await pool.query(query, [id, webhookId, DELIVERY_CHANNEL]);
+      if (result.rows.length === 0) {
+        return null;
+      }
+      const { pg_notify, ...delivery } = result.rows[0];
+      return delivery;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  static async deleteFinished(days) {
+    const query = `
+      DELETE FROM webhook_deliveries
+      WHERE status IN ('delivered', 'failed') AND updated_at < CURRENT_TIMESTAMP - make_interval(days => $1::integer)
+    `;
+
+    try {
+      const result = await pool.query(query, [days]);
+      return result.rowCount;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Delivery counts by status, across all webhooks
+  static async getStats() {
+    const query = 'SELECT status, COUNT(*)::integer AS count FROM webhook_deliveries GROUP BY status';
+
+    try {
+      const result = await pool.query(query);
+      const stats = { pending: 0, sending: 0, delivered: 0, failed: 0 };
+      for (const row of result.rows) {
+        stats[row.status] = row.count;
+      }
+      return stats;
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = WebhookDelivery;
@@ -5,20 +5,61 @@ const {
   getProfile, 
   updateProfile, 
   changePassword, 
-  logout 
+  refreshToken,
+  logout,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+  verifyEmail,
+  resendVerificationEmail
 } = require('../controllers/userController');
+const {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  confirmTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  loginWithTwoFactor
+} = require('../controllers/twoFactorController');
+const {
+  getAccessTokens,
+  createAccessToken,
+  revokeAccessToken
+} = require('../controllers/accessTokenController');
 const auth = require('../middleware/auth');
+const { throttle } = require('../middleware/authThrottle');
 
 const router = express.Router();
 
 // Public routes
 router.post('/register', register);
-router.post('/login', login);
+router.post('/login', throttle('login'), login);
+router.post('/login/2fa', loginWithTwoFactor);
+router.post('/refresh', refreshToken);
+router.post('/verify-email', verifyEmail);
 
 // Protected routes (require authentication)
-router.get('/profile', auth, getProfile);
+router.get('/profile', auth.scoped('profile:read'), getProfile);
 router.put('/profile', auth, updateProfile);
 router.put('/change-password', auth, changePassword);
 router.post('/logout', auth, logout);
+router.post('/resend-verification', auth, resendVerificationEmail);
+
+// Two-factor authentication (TOTP)
+router.get('/2fa', auth, getTwoFactorStatus);
+router.post('/2fa/setup', auth, setupTwoFactor);
+router.post('/2fa/confirm', auth, confirmTwoFactor);
+router.post('/2fa/disable', auth, disableTwoFactor);
+router.post('/2fa/recovery-codes', auth, regenerateRecoveryCodes);
+
+// Session management
+router.get('/sessions', auth, getSessions);
+router.delete('/sessions/others', auth, revokeOtherSessions);
+router.delete('/sessions/:id', auth, revokeSession);
+
+// Personal access tokens (session-only, so a token cannot mint other tokens)
+router.get('/tokens', auth, getAccessTokens);
+router.post('/tokens', auth, createAccessToken);
+router.delete('/tokens/:id', auth, revokeAccessToken);
 
 module.exports = router;
\ No newline at end of file
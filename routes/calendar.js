@@ -0,0 +1,25 @@
+const express = require('express');
+const {
+  getCalendarFeed,
+  getFeedStatus,
+  rotateFeedToken,
+  revokeFeed
+} = require('../controllers/calendarController');
+const auth = require('../middleware/auth');
+
+const router = express.Router();
+
+// Feed management (require authentication)
+// GET /api/calendar/feed - Whether a feed URL exists
+router.get('/feed', auth, getFeedStatus);
+
+// POST /api/calendar/feed/rotate - Create or replace the feed URL
+router.post('/feed/rotate', auth, rotateFeedToken);
+
+// DELETE /api/calendar/feed - Revoke the feed URL
+router.delete('/feed', auth, revokeFeed);
+
+// GET /api/calendar/:token.ics - Subscribe from a calendar app (the token is the credential)
+router.get('/:token.ics', getCalendarFeed);
+
+module.exports = router;
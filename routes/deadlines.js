@@ -5,6 +5,7 @@ const {
   createDeadline, 
   updateDeadline, 
   updateDeadlineStatus, 
+  snoozeDeadlineReminders,
   deleteDeadline, 
   getUpcomingDeadlines, 
   getOverdueDeadlines,
@@ -12,32 +13,51 @@ const {
   getDeadlinesByStudentId,
   addCollaboratorsToDeadline
 } = require('../controllers/deadlineController');
+const {
+  getSubtasks,
+  createSubtask,
+  updateSubtask,
+  reorderSubtasks,
+  deleteSubtask
+} = require('../controllers/subtaskController');
+const {
+  exportDeadlines,
+  importDeadlines,
+  importIcs
+} = require('../controllers/deadlineTransferController');
 const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
 
 const router = express.Router();
 
-// All routes require authentication
+// All routes require authentication; personal access tokens are accepted where a scope is declared
+const canRead = auth.scoped('deadlines:read');
+const canWrite = auth.scoped('deadlines:write');
+const debugOnly = [auth, requirePermission('system:debug')];
 
 // GET /api/deadlines - Get all deadlines with filtering and pagination
-router.get('/', auth, getAllDeadlines);
+router.get('/', canRead, getAllDeadlines);
 
 // GET /api/deadlines/upcoming - Get upcoming deadlines
-router.get('/upcoming', auth, getUpcomingDeadlines);
+router.get('/upcoming', canRead, getUpcomingDeadlines);
 
 // GET /api/deadlines/overdue - Get overdue deadlines
-router.get('/overdue', auth, getOverdueDeadlines);
+router.get('/overdue', canRead, getOverdueDeadlines);
+
+// GET /api/deadlines/export - Export deadlines as CSV or JSON (?format=csv|json, same filters as the list)
+router.get('/export', canRead, exportDeadlines);
 
 // GET /api/deadlines/stats - Get deadline statistics
-router.get('/stats', auth, getDeadlineStats);
+router.get('/stats', canRead, getDeadlineStats);
 
-// GET /api/deadlines/student/:student_id - Get deadlines by student ID
-router.get('/student/:student_id', auth, getDeadlinesByStudentId);
+// GET /api/deadlines/student/:student_id - Get deadlines by student ID (your own, or anyone's with users:read)
+router.get('/student/:student_id', canRead, getDeadlinesByStudentId);
 
 // GET /api/deadlines/:id - Get deadline by ID
-router.get('/:id', auth, getDeadlineById);
+router.get('/:id', canRead, getDeadlineById);
 
 // GET /api/deadlines/:id/collaborators - Get collaborators for a specific deadline
-router.get('/:id/collaborators', auth, async (req, res) => {
+router.get('/:id/collaborators', canRead, async (req, res) => {
   try {
     const { id } = req.params;
     const userId = req.user.userId;
@@ -105,10 +125,16 @@ router.get('/:id/collaborators', auth, async (req, res) => {
 });
 
 // POST /api/deadlines - Create new deadline
-router.post('/', auth, createDeadline);
+router.post('/', canWrite, createDeadline);
+
+// POST /api/deadlines/import - Import deadlines from CSV or JSON (?dry_run=true to only validate)
+router.post('/import', canWrite, express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' }), importDeadlines);
+
+// POST /api/deadlines/import/ics - Import deadlines from an .ics file (?preview=true to only preview)
+router.post('/import/ics', canWrite, express.text({ type: ['text/calendar', 'text/plain'], limit: '2mb' }), importIcs);
 
 // POST /api/deadlines/test-simple - Simple deadline creation for testing
-router.post('/test-simple', auth, async (req, res) => {
+router.post('/test-simple', debugOnly, async (req, res) => {
   try {
   console.log('🧪 Simple deadline test started');
     
@@ -166,7 +192,7 @@ router.post('/test-simple', auth, async (req, res) => {
 });
 
 // POST /api/deadlines/test-collaborator - Test adding collaborator
-router.post('/test-collaborator', auth, async (req, res) => {
+router.post('/test-collaborator', debugOnly, async (req, res) => {
   try {
   console.log('🧪 Collaborator test started');
     
@@ -181,10 +207,6 @@ router.post('/test-collaborator', auth, async (req, res) => {
     
     const DeadlineCollaborator = require('../models/DeadlineCollaborator');
     
-    // Test table creation first
-  console.log('Creating deadline_collaborators table if not exists...');
-    await DeadlineCollaborator.createTable();
-    
     // Test adding collaborator
     console.log(`Adding owner to deadline (sanitized)`);
     const collaborator = await DeadlineCollaborator.addCollaborator(deadline_id, user_id, 'owner', {
@@ -210,51 +232,38 @@ router.post('/test-collaborator', auth, async (req, res) => {
   }
 });
 
-// POST /api/deadlines/init-tables - Initialize required tables
-router.post('/init-tables', auth, async (req, res) => {
-  try {
-  console.log('🧪 Initializing database tables...');
-    
-    const Deadline = require('../models/Deadline');
-    const DeadlineCollaborator = require('../models/DeadlineCollaborator');
-    const InAppNotification = require('../models/InAppNotification');
-    
-    // Create tables
-    await Deadline.createTable();
-    await DeadlineCollaborator.createTable();
-    await InAppNotification.createTable();
-    
-  console.log('✅ All tables initialized successfully');
-    
-    res.json({
-      success: true,
-      message: 'Database tables initialized successfully'
-    });
-    
-  } catch (error) {
-  console.error('❌ Table initialization error:', error && error.message ? error.message : error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to initialize tables',
-      error: error.message
-    });
-  }
-});
-
 // PUT /api/deadlines/:id - Update deadline
-router.put('/:id', auth, updateDeadline);
+router.put('/:id', canWrite, updateDeadline);
 
 // PATCH /api/deadlines/:id/status - Update deadline status only
-router.patch('/:id/status', auth, updateDeadlineStatus);
+router.patch('/:id/status', canWrite, updateDeadlineStatus);
+
+// PUT /api/deadlines/:id/snooze - Snooze your reminders for a deadline ({ duration } or { until })
+router.put('/:id/snooze', canWrite, snoozeDeadlineReminders);
 
 // DELETE /api/deadlines/:id - Delete deadline
-router.delete('/:id', auth, deleteDeadline);
+router.delete('/:id', canWrite, deleteDeadline);
 
 // POST /api/deadlines/:id/collaborators - Add collaborators to existing deadline
-router.post('/:id/collaborators', auth, addCollaboratorsToDeadline);
+router.post('/:id/collaborators', canWrite, addCollaboratorsToDeadline);
+
+// GET /api/deadlines/:id/subtasks - Get the deadline's checklist
+router.get('/:id/subtasks', canRead, getSubtasks);
+
+// POST /api/deadlines/:id/subtasks - Add a subtask
+router.post('/:id/subtasks', canWrite, createSubtask);
+
+// PUT /api/deadlines/:id/subtasks/reorder - Reorder subtasks
+router.put('/:id/subtasks/reorder', canWrite, reorderSubtasks);
+
+// PUT /api/deadlines/:id/subtasks/:subtaskId - Update a subtask
+router.put('/:id/subtasks/:subtaskId', canWrite, updateSubtask);
+
+// DELETE /api/deadlines/:id/subtasks/:subtaskId - Delete a subtask
+router.delete('/:id/subtasks/:subtaskId', canWrite, deleteSubtask);
 
 // POST /api/deadlines/debug-collaborators - Debug collaborator functionality
-router.post('/debug-collaborators', auth, async (req, res) => {
+router.post('/debug-collaborators', debugOnly, async (req, res) => {
   try {
     const { deadline_id, user_id } = req.body;
     
@@ -336,312 +345,4 @@ router.post('/debug-collaborators', auth, async (req, res) => {
   }
 });
 
-// POST /api/deadlines/fix-missing-owners - Fix deadlines missing owner collaborators
-router.post('/fix-missing-owners', auth, async (req, res) => {
-  try {
-  console.log('🔧 Starting to fix missing owner collaborators...');
-    
-    const DeadlineCollaborator = require('../models/DeadlineCollaborator');
-    const Deadline = require('../models/Deadline');
-    const pool = require('../config/db');
-    
-    // Get all deadlines
-    const allDeadlines = await pool.query('SELECT id, student_id, title FROM deadlines ORDER BY id');
-  console.log(`Found ${allDeadlines.rows.length} total deadlines`);
-    
-    const results = {
-      processed: 0,
-      added: 0,
-      already_exists: 0,
-      errors: []
-    };
-    
-    for (const deadline of allDeadlines.rows) {
-      try {
-        results.processed++;
-  console.log(`Processing deadline ${deadline.id} (owner id present)`);
-        
-        // Check if owner is already a collaborator
-        const existingCollab = await DeadlineCollaborator.getCollaboratorRole(deadline.id, deadline.student_id);
-        
-        if (existingCollab) {
-          console.log(`  ✅ Owner already exists as collaborator (${existingCollab.role})`);
-          results.already_exists++;
-        } else {
-          console.log(`  ➕ Adding owner as collaborator...`);
-          
-          // Add owner as collaborator
-          const newCollab = await DeadlineCollaborator.addCollaborator(
-            deadline.id, 
-            deadline.student_id, 
-            'owner', 
-            {
-              can_edit: true,
-              can_delete: true
-            }
-          );
-          
-          console.log(`  ✅ Successfully added owner as collaborator:`, newCollab);
-          results.added++;
-        }
-        
-        } catch (error) {
-        console.error(`  ❌ Error processing deadline ${deadline.id}:`, error && error.message ? error.message : error);
-        results.errors.push({
-          deadline_id: deadline.id,
-          error: error.message
-        });
-      }
-    }
-    
-  console.log('🎉 Fix operation completed');
-    
-    res.json({
-      success: true,
-      message: 'Fix operation completed',
-      data: results
-    });
-    
-  } catch (error) {
-    console.error('❌ Fix operation failed:', error && error.message ? error.message : error);
-    res.status(500).json({
-      success: false,
-      message: 'Fix operation failed',
-      error: error.message
-    });
-  }
-});
-
-// POST /api/deadlines/fix-database-schema - Fix missing database columns
-router.post('/fix-database-schema', auth, async (req, res) => {
-  try {
-    console.log('🔧 Starting database schema fix...');
-    
-    const pool = require('../config/db');
-    const results = {
-      columns_added: [],
-      columns_already_exist: [],
-      errors: []
-    };
-    
-    // Check and add missing notifications_sent column
-    try {
-      console.log('Checking notifications_sent column...');
-      
-      // Check if column exists
-      const columnCheck = await pool.query(`
-        SELECT column_name 
-        FROM information_schema.columns 
-        WHERE table_name = 'deadlines' AND column_name = 'notifications_sent'
-      `);
-      
-      if (columnCheck.rows.length === 0) {
-        console.log('Adding notifications_sent column...');
-        await pool.query(`
-          ALTER TABLE deadlines 
-          ADD COLUMN notifications_sent JSONB DEFAULT '{}'
-        `);
-        results.columns_added.push('notifications_sent');
-        console.log('✅ Added notifications_sent column');
-      } else {
-        results.columns_already_exist.push('notifications_sent');
-        console.log('✅ notifications_sent column already exists');
-      }
-      
-    } catch (error) {
-      console.error('❌ Error with notifications_sent column:', error);
-      results.errors.push({
-        column: 'notifications_sent',
-        error: error.message
-      });
-    }
-    
-    // Check and add other potentially missing columns
-    const columnsToCheck = [
-      {
-        name: 'completed_at',
-        definition: 'TIMESTAMP'
-      },
-      {
-        name: 'updated_at', 
-        definition: 'TIMESTAMP DEFAULT CURRENT_TIMESTAMP'
-      }
-    ];
-    
-    for (const col of columnsToCheck) {
-      try {
-        console.log(`Checking ${col.name} column...`);
-        
-        const columnCheck = await pool.query(`
-          SELECT column_name 
-          FROM information_schema.columns 
-          WHERE table_name = 'deadlines' AND column_name = $1
-        `, [col.name]);
-        
-        if (columnCheck.rows.length === 0) {
-          console.log(`Adding ${col.name} column...`);
-          await pool.query(`ALTER TABLE deadlines ADD COLUMN ${col.name} ${col.definition}`);
-          results.columns_added.push(col.name);
-          console.log(`✅ Added ${col.name} column`);
-        } else {
-          results.columns_already_exist.push(col.name);
-          console.log(`✅ ${col.name} column already exists`);
-        }
-        
-      } catch (error) {
-        console.error(`❌ Error with ${col.name} column:`, error);
-        results.errors.push({
-          column: col.name,
-          error: error.message
-        });
-      }
-    }
-    
-    // Show final table structure
-    console.log('Final table structure:');
-    const finalStructure = await pool.query(`
-      SELECT column_name, data_type, column_default, is_nullable
-      FROM information_schema.columns 
-      WHERE table_name = 'deadlines'
-      ORDER BY ordinal_position
-    `);
-    
-    console.log('Deadlines table structure:', finalStructure.rows);
-    
-    res.json({
-      success: true,
-      message: 'Database schema fix completed',
-      data: {
-        ...results,
-        final_structure: finalStructure.rows
-      }
-    });
-    
-  } catch (error) {
-    console.error('❌ Schema fix failed:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Schema fix failed',
-      error: error.message
-    });
-  }
-});
-
-// POST /api/deadlines/migrate-collaborators - Add collaborators field and sync data
-router.post('/migrate-collaborators', auth, async (req, res) => {
-  try {
-    console.log('🔄 Starting collaborators migration...');
-    
-    const pool = require('../config/db');
-    const DeadlineCollaborator = require('../models/DeadlineCollaborator');
-    
-    const results = {
-      column_added: false,
-      deadlines_synced: 0,
-      errors: []
-    };
-    
-    // Step 1: Add collaborators column if it doesn't exist
-    try {
-      console.log('Checking if collaborators column exists...');
-      
-      const columnCheck = await pool.query(`
-        SELECT column_name 
-        FROM information_schema.columns 
-        WHERE table_name = 'deadlines' AND column_name = 'collaborators'
-      `);
-      
-      if (columnCheck.rows.length === 0) {
-        console.log('Adding collaborators column...');
-        await pool.query(`
-          ALTER TABLE deadlines 
-          ADD COLUMN collaborators JSONB DEFAULT '[]'
-        `);
-        results.column_added = true;
-        console.log('✅ Added collaborators column');
-      } else {
-        console.log('✅ Collaborators column already exists');
-      }
-      
-    } catch (error) {
-      console.error('❌ Error adding collaborators column:', error);
-      results.errors.push({
-        step: 'add_column',
-        error: error.message
-      });
-    }
-    
-    // Step 2: Sync all existing deadlines
-    try {
-      console.log('Getting all deadlines to sync...');
-      
-      const allDeadlines = await pool.query('SELECT id, title FROM deadlines ORDER BY id');
-      console.log(`Found ${allDeadlines.rows.length} deadlines to sync`);
-      
-      for (const deadline of allDeadlines.rows) {
-        try {
-          console.log(`Syncing deadline ${deadline.id}: "${deadline.title}"`);
-          await DeadlineCollaborator.syncCollaboratorsToDeadline(deadline.id);
-          results.deadlines_synced++;
-        } catch (syncError) {
-          console.error(`Error syncing deadline ${deadline.id}:`, syncError.message);
-          results.errors.push({
-            step: 'sync_deadline',
-            deadline_id: deadline.id,
-            error: syncError.message
-          });
-        }
-      }
-      
-    } catch (error) {
-      console.error('❌ Error during sync process:', error);
-      results.errors.push({
-        step: 'sync_process',
-        error: error.message
-      });
-    }
-    
-    // Step 3: Verify the migration
-    try {
-      console.log('Verifying migration...');
-      
-      const verifyQuery = await pool.query(`
-        SELECT id, title, 
-               CASE 
-                 WHEN collaborators IS NULL THEN 'null'
-                 ELSE jsonb_array_length(collaborators)::text
-               END as collaborator_count
-        FROM deadlines 
-        ORDER BY id 
-        LIMIT 5
-      `);
-      
-      console.log('Sample deadline collaborator counts:', verifyQuery.rows);
-      
-    } catch (error) {
-      console.error('❌ Error during verification:', error);
-      results.errors.push({
-        step: 'verification',
-        error: error.message
-      });
-    }
-    
-    console.log('🎉 Migration completed:', results);
-    
-    res.json({
-      success: true,
-      message: 'Collaborators migration completed',
-      data: results
-    });
-    
-  } catch (error) {
-    console.error('❌ Migration failed:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Migration failed',
-      error: error.message
-    });
-  }
-});
-
 module.exports = router;
\ No newline at end of file
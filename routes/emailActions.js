@@ -0,0 +1,16 @@
+const express = require('express');
+const {
+  showEmailAction,
+  applyEmailAction
+} = require('../controllers/emailActionController');
+
+const router = express.Router();
+
+// One-click actions from reminder emails (no login; the signed token in the URL is the credential)
+// GET /api/email-actions/:token - Confirmation page
+router.get('/:token', showEmailAction);
+
+// POST /api/email-actions/:token - Apply the action
+router.post('/:token', applyEmailAction);
+
+module.exports = router;
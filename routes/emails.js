@@ -0,0 +1,28 @@
+const express = require('express');
+const {
+  getEmails,
+  getEmailById,
+  retryEmail,
+  retryDeadEmails
+} = require('../controllers/emailOutboxController');
+const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+
+const router = express.Router();
+
+// Email outbox administration (admin only)
+router.use(auth, requirePermission('emails:manage'));
+
+// GET /api/admin/emails - List queued, sent and dead emails
+router.get('/', getEmails);
+
+// POST /api/admin/emails/retry-dead - Re-queue all dead emails
+router.post('/retry-dead', retryDeadEmails);
+
+// GET /api/admin/emails/:id - Email details and delivery log
+router.get('/:id', getEmailById);
+
+// POST /api/admin/emails/:id/retry - Re-queue a dead email
+router.post('/:id/retry', retryEmail);
+
+module.exports = router;
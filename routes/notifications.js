@@ -2,7 +2,9 @@ const express = require('express');
 const {
   getNotifications,
   getUnreadCount,
+  streamNotifications,
   markAsRead,
+  snoozeNotification,
   markAllAsRead,
   deleteNotification,
   deleteAllRead,
@@ -12,36 +14,55 @@ const {
   testDatabaseStructure,
   createTestOverdueNotification,
   triggerDailySummary,
+  getSchedulerStatus,
   triggerOverdueCheck,
   testUserPreferences,
   diagnosticCheck,
-  forceOverdueNotifications,
-  initializeNotificationDB
+  forceOverdueNotifications
 } = require('../controllers/notificationController');
 const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
 
 const router = express.Router();
 
-// All routes require authentication
-router.use(auth);
+// All routes require authentication; the routes below also accept personal access tokens with the given scope
+const canRead = auth.scoped('notifications:read');
+const canWrite = auth.scoped('notifications:write');
+
+const acceptQueryToken = (req, res, next) => {
+  if (!req.header('Authorization') && typeof req.query.access_token === 'string') {
+    req.headers.authorization = `Bearer ${req.query.access_token}`;
+  }
+  next();
+};
 
 // GET /api/notifications - Get user's notifications with filtering and pagination
-router.get('/', getNotifications);
+router.get('/', canRead, getNotifications);
 
 // GET /api/notifications/unread-count - Get unread notification count
-router.get('/unread-count', getUnreadCount);
+router.get('/unread-count', canRead, getUnreadCount);
+
+// GET /api/notifications/stream - Server-Sent Events: new notifications, read changes and unread counts.
+// EventSource cannot set headers, so the access token may also be passed as ?access_token=
+router.get('/stream', acceptQueryToken, canRead, streamNotifications);
 
 // PUT /api/notifications/:notificationId/read - Mark specific notification as read
-router.put('/:notificationId/read', markAsRead);
+router.put('/:notificationId/read', canWrite, markAsRead);
+
+// PUT /api/notifications/:notificationId/snooze - Hide a notification until a time ({ duration } or { until })
+router.put('/:notificationId/snooze', canWrite, snoozeNotification);
 
 // PUT /api/notifications/mark-all-read - Mark all notifications as read
-router.put('/mark-all-read', markAllAsRead);
+router.put('/mark-all-read', canWrite, markAllAsRead);
 
 // DELETE /api/notifications/:notificationId - Delete specific notification
-router.delete('/:notificationId', deleteNotification);
+router.delete('/:notificationId', canWrite, deleteNotification);
 
 // DELETE /api/notifications/read - Delete all read notifications
-router.delete('/read', deleteAllRead);
+router.delete('/read', canWrite, deleteAllRead);
+
+// Testing and debugging routes are for admins only
+router.use(auth, requirePermission('system:debug'));
 
 // POST /api/notifications/test - Create test notification (for development/testing)
 router.post('/test', createTestNotification);
@@ -61,6 +82,9 @@ router.post('/test-overdue', createTestOverdueNotification);
 // POST /api/notifications/trigger-daily-summary - Manually trigger daily summary (for testing)
 router.post('/trigger-daily-summary', triggerDailySummary);
 
+// GET /api/notifications/scheduler-status - Scheduler leader (which instance runs the scheduled tasks) and reminder queue
+router.get('/scheduler-status', getSchedulerStatus);
+
 // POST /api/notifications/trigger-overdue-check - Manually trigger overdue check (for testing)
 router.post('/trigger-overdue-check', triggerOverdueCheck);
 
@@ -73,7 +97,4 @@ router.get('/diagnostic', diagnosticCheck);
 // POST /api/notifications/force-overdue - Force create overdue notifications for all overdue deadlines
 router.post('/force-overdue', forceOverdueNotifications);
 
-// POST /api/notifications/initialize-db - Initialize and test notification database
-router.post('/initialize-db', initializeNotificationDB);
-
 module.exports = router;
\ No newline at end of file
@@ -3,6 +3,8 @@ const {
   getAllUsers, 
   getUserById, 
   deleteUser,
+  updateUserRole,
+  unlockUser,
   getNotificationPreferences,
   updateNotificationPreferences,
   forgotPassword,
@@ -12,27 +14,35 @@ const {
 
 
 const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const { throttle } = require('../middleware/authThrottle');
 
 
 const router = express.Router();
 
 // Forgot password (no auth required)
 // POST /api/users/forgot-password
-router.post('/forgot-password', forgotPassword);
+router.post('/forgot-password', throttle('password_reset_request'), forgotPassword);
 
 // Reset password (no auth required)
 // POST /api/users/reset-password
-router.post('/reset-password', resetPassword);
+router.post('/reset-password', throttle('password_reset'), resetPassword);
 
 // All routes require authentication
-// GET /api/users - Get all users
-router.get('/', auth, getAllUsers);
+// GET /api/users - Get all users (teachers and admins)
+router.get('/', auth, requirePermission('users:read'), getAllUsers);
 
-// GET /api/users/:id - Get user by ID
-router.get('/:id', auth, getUserById);
+// GET /api/users/:id - Get user by ID (teachers and admins)
+router.get('/:id', auth, requirePermission('users:read'), getUserById);
 
-// DELETE /api/users/:id - Delete user (admin functionality)
-router.delete('/:id', auth, deleteUser);
+// DELETE /api/users/:id - Delete user (admins only)
+router.delete('/:id', auth, requirePermission('users:manage'), deleteUser);
+
+// PUT /api/users/:id/role - Change a user's role (admins only)
+router.put('/:id/role', auth, requirePermission('users:manage'), updateUserRole);
+
+// DELETE /api/users/:id/lockout - Clear failed-login lockout (admins only)
+router.delete('/:id/lockout', auth, requirePermission('users:manage'), unlockUser);
 
 // Notification preferences routes
 // GET /api/users/notifications/preferences - Get user notification preferences
@@ -0,0 +1,43 @@
+const express = require('express');
+const {
+  getWebhooks,
+  createWebhook,
+  getWebhookById,
+  updateWebhook,
+  deleteWebhook,
+  getWebhookDeliveries,
+  redeliverWebhookDelivery,
+  sendTestWebhook
+} = require('../controllers/webhookController');
+const auth = require('../middleware/auth');
+
+const router = express.Router();
+
+// Webhook management requires a login session (personal access tokens are not accepted)
+router.use(auth);
+
+// GET /api/webhooks - List your webhooks and the events they can subscribe to
+router.get('/', getWebhooks);
+
+// POST /api/webhooks - Register a webhook ({ url, events, secret?, description? }); the secret is returned once
+router.post('/', createWebhook);
+
+// GET /api/webhooks/:id - Get a webhook
+router.get('/:id', getWebhookById);
+
+// PUT /api/webhooks/:id - Update url, events, secret, description or is_active
+router.put('/:id', updateWebhook);
+
+// DELETE /api/webhooks/:id - Delete a webhook and its delivery history
+router.delete('/:id', deleteWebhook);
+
+// GET /api/webhooks/:id/deliveries - Delivery history
+router.get('/:id/deliveries', getWebhookDeliveries);
+
+// POST /api/webhooks/:id/deliveries/:deliveryId/redeliver - Send a delivered or failed event again
+router.post('/:id/deliveries/:deliveryId/redeliver', redeliverWebhookDelivery);
+
+// POST /api/webhooks/:id/test - Send a webhook.test event
+router.post('/:id/test', sendTestWebhook);
+
+module.exports = router;
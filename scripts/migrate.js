@@ -0,0 +1,63 @@
+// Schema migration CLI.
+//
+//   npm run migrate status        list migrations and whether they are applied
+//   npm run migrate up [version]  apply pending migrations (up to version, if given)
+//   npm run migrate down [steps]  revert the last applied migration(s), 1 by default
+
+const pool = require('../config/db');
+const migrationService = require('../services/migrationService');
+
+const printStatus = async () => {
+  const { migrations, missing } = await migrationService.getStatus();
+
+  for (const migration of migrations) {
+    const state = migration.applied
+      ? `applied ${new Date(migration.applied_at).toISOString()}`
+      : 'pending';
+    console.log(`${migration.applied ? '✅' : '⏳'} ${String(migration.version).padStart(3, '0')}_${migration.name} - ${state}`);
+  }
+
+  for (const row of missing) {
+    console.log(`⚠️  ${String(row.version).padStart(3, '0')}_${row.name} - applied but no migration file found`);
+  }
+
+  const pending = migrations.filter(migration => !migration.applied).length;
+  console.log(pending > 0 ? `\n${pending} pending migration(s)` : '\nDatabase schema is up to date');
+};
+
+const parsePositiveInt = (value, label) => {
+  if (value === undefined) {
+    return undefined;
+  }
+  const number = parseInt(value);
+  if (isNaN(number) || number < 1) {
+    throw new Error(`${label} must be a positive integer`);
+  }
+  return number;
+};
+
+const main = async () => {
+  const [command = 'status', arg] = process.argv.slice(2);
+
+  if (command === 'status') {
+    await printStatus();
+  } else if (command === 'up') {
+    const target = parsePositiveInt(arg, 'Target version');
+    const ran = await migrationService.up(target === undefined ? null : target);
+    console.log(ran.length > 0 ? `✅ Applied ${ran.length} migration(s)` : '✅ No pending migrations');
+  } else if (command === 'down') {
+    const steps = parsePositiveInt(arg, 'Steps') || 1;
+    const reverted = await migrationService.down(steps);
+    console.log(reverted.length > 0 ? `✅ Reverted ${reverted.length} migration(s)` : '✅ No applied migrations to revert');
+  } else {
+    throw new Error(`Unknown command "${command}". Use: up [version] | down [steps] | status`);
+  }
+};
+
+main()
+  .then(() => pool.end())
+  .catch(async (error) => {
+    console.error('❌ Migration error:', error.message);
+    await pool.end();
+    process.exit(1);
+  });
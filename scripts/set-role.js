@@ -0,0 +1,31 @@
+// Set a user's role from the command line, e.g. to create the first admin.
+//
+//   npm run set-role <email> <student|teacher|admin>
+
+const pool = require('../config/db');
+const User = require('../models/User');
+const { ROLES } = require('../middleware/permissions');
+
+const main = async () => {
+  const [email, role] = process.argv.slice(2);
+
+  if (!email || !ROLES.includes(role)) {
+    throw new Error(`Usage: npm run set-role <email> <${ROLES.join('|')}>`);
+  }
+
+  const user = await User.findByEmail(email);
+  if (!user) {
+    throw new Error(`No user found with email ${email}`);
+  }
+
+  await User.updateRole(user.id, role);
+  console.log(`✅ ${user.username} is now ${role === 'admin' ? 'an' : 'a'} ${role}`);
+};
+
+main()
+  .then(() => pool.end())
+  .catch(async (error) => {
+    console.error('❌ Set role error:', error.message);
+    await pool.end();
+    process.exit(1);
+  });
@@ -10,15 +10,22 @@ const app = express();
 
 
 const pool = require('./config/db');
-const User = require('./models/User');
-const Deadline = require('./models/Deadline');
-const Friend = require('./models/Friend');
-const DeadlineCollaborator = require('./models/DeadlineCollaborator');
-const InAppNotification = require('./models/InAppNotification');
 
 // services
 const emailService = require('./services/emailService');
 const notificationService = require('./services/notificationService');
+const migrationService = require('./services/migrationService');
+const deadlineSocketService = require('./services/deadlineSocketService');
+const reminderQueueService = require('./services/reminderQueueService');
+const emailOutboxService = require('./services/emailOutboxService');
+const webhookService = require('./services/webhookService');
+
+// Behind a reverse proxy, TRUST_PROXY (e.g. 1 = number of proxy hops) makes req.ip the client address,
+// which login throttling relies on
+if (process.env.TRUST_PROXY) {
+  const hops = parseInt(process.env.TRUST_PROXY);
+  app.set('trust proxy', isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
 
 // Middleware
 app.use(cors());
@@ -26,7 +33,7 @@ app.use(express.json());
 app.use(express.urlencoded({ extended: true })); // For form data
 
 
-// Test database connection and create tables
+// Test database connection and check the schema is up to date
 const initializeDatabase = async () => {
   try {
     // Test connection
@@ -34,14 +41,16 @@ const initializeDatabase = async () => {
     console.log('✅ Database connected successfully');
     client.release();
     
-    // Create tables if they don't exist
-    console.log('🔧 Creating database tables...');
-    await User.createTable();
-    await Friend.createTable();
-    await Deadline.createTable();
-    await DeadlineCollaborator.createTable();
-    await InAppNotification.createTable();
-    console.log('✅ Database tables created successfully');
+    // Schema changes are applied with `npm run migrate up`, never at startup
+    console.log('🔧 Checking database migrations...');
+    const pendingMigrations = await migrationService.getPendingMigrations();
+    if (pendingMigrations.length > 0) {
+      console.error(`❌ ${pendingMigrations.length} pending migration(s):`);
+      pendingMigrations.forEach(migration => console.error(`   - ${migration.version}_${migration.name}`));
+      console.error('   Run `npm run migrate up` before starting the server.');
+      process.exit(1);
+    }
+    console.log('✅ Database schema is up to date');
     
     // Initialize email service
     console.log('📧 Initializing email service...');
@@ -50,6 +59,15 @@ const initializeDatabase = async () => {
     // Start notification service
     console.log('🔔 Starting notification service...');
     notificationService.start();
+
+    // Start the deadline reminder queue worker
+    reminderQueueService.start();
+
+    // Start the email outbox worker
+    emailOutboxService.start();
+
+    // Start the webhook delivery worker
+    webhookService.start();
     
   } catch (err) {
     console.error('❌ Database initialization failed:', err.message);
@@ -57,7 +75,7 @@ const initializeDatabase = async () => {
   }
 };
 
-// Init database and create tables
+// Init database and check migrations
 initializeDatabase();
 
 app.get('/', (req, res) => {
@@ -151,6 +169,10 @@ const userRoutes = require('./routes/users');
 const deadlineRoutes = require('./routes/deadlines');
 const friendRoutes = require('./routes/friends');
 const notificationRoutes = require('./routes/notifications');
+const calendarRoutes = require('./routes/calendar');
+const emailRoutes = require('./routes/emails');
+const emailActionRoutes = require('./routes/emailActions');
+const webhookRoutes = require('./routes/webhooks');
 
 // API 
 app.use('/api/auth', authRoutes);
@@ -158,6 +180,10 @@ app.use('/api/users', userRoutes);
 app.use('/api/deadlines', deadlineRoutes);
 app.use('/api/friends', friendRoutes);
 app.use('/api/notifications', notificationRoutes);
+app.use('/api/calendar', calendarRoutes);
+app.use('/api/admin/emails', emailRoutes);
+app.use('/api/email-actions', emailActionRoutes);
+app.use('/api/webhooks', webhookRoutes);
 
 // 404 
 app.use((req, res) => {
@@ -178,8 +204,11 @@ app.use((err, req, res, next) => {
 
 // Server
 const PORT = process.env.PORT || 5000;
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`🚀 Server running on http://localhost:${PORT}`);
   console.log(`📚 Health check: http://localhost:${PORT}/health`);
   console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
-});
\ No newline at end of file
+});
+
+// Live deadline updates share the HTTP server
+deadlineSocketService.attach(server);
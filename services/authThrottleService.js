@@ -0,0 +1,117 @@
+const AuthAttempt = require('../models/AuthAttempt');
+const User = require('../models/User');
+const emailService = require('./emailService');
+
+// Brute-force protection for login and password reset. Failures are counted per account (email)
+// and per IP address; after a few free failures every further attempt has to wait an exponentially
+// growing delay, and reaching the lockout threshold blocks the subject for a while.
+
+const WINDOW_SECONDS = 15 * 60;
+const MAX_DELAY_SECONDS = 60;
+
+const lockoutMinutes = () => parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+
+const POLICIES = {
+  // Wrong password or 2FA code
+  login: {
+    account: { freeFailures: 3, lockAfter: () => parseInt(process.env.LOGIN_MAX_FAILURES) || 10, notify: true },
+    ip: { freeFailures: 10, lockAfter: () => 50 }
+  },
+  // Every reset email request counts, so the endpoint cannot be used to flood an inbox
+  password_reset_request: {
+    account: { freeFailures: 3, lockAfter: () => 5 },
+    ip: { freeFailures: 10, lockAfter: () => 30 }
+  },
+  // Invalid or expired reset token
+  password_reset: {
+    ip: { freeFailures: 5, lockAfter: () => 20 }
+  }
+};
+
+const normalizeEmail = (email) => String(email || '').toLowerCase().trim();
+
+class AuthThrottleService {
+  subjectsFor(action, { email, ip }) {
+    const policy = POLICIES[action];
+    const subjects = [];
+
+    if (policy.account && email) {
+      subjects.push({ type: 'account', subject: normalizeEmail(email), rule: policy.account });
+    }
+    if (policy.ip && ip) {
+      subjects.push({ type: 'ip', subject: ip, rule: policy.ip });
+    }
+
+    return subjects;
+  }
+
+  // Returns null when the attempt may go ahead, otherwise { locked, retryAfter } (seconds)
+  async check(action, { email, ip }) {
+    const subjects = this.subjectsFor(action, { email, ip });
+    if (subjects.length === 0) {
+      return null;
+    }
+
+    const rows = await AuthAttempt.findBlocking(action, subjects);
+    if (rows.length === 0) {
+      return null;
+    }
+
+    const now = Date.now();
+    const locked = rows.some(row => row.locked_until && new Date(row.locked_until).getTime() > now);
+    const until = Math.max(...rows.flatMap(row => [row.next_attempt_at, row.locked_until])
+      .filter(Boolean)
+      .map(date => new Date(date).getTime()));
+
+    return {
+      locked,
+      retryAfter: Math.max(1, Math.ceil((until - now) / 1000))
+    };
+  }
+
+  async recordFailure(action, { email, ip }) {
+    for (const { type, subject, rule } of this.subjectsFor(action, { email, ip })) {
+      const { id, failure_count: failures } = await AuthAttempt.recordFailure(action, type, subject, WINDOW_SECONDS);
+      if (failures <= rule.freeFailures) {
+        continue;
+      }
+
+      const delaySeconds = Math.min(2 ** (failures - rule.freeFailures - 1), MAX_DELAY_SECONDS);
+      const lockAfter = rule.lockAfter();
+      const lockoutSeconds = failures >= lockAfter ? lockoutMinutes() * 60 : 0;
+      await AuthAttempt.block(id, delaySeconds, lockoutSeconds);
+
+      // Exactly one request reaches the threshold, so the owner is emailed once per lockout
+      if (rule.notify && failures === lockAfter) {
+        this.notifyLockout(subject).catch(error => console.error('❌ Lockout email error:', error.message));
+      }
+    }
+  }
+
+  async notifyLockout(email) {
+    const user = await User.findByEmail(email);
+    if (!user) {
+      return;
+    }
+
+    const resetUrl = `${process.env.FRONTEND_URL}/forgot-password`;
+    await emailService.sendAccountLockout(user.email, user.full_name, lockoutMinutes(), resetUrl);
+    console.log('🔒 Account locked after repeated failed logins; owner notified');
+  }
+
+  // Successful login or password reset: the account's failures no longer matter
+  async recordSuccess(action, { email }) {
+    await AuthAttempt.clearAccount(normalizeEmail(email), [action]);
+  }
+
+  // Admin unlock: clear every failure counter and lockout for the account
+  async unlockAccount(email) {
+    return AuthAttempt.clearAccount(normalizeEmail(email));
+  }
+
+  async cleanup() {
+    return AuthAttempt.deleteStale();
+  }
+}
+
+module.exports = new AuthThrottleService();
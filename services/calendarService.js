@@ -0,0 +1,346 @@
+// iCalendar (RFC 5545) output for the per-user deadline feed, and parsing of .ics files for import.
+
+const crypto = require('crypto');
+const recurrenceService = require('./recurrenceService');
+const { resolveReminderOffsets, getReminderType } = require('../utils/reminderOffsets');
+const {
+  DEFAULT_TIME_ZONE,
+  isValidTimeZone,
+  zonedTimeToDate,
+  formatLocalTimestamp
+} = require('../utils/timezone');
+
+const PRODUCT_ID = '-//Deadline Tracker//Deadline Feed//EN';
+const UID_DOMAIN = 'deadline-tracker';
+
+const PRIORITIES = { urgent: 1, high: 3, medium: 5, low: 9 };
+
+const MAX_IMPORT_ITEMS = 500;
+// deadlines.import_uid is VARCHAR(255); longer UIDs are stored as a hash
+const MAX_IMPORT_UID_LENGTH = 255;
+
+// Escape TEXT values (backslash, semicolon, comma, newline)
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// UTC DATE-TIME, e.g. 20250106T090000Z
+const formatDateTime = (value) => new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// The import_uid stored for a calendar UID; stable, so re-importing the file still finds it
+const toImportUid = (uid) => (uid.length > MAX_IMPORT_UID_LENGTH
+  ? `sha256:${crypto.createHash('sha256').update(uid).digest('hex')}`
+  : uid);
+
+const unescapeText = (value) => value.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+
+// Parse a DATE or DATE-TIME property value into { date, allDay } or null.
+// UTC ("Z") and TZID values name their instant; floating times and dates are read in `timeZone`.
+const parseDateValue = (value, params, timeZone) => {
+  const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+  if (!match) {
+    return null;
+  }
+
+  const [, y, m, d, hh, mm, ss, utc] = match;
+  if (hh === undefined || params.VALUE === 'DATE') {
+    // All-day: due at the end of that day, like date-only due dates entered in the app
+    return { date: zonedTimeToDate(y, m, d, 23, 59, 59, timeZone), allDay: true };
+  }
+
+  if (utc) {
+    return { date: new Date(Date.UTC(y, m - 1, d, hh, mm, ss)), allDay: false };
+  }
+
+  // Unknown (e.g. Windows-style) time zone names are treated as floating time
+  const zone = params.TZID && isValidTimeZone(params.TZID) ? params.TZID : timeZone;
+  return { date: zonedTimeToDate(y, m, d, hh, mm, ss, zone), allDay: false };
+};
+
+// Split a content line into name, parameters and value (parameter values may be quoted)
+const parseContentLine = (line) => {
+  let index = 0;
+  let inQuotes = false;
+  while (index < line.length) {
+    const char = line[index];
+    if (char === '"') {
+      inQuotes = !inQuotes;
+    } else if (char === ':' && !inQuotes) {
+      break;
+    }
+    index++;
+  }
+
+  if (index >= line.length) {
+    return null;
+  }
+
+  const [name, ...rawParams] = line.substring(0, index).match(/(?:[^;"]|"[^"]*")+/g) || [];
+  const params = {};
+  for (const param of rawParams) {
+    const separator = param.indexOf('=');
+    if (separator > 0) {
+      params[param.substring(0, separator).toUpperCase()] = param.substring(separator + 1).replace(/^"|"$/g, '');
+    }
+  }
+
+  return { name: (name || '').toUpperCase(), params, value: line.substring(index + 1) };
+};
+
+// iCalendar PRIORITY (1 = highest, 9 = lowest, 0 = undefined) to the app's priorities
+const toPriority = (value) => {
+  const priority = parseInt(value);
+  if (!priority) return 'medium';
+  if (priority <= 2) return 'urgent';
+  if (priority <= 4) return 'high';
+  if (priority === 5) return 'medium';
+  return 'low';
+};
+
+// Lines longer than 75 octets are folded onto continuation lines starting with a space
+const foldLine = (line) => {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) {
+    return line;
+  }
+
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+  for (const char of line) {
+    const charBytes = Buffer.byteLength(char, 'utf8');
+    const limit = parts.length === 0 ? 75 : 74;
+    if (currentBytes + charBytes > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += charBytes;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+class CalendarService {
+  // Alarm triggers matching the deadline's reminders, minus any the user has switched off
+  getAlarmTriggers(deadline, preferences) {
+    const reminders = (preferences && preferences.reminders) || {};
+    return resolveReminderOffsets(deadline, preferences)
+      .filter(minutes => reminders[getReminderType(minutes)] !== false)
+      .map(minutes => (minutes % 60 === 0 ? `-PT${minutes / 60}H` : `-PT${minutes}M`));
+  }
+
+  buildEvent(deadline, alarmTriggers, now) {
+    const isCompleted = deadline.status === 'completed';
+    const descriptionParts = [];
+    if (deadline.description) descriptionParts.push(deadline.description);
+    if (deadline.subject) descriptionParts.push(`Subject: ${deadline.subject}`);
+    descriptionParts.push(`Priority: ${deadline.priority || 'medium'}`);
+    descriptionParts.push(`Status: ${deadline.status || 'pending'}`);
+
+    const lines = [
+      'BEGIN:VEVENT',
+      `UID:deadline-${deadline.id}@${UID_DOMAIN}`,
+      `DTSTAMP:${formatDateTime(now)}`,
+      `DTSTART:${formatDateTime(deadline.due_date)}`,
+      `SUMMARY:${escapeText(isCompleted ? `✓ ${deadline.title}` : deadline.title)}`,
+      `DESCRIPTION:${escapeText(descriptionParts.join('\n'))}`,
+      `PRIORITY:${PRIORITIES[deadline.priority] || PRIORITIES.medium}`,
+      'TRANSP:TRANSPARENT',
+      'STATUS:CONFIRMED'
+    ];
+
+    if (deadline.category) {
+      lines.push(`CATEGORIES:${escapeText(deadline.category)}`);
+    }
+    if (deadline.updated_at) {
+      lines.push(`LAST-MODIFIED:${formatDateTime(deadline.updated_at)}`);
+    }
+
+    // Completed deadlines stay on the calendar but no longer ring
+    if (!isCompleted) {
+      for (const trigger of alarmTriggers) {
+        lines.push(
+          'BEGIN:VALARM',
+          'ACTION:DISPLAY',
+          `DESCRIPTION:${escapeText(`Deadline: ${deadline.title}`)}`,
+          `TRIGGER:${trigger}`,
+          'END:VALARM'
+        );
+      }
+    }
+
+    lines.push('END:VEVENT');
+    return lines;
+  }
+
+  // Build a complete VCALENDAR document (CRLF line endings, folded lines)
+  buildCalendar(deadlines, preferences, { calendarName = 'Deadlines' } = {}) {
+    const now = new Date();
+
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      `PRODID:${PRODUCT_ID}`,
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      `X-WR-CALNAME:${escapeText(calendarName)}`,
+      'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+      'X-PUBLISHED-TTL:PT1H'
+    ];
+
+    for (const deadline of deadlines) {
+      lines.push(...this.buildEvent(deadline, this.getAlarmTriggers(deadline, preferences), now));
+    }
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+  }
+
+  // Parse an .ics document into VEVENT/VTODO components: [{ type, properties: { NAME: [{ params, value }] } }]
+  parseComponents(icsText) {
+    if (!/^BEGIN:VCALENDAR/im.test(String(icsText))) {
+      throw new Error('Not an iCalendar file');
+    }
+
+    const lines = String(icsText).replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+    const components = [];
+    const stack = [];
+    let current = null;
+
+    for (const line of lines) {
+      if (!line.trim()) {
+        continue;
+      }
+
+      const property = parseContentLine(line);
+      if (!property) {
+        continue;
+      }
+
+      if (property.name === 'BEGIN') {
+        const type = property.value.trim().toUpperCase();
+        stack.push(type);
+        if ((type === 'VEVENT' || type === 'VTODO') && !current) {
+          current = { type, depth: stack.length, properties: {} };
+        }
+      } else if (property.name === 'END') {
+        if (current && stack.length === current.depth) {
+          components.push({ type: current.type, properties: current.properties });
+          current = null;
+        }
+        stack.pop();
+      } else if (current && stack.length === current.depth) {
+        // Properties of nested components (VALARM) are ignored
+        (current.properties[property.name] = current.properties[property.name] || []).push({
+          params: property.params,
+          value: property.value
+        });
+      }
+    }
+
+    return components;
+  }
+
+  // Turn an .ics document into deadline data ready for Deadline.create. Times without a zone are
+  // read in `timeZone` (the importing user's).
+  // Returns { items: [{ uid, deadline, warnings }], skipped: [{ uid, title, reason }] }.
+  parseDeadlines(icsText, { timeZone = DEFAULT_TIME_ZONE } = {}) {
+    const items = [];
+    const skipped = [];
+    const seenUids = new Set();
+
+    for (const component of this.parseComponents(icsText)) {
+      const first = (name) => (component.properties[name] ? component.properties[name][0] : null);
+      const text = (name) => (first(name) ? unescapeText(first(name).value).trim() : '');
+
+      const uid = text('UID') ? toImportUid(text('UID')) : null;
+      const title = (text('SUMMARY') || 'Untitled').substring(0, 255);
+
+      // Overrides of single occurrences share the UID of their series
+      if (first('RECURRENCE-ID')) {
+        skipped.push({ uid, title, reason: 'Changes to single occurrences of a recurring event are not imported' });
+        continue;
+      }
+
+      const status = text('STATUS').toUpperCase();
+      if (status === 'CANCELLED') {
+        skipped.push({ uid, title, reason: 'Cancelled' });
+        continue;
+      }
+
+      // VTODOs are due at DUE; events at their start
+      const dateProperty = (component.type === 'VTODO' && first('DUE')) || first('DTSTART');
+      const due = dateProperty ? parseDateValue(dateProperty.value.trim(), dateProperty.params, timeZone) : null;
+      if (!due) {
+        skipped.push({ uid, title, reason: 'No valid date' });
+        continue;
+      }
+
+      if (uid && seenUids.has(uid)) {
+        skipped.push({ uid, title, reason: 'Duplicate UID in file' });
+        continue;
+      }
+      if (uid) {
+        seenUids.add(uid);
+      }
+
+      if (items.length >= MAX_IMPORT_ITEMS) {
+        skipped.push({ uid, title, reason: `Only ${MAX_IMPORT_ITEMS} items can be imported at once` });
+        continue;
+      }
+
+      const warnings = [];
+      const dueDate = due.date.toISOString();
+
+      let recurrenceRule = null;
+      if (first('RRULE')) {
+        const exceptions = (component.properties.EXDATE || [])
+          .flatMap(exdate => exdate.value.split(',').map(value => parseDateValue(value.trim(), exdate.params, timeZone)))
+          .filter(Boolean)
+          .map(exdate => formatLocalTimestamp(exdate.date, timeZone).substring(0, 10));
+
+        const recurrence = recurrenceService.normalizeRule(
+          { ...recurrenceService.parseRRule(first('RRULE').value), exceptions },
+          dueDate,
+          timeZone
+        );
+        if (recurrence.errors.length > 0) {
+          warnings.push(`Recurrence not supported, imported as a single deadline: ${recurrence.errors.join('; ')}`);
+        } else {
+          recurrenceRule = recurrence.rule;
+        }
+      }
+
+      let description = text('DESCRIPTION') || null;
+      if (description && description.length > 1000) {
+        description = description.substring(0, 1000);
+        warnings.push('Description was shortened to 1000 characters');
+      }
+
+      const category = text('CATEGORIES').split(',')[0].trim().substring(0, 50) || null;
+
+      items.push({
+        uid,
+        deadline: {
+          title,
+          description,
+          due_date: dueDate,
+          priority: toPriority(text('PRIORITY')),
+          status: component.type === 'VTODO' && status === 'COMPLETED' ? 'completed' : 'pending',
+          category,
+          recurrence_rule: recurrenceRule
+        },
+        warnings
+      });
+    }
+
+    return { items, skipped };
+  }
+}
+
+module.exports = new CalendarService();
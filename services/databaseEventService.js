@@ -0,0 +1,144 @@
+const EventEmitter = require('events');
+const pool = require('../config/db');
+
+// Postgres LISTEN/NOTIFY on a single dedicated connection. Handlers receive the parsed JSON payload.
+// The connection is opened on the first subscription and re-established after errors; since
+// notifications sent while disconnected are lost, a 'reconnected' event lets subscribers resync.
+
+const RECONNECT_DELAY_MS = 5000;
+const CHANNEL_PATTERN = /^[a-z_][a-z0-9_]*$/;
+
+class DatabaseEventService extends EventEmitter {
+  constructor() {
+    super();
+    this.client = null;
+    this.connecting = null;
+    this.reconnectTimer = null;
+    this.handlers = new Map();
+    this.listening = new Set();
+    this.hasConnected = false;
+  }
+
+  async subscribe(channel, handler) {
+    if (!CHANNEL_PATTERN.test(channel)) {
+      throw new Error(`Invalid channel name: ${channel}`);
+    }
+
+    if (!this.handlers.has(channel)) {
+      this.handlers.set(channel, new Set());
+    }
+    this.handlers.get(channel).add(handler);
+
+    if (!this.client) {
+      await this.connect();
+    }
+    if (this.client && !this.listening.has(channel)) {
+      await this.client.query(`LISTEN ${channel}`);
+      this.listening.add(channel);
+    }
+
+    return () => this.unsubscribe(channel, handler);
+  }
+
+  async unsubscribe(channel, handler) {
+    const handlers = this.handlers.get(channel);
+    if (!handlers) {
+      return;
+    }
+
+    handlers.delete(handler);
+    if (handlers.size === 0) {
+      this.handlers.delete(channel);
+      if (this.client && this.listening.delete(channel)) {
+        await this.client.query(`UNLISTEN ${channel}`).catch(() => {});
+      }
+    }
+  }
+
+  // Payloads are limited to 8000 bytes by Postgres, so send identifiers rather than whole rows
+  async publish(channel, payload) {
+    await pool.query('SELECT pg_notify($1, $2)', [channel, JSON.stringify(payload)]);
+  }
+
+  async connect() {
+    if (this.connecting) {
+      return this.connecting;
+    }
+
+    this.connecting = (async () => {
+      let client;
+      try {
+        client = await pool.connect();
+        client.on('notification', message => this.dispatch(message));
+        client.on('error', error => this.handleConnectionError(client, error));
+
+        this.listening = new Set();
+        for (const channel of this.handlers.keys()) {
+          await client.query(`LISTEN ${channel}`);
+          this.listening.add(channel);
+        }
+
+        this.client = client;
+        console.log(`📡 Listening for database events (${this.handlers.size} channel(s))`);
+
+        if (this.hasConnected) {
+          this.emit('reconnected');
+        }
+        this.hasConnected = true;
+      } catch (error) {
+        console.error('❌ Database event listener connection failed:', error.message);
+        if (client) {
+          client.release(error);
+        }
+        this.scheduleReconnect();
+      } finally {
+        this.connecting = null;
+      }
+    })();
+
+    return this.connecting;
+  }
+
+  handleConnectionError(client, error) {
+    console.error('❌ Database event listener error:', error.message);
+    if (this.client === client) {
+      this.client = null;
+    }
+    client.release(error);
+    this.scheduleReconnect();
+  }
+
+  scheduleReconnect() {
+    if (this.reconnectTimer || this.handlers.size === 0) {
+      return;
+    }
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.connect();
+    }, RECONNECT_DELAY_MS);
+  }
+
+  dispatch(message) {
+    const handlers = this.handlers.get(message.channel);
+    if (!handlers) {
+      return;
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(message.payload);
+    } catch (error) {
+      console.error(`❌ Ignoring malformed payload on ${message.channel}`);
+      return;
+    }
+
+    for (const handler of handlers) {
+      Promise.resolve()
+        .then(() => handler(payload))
+        .catch(error => console.error(`❌ Error handling ${message.channel} event:`, error.message));
+    }
+  }
+}
+
+module.exports = new DatabaseEventService();
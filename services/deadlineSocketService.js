@@ -0,0 +1,302 @@
+const http = require('http');
+const { WebSocketServer, WebSocket } = require('ws');
+const auth = require('../middleware/auth');
+const Deadline = require('../models/Deadline');
+const DeadlineCollaborator = require('../models/DeadlineCollaborator');
+const databaseEventService = require('./databaseEventService');
+
+// Live deadline updates over a WebSocket at /api/deadlines/live. Clients authenticate with the same
+// bearer token as the REST API (Authorization header, or ?access_token= from browsers) and then
+// subscribe to the deadlines they can access:
+//
+//   -> { "type": "subscribe", "deadline_ids": [1, 2] }    <- { type: 'subscribed', deadline_ids, denied }
+//   -> { "type": "unsubscribe", "deadline_ids": [1] }     <- { type: 'unsubscribed', deadline_ids }
+//
+// Changes made through deadlineController are published with pg_notify, so every instance relays them:
+//
+//   deadline_updated         { deadline_id, actor_id, deadline }
+//   deadline_status_changed  { deadline_id, actor_id, deadline, status, previous_status }
+//   collaborator_added       { deadline_id, actor_id, deadline, collaborator_ids }
+//   deadline_deleted         { deadline_id, actor_id }
+//
+// The session or access token a socket was opened with is checked again on every heartbeat, and the
+// socket is closed with code 4001 when it is revoked or the token expires; reconnect with a new token.
+
+const PATH = '/api/deadlines/live';
+const CHANNEL = 'deadline_events';
+const HEARTBEAT_MS = 30 * 1000;
+const MAX_SUBSCRIPTIONS = 200;
+const MAX_MESSAGE_BYTES = 16 * 1024;
+const SESSION_ENDED_CODE = 4001;
+// Longest delay setTimeout accepts; sockets of tokens valid for longer are closed by the heartbeat check
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+class DeadlineSocketService {
+  constructor() {
+    this.server = null;
+    this.heartbeat = null;
+    this.clients = new Map();
+    this.subscribers = new Map();
+    this.handleEvent = this.handleEvent.bind(this);
+  }
+
+  attach(httpServer) {
+    this.server = new WebSocketServer({ noServer: true, maxPayload: MAX_MESSAGE_BYTES });
+    this.server.on('connection', (socket, request, user) => this.handleConnection(socket, user));
+
+    httpServer.on('upgrade', (request, socket, head) => {
+      this.handleUpgrade(request, socket, head).catch(error => {
+        console.error('❌ WebSocket upgrade error:', error.message);
+        this.rejectUpgrade(socket, 500);
+      });
+    });
+
+    this.heartbeat = setInterval(() => this.checkSockets(), HEARTBEAT_MS);
+
+    databaseEventService.subscribe(CHANNEL, this.handleEvent)
+      .catch(error => console.error('❌ Error subscribing to deadline events:', error.message));
+
+    console.log(`🔌 Live deadline updates available at ${PATH}`);
+  }
+
+  // Called by deadlineController after a change; failures are logged and never fail the request
+  publish(event, deadlineId, actorId, details = {}) {
+    databaseEventService.publish(CHANNEL, { event, deadline_id: deadlineId, actor_id: actorId, ...details })
+      .catch(error => console.error('❌ Error publishing deadline event:', error.message));
+  }
+
+  async handleUpgrade(request, socket, head) {
+    const url = new URL(request.url, 'http://localhost');
+    if (url.pathname !== PATH) {
+      return this.rejectUpgrade(socket, 404);
+    }
+
+    // Browsers cannot set headers on WebSocket requests, so the token may also come from the query string
+    const authHeader = request.headers.authorization;
+    const token = authHeader && authHeader.startsWith('Bearer ')
+      ? authHeader.replace('Bearer ', '')
+      : url.searchParams.get('access_token');
+
+    if (!token) {
+      return this.rejectUpgrade(socket, 401);
+    }
+
+    const { user, status } = await auth.authenticateToken(token, {
+      scope: 'deadlines:read',
+      ip: request.socket.remoteAddress
+    });
+    if (!user) {
+      return this.rejectUpgrade(socket, status);
+    }
+
+    this.server.handleUpgrade(request, socket, head, ws => {
+      this.server.emit('connection', ws, request, user);
+    });
+  }
+
+  rejectUpgrade(socket, status) {
+    if (socket.writable) {
+      socket.write(`HTTP/1.1 ${status} ${http.STATUS_CODES[status]}\r\nConnection: close\r\n\r\n`);
+    }
+    socket.destroy();
+  }
+
+  handleConnection(socket, user) {
+    const expiresIn = user.expiresAt - Date.now();
+    this.clients.set(socket, {
+      user,
+      deadlineIds: new Set(),
+      isAlive: true,
+      expiryTimer: expiresIn < MAX_TIMER_MS ? setTimeout(() => this.endSession(socket), Math.max(expiresIn, 0)) : null
+    });
+
+    socket.on('pong', () => {
+      const client = this.clients.get(socket);
+      if (client) {
+        client.isAlive = true;
+      }
+    });
+
+    socket.on('message', data => {
+      this.handleMessage(socket, data).catch(error => {
+        console.error('❌ WebSocket message error:', error.message);
+        this.send(socket, { type: 'error', message: 'Internal server error' });
+      });
+    });
+
+    socket.on('error', error => console.error('❌ WebSocket error:', error.message));
+    socket.on('close', () => this.removeSocket(socket));
+  }
+
+  // Connections that stop answering pings are dropped, and those whose session or access token is no
+  // longer valid are closed
+  async checkSockets() {
+    const checks = new Map();
+
+    for (const [socket, client] of this.clients) {
+      if (!client.isAlive) {
+        socket.terminate();
+        continue;
+      }
+      client.isAlive = false;
+      socket.ping();
+
+      const { user } = client;
+      const credential = user.sessionId ? `session:${user.sessionId}` : `token:${user.accessTokenId}`;
+      if (!checks.has(credential)) {
+        checks.set(credential, auth.isCredentialActive(user));
+      }
+
+      try {
+        if (!await checks.get(credential)) {
+          this.endSession(socket);
+        }
+      } catch (error) {
+        console.error('❌ Error checking WebSocket session:', error.message);
+      }
+    }
+  }
+
+  endSession(socket) {
+    if (!this.clients.has(socket)) {
+      return;
+    }
+
+    this.removeSocket(socket);
+    socket.close(SESSION_ENDED_CODE, 'Session ended');
+  }
+
+  async handleMessage(socket, data) {
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch (error) {
+      return this.send(socket, { type: 'error', message: 'Messages must be JSON' });
+    }
+
+    if (!message || !['subscribe', 'unsubscribe'].includes(message.type)) {
+      return this.send(socket, { type: 'error', message: "Message type must be 'subscribe' or 'unsubscribe'" });
+    }
+
+    const ids = Array.isArray(message.deadline_ids) ? message.deadline_ids.map(id => parseInt(id)) : [];
+    if (ids.length === 0 || ids.some(id => isNaN(id) || id < 1)) {
+      return this.send(socket, { type: 'error', message: 'deadline_ids must be a non-empty array of deadline IDs' });
+    }
+
+    const deadlineIds = [...new Set(ids)];
+    if (message.type === 'unsubscribe') {
+      this.unsubscribe(socket, deadlineIds);
+      return this.send(socket, { type: 'unsubscribed', deadline_ids: deadlineIds });
+    }
+
+    return this.subscribe(socket, deadlineIds);
+  }
+
+  async subscribe(socket, deadlineIds) {
+    const client = this.clients.get(socket);
+    const newIds = deadlineIds.filter(id => !client.deadlineIds.has(id));
+    if (client.deadlineIds.size + newIds.length > MAX_SUBSCRIPTIONS) {
+      return this.send(socket, {
+        type: 'error',
+        message: `A connection can subscribe to at most ${MAX_SUBSCRIPTIONS} deadlines`
+      });
+    }
+
+    const subscribed = [];
+    const denied = [];
+    for (const deadlineId of deadlineIds) {
+      const access = await DeadlineCollaborator.canAccessDeadline(deadlineId, client.user.userId);
+
+      // The connection may have closed while access was being checked
+      if (!this.clients.has(socket)) {
+        return;
+      }
+
+      if (!access) {
+        denied.push(deadlineId);
+        continue;
+      }
+
+      client.deadlineIds.add(deadlineId);
+      if (!this.subscribers.has(deadlineId)) {
+        this.subscribers.set(deadlineId, new Set());
+      }
+      this.subscribers.get(deadlineId).add(socket);
+      subscribed.push(deadlineId);
+    }
+
+    this.send(socket, { type: 'subscribed', deadline_ids: subscribed, denied });
+  }
+
+  unsubscribe(socket, deadlineIds) {
+    const client = this.clients.get(socket);
+
+    for (const deadlineId of deadlineIds) {
+      if (client) {
+        client.deadlineIds.delete(deadlineId);
+      }
+
+      const sockets = this.subscribers.get(deadlineId);
+      if (sockets) {
+        sockets.delete(socket);
+        if (sockets.size === 0) {
+          this.subscribers.delete(deadlineId);
+        }
+      }
+    }
+  }
+
+  removeSocket(socket) {
+    const client = this.clients.get(socket);
+    if (client) {
+      clearTimeout(client.expiryTimer);
+      this.unsubscribe(socket, [...client.deadlineIds]);
+      this.clients.delete(socket);
+    }
+  }
+
+  send(socket, message) {
+    if (socket.readyState === WebSocket.OPEN) {
+      socket.send(JSON.stringify(message));
+    }
+  }
+
+  async handleEvent({ event, deadline_id: deadlineId, actor_id: actorId, ...details }) {
+    const sockets = this.subscribers.get(deadlineId);
+    if (!sockets) {
+      return;
+    }
+
+    if (event === 'deadline_deleted') {
+      for (const socket of [...sockets]) {
+        this.send(socket, { type: event, deadline_id: deadlineId, actor_id: actorId });
+        this.unsubscribe(socket, [deadlineId]);
+      }
+      return;
+    }
+
+    const deadline = await Deadline.findById(deadlineId);
+    if (!deadline) {
+      return;
+    }
+
+    for (const socket of [...sockets]) {
+      const client = this.clients.get(socket);
+      if (!client) {
+        continue;
+      }
+
+      // Access may have been revoked since the client subscribed
+      const access = await DeadlineCollaborator.canAccessDeadline(deadlineId, client.user.userId);
+      if (!access) {
+        this.unsubscribe(socket, [deadlineId]);
+        this.send(socket, { type: 'unsubscribed', deadline_ids: [deadlineId], reason: 'access_revoked' });
+        continue;
+      }
+
+      this.send(socket, { type: event, deadline_id: deadlineId, actor_id: actorId, deadline, ...details });
+    }
+  }
+}
+
+module.exports = new DeadlineSocketService();
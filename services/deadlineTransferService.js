@@ -0,0 +1,201 @@
+// CSV / JSON representations of deadlines for bulk export and import.
+
+const { validateNewDeadline, formatDueDate } = require('../utils/deadlineValidation');
+const { formatLocalTimestamp } = require('../utils/timezone');
+
+// Exported columns, in order. Import reads the editable ones and ignores the rest.
+const EXPORT_FIELDS = [
+  'id', 'title', 'description', 'due_date', 'priority', 'status', 'category', 'subject',
+  'estimated_hours', 'actual_hours', 'completion_percentage', 'notes', 'recurrence_rule',
+  'user_role', 'created_at', 'updated_at', 'completed_at'
+];
+const IMPORT_FIELDS = [
+  'title', 'description', 'due_date', 'priority', 'status', 'category', 'subject',
+  'estimated_hours', 'notes', 'recurrence_rule'
+];
+const TIMESTAMP_FIELDS = ['due_date', 'created_at', 'updated_at', 'completed_at'];
+
+const MAX_IMPORT_ROWS = 1000;
+
+
+// Quote a CSV cell when needed; cells that spreadsheets would run as formulas get a leading apostrophe
+const toCsvCell = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Parse RFC 4180 CSV into an array of rows (arrays of strings)
+const parseCsvRows = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('CSV has an unterminated quoted field');
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  // Ignore blank lines
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+};
+
+class DeadlineTransferService {
+  get maxImportRows() {
+    return MAX_IMPORT_ROWS;
+  }
+
+  // Timestamps are written as wall-clock times in the user's timezone, which is how an import
+  // by the same user reads them again
+  toExportRecord(deadline, timeZone) {
+    const record = {};
+    for (const field of EXPORT_FIELDS) {
+      const value = deadline[field];
+      record[field] = value !== null && value !== undefined && TIMESTAMP_FIELDS.includes(field)
+        ? formatLocalTimestamp(value, timeZone)
+        : (value === undefined ? null : value);
+    }
+    return record;
+  }
+
+  toCsv(deadlines, timeZone) {
+    const lines = [EXPORT_FIELDS.join(',')];
+    for (const deadline of deadlines) {
+      const record = this.toExportRecord(deadline, timeZone);
+      lines.push(EXPORT_FIELDS.map(field => toCsvCell(record[field])).join(','));
+    }
+    return lines.join('\r\n') + '\r\n';
+  }
+
+  // CSV text into plain records keyed by (lower-cased) header names
+  parseCsv(text) {
+    const [header, ...rows] = parseCsvRows(text);
+    if (!header) {
+      throw new Error('CSV file is empty');
+    }
+
+    const columns = header.map(name => name.trim().toLowerCase());
+    if (!columns.includes('title') || !columns.includes('due_date')) {
+      throw new Error('CSV header must include at least title and due_date columns');
+    }
+
+    return rows.map(cells => {
+      const record = {};
+      columns.forEach((column, index) => {
+        let value = cells[index] === undefined ? '' : cells[index];
+        // Undo the formula guard added on export
+        if (/^'[=+\-@\t\r]/.test(value)) {
+          value = value.substring(1);
+        }
+        record[column] = value;
+      });
+      return record;
+    });
+  }
+
+  // Validate one imported record. Returns { errors, deadline } with deadline ready for Deadline.create.
+  // Due dates without an offset are in `timeZone` (the importing user's).
+  validateRecord(record, timeZone) {
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+      return { errors: ['Row must be an object'], deadline: null };
+    }
+
+    // Empty CSV cells mean "not set"
+    const data = {};
+    const typeErrors = [];
+    for (const field of IMPORT_FIELDS) {
+      const value = record[field];
+      if (value === undefined || value === null || value === '') {
+        continue;
+      }
+      if (typeof value !== 'string' && !['estimated_hours', 'recurrence_rule'].includes(field)) {
+        typeErrors.push(`${field} must be text`);
+        continue;
+      }
+      data[field] = typeof value === 'string' && field !== 'description' && field !== 'notes' ? value.trim() : value;
+    }
+
+    if (typeErrors.length > 0) {
+      return { errors: typeErrors, deadline: null };
+    }
+
+    // Recurrence rules are exported as JSON; RRULE strings are accepted as well
+    if (typeof data.recurrence_rule === 'string' && data.recurrence_rule.startsWith('{')) {
+      try {
+        data.recurrence_rule = JSON.parse(data.recurrence_rule);
+      } catch (error) {
+        return { errors: ['Recurrence rule is not valid JSON'], deadline: null };
+      }
+    }
+
+    if (typeof data.due_date === 'string' && /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}$/.test(data.due_date)) {
+      data.due_date = `${data.due_date}:00`;
+    }
+
+    const { errors, recurrenceRule } = validateNewDeadline(data, { timeZone });
+    if (errors.length > 0) {
+      return { errors, deadline: null };
+    }
+
+    return {
+      errors,
+      deadline: {
+        title: data.title.trim(),
+        description: data.description ? data.description.trim() : null,
+        due_date: formatDueDate(data.due_date, timeZone),
+        priority: data.priority || 'medium',
+        status: data.status || 'pending',
+        category: data.category || null,
+        subject: data.subject || null,
+        estimated_hours: data.estimated_hours ? parseInt(data.estimated_hours) : null,
+        notes: data.notes ? data.notes.trim() : null,
+        recurrence_rule: recurrenceRule
+      }
+    };
+  }
+}
+
+module.exports = new DeadlineTransferService();
@@ -0,0 +1,144 @@
+const EmailOutbox = require('../models/EmailOutbox');
+const emailService = require('./emailService');
+const databaseEventService = require('./databaseEventService');
+
+// Worker for the email_outbox table (see models/EmailOutbox.js). New messages are announced with
+// NOTIFY so they go out right away; polling picks up retries and anything announced while the
+// listener was down. Failed deliveries are retried with exponential backoff (1m, 4m, 16m, ...) and
+// the message becomes dead after MAX_ATTEMPTS, until an admin re-queues it.
+
+const POLL_INTERVAL_MS = 30 * 1000;
+const BATCH_SIZE = 20;
+const MAX_ATTEMPTS = 6;
+const MAX_RETRY_DELAY_SECONDS = 6 * 60 * 60;
+const STALE_MESSAGE_MINUTES = 10;
+const STALE_CHECK_INTERVAL_MS = 5 * 60 * 1000;
+
+class EmailOutboxService {
+  constructor() {
+    this.timer = null;
+    this.processing = false;
+    this.rerun = false;
+    this.unsubscribe = null;
+    this.lastRunAt = null;
+    this.lastStaleCheckAt = 0;
+  }
+
+  start() {
+    if (this.timer) {
+      console.log('📮 Email outbox is already running');
+      return;
+    }
+
+    this.timer = setInterval(() => this.processPending(), POLL_INTERVAL_MS);
+    console.log(`📮 Email outbox started (polling every ${POLL_INTERVAL_MS / 1000}s)`);
+
+    databaseEventService.subscribe(EmailOutbox.CHANNEL, () => this.processPending())
+      .then(unsubscribe => {
+        this.unsubscribe = unsubscribe;
+      })
+      .catch(error => console.error('❌ Email outbox listener error:', error.message));
+
+    this.processPending();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+    console.log('📮 Email outbox stopped');
+  }
+
+  async processPending() {
+    // A message announced during a run may not have been claimed by it, so run once more afterwards
+    if (this.processing) {
+      this.rerun = true;
+      return;
+    }
+    this.processing = true;
+
+    try {
+      await this.releaseStale();
+
+      do {
+        this.rerun = false;
+        let messages;
+        do {
+          messages = await EmailOutbox.claimDue(BATCH_SIZE);
+          for (const message of messages) {
+            await this.deliver(message);
+          }
+        } while (messages.length === BATCH_SIZE);
+      } while (this.rerun);
+
+      this.lastRunAt = new Date();
+    } catch (error) {
+      console.error('❌ Error processing email outbox:', error && error.message ? error.message : error);
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  // Messages a crashed worker was sending are handed out again. This runs every few minutes rather
+  // than only at startup: an instance restarted right after a crash finds its own messages not stale
+  // yet, and no other instance would pick them up later.
+  async releaseStale() {
+    if (Date.now() - this.lastStaleCheckAt < STALE_CHECK_INTERVAL_MS) {
+      return;
+    }
+    this.lastStaleCheckAt = Date.now();
+
+    try {
+      const released = await EmailOutbox.releaseStale(STALE_MESSAGE_MINUTES);
+      if (released > 0) {
+        console.log(`♻️ Released ${released} stuck email(s)`);
+      }
+    } catch (error) {
+      console.error('❌ Error releasing stuck emails:', error.message);
+    }
+  }
+
+  async deliver(message) {
+    try {
+      const result = await emailService.deliver({
+        to: message.to_address,
+        subject: message.subject,
+        html: message.html,
+        text: message.text
+      });
+
+      if (result.success) {
+        await EmailOutbox.markSent(message.id, result.messageId);
+      } else {
+        await this.handleFailure(message, String(result.error));
+      }
+    } catch (error) {
+      console.error(`❌ Error updating email ${message.id}:`, error.message);
+    }
+  }
+
+  async handleFailure(message, errorMessage) {
+    if (message.attempts >= MAX_ATTEMPTS) {
+      await EmailOutbox.markFailed(message.id, errorMessage);
+      console.error(`❌ Email ${message.id} is dead after ${message.attempts} attempts:`, errorMessage);
+      return;
+    }
+
+    const delaySeconds = Math.min(60 * 4 ** (message.attempts - 1), MAX_RETRY_DELAY_SECONDS);
+    await EmailOutbox.markFailed(message.id, errorMessage, delaySeconds);
+    console.warn(`⚠️ Email ${message.id} failed (attempt ${message.attempts}), retrying in ${delaySeconds}s:`, errorMessage);
+  }
+
+  async getStatus() {
+    return {
+      isRunning: Boolean(this.timer),
+      lastRunAt: this.lastRunAt,
+      emails: await EmailOutbox.getStats()
+    };
+  }
+}
+
+module.exports = new EmailOutboxService();
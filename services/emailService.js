@@ -1,4 +1,7 @@
 const nodemailer = require('nodemailer');
+const EmailOutbox = require('../models/EmailOutbox');
+const tokenService = require('./tokenService');
+const { formatDateTime, formatDate } = require('../utils/timezone');
 
 class EmailService {
         // Send password reset email
@@ -17,8 +20,47 @@ class EmailService {
                     </html>
                 `;
                 const text = `Hello ${userName},\n\nWe received a request to reset your password. Use the following link to set a new password:\n${resetUrl}\n\nIf you did not request this, you can ignore this email.\n\nDeadline Tracker Team`;
-                return await this.sendEmail({ to: userEmail, subject, html, text });
+                return await this.sendEmail({ to: userEmail, subject, html, text, category: 'password_reset' });
         }
+
+        // Send email address verification link
+        async sendEmailVerification(userEmail, userName, verifyUrl) {
+                const subject = 'Verify your email address';
+                const html = `
+                    <html>
+                        <body style="font-family: Arial, sans-serif;">
+                            <h2>Verify your email address</h2>
+                            <p>Hello <strong>${userName}</strong>,</p>
+                            <p>Please confirm this address so we can send you deadline reminders and summaries:</p>
+                            <p><a href="${verifyUrl}" style="background:#4CAF50;color:white;padding:10px 20px;text-decoration:none;border-radius:5px;">Verify Email</a></p>
+                            <p>This link expires in 24 hours. If you did not create an account, you can safely ignore this email.</p>
+                            <p>Best regards,<br>Deadline Tracker Team</p>
+                        </body>
+                    </html>
+                `;
+                const text = `Hello ${userName},\n\nPlease confirm this address so we can send you deadline reminders and summaries:\n${verifyUrl}\n\nThis link expires in 24 hours. If you did not create an account, you can ignore this email.\n\nDeadline Tracker Team`;
+                return await this.sendEmail({ to: userEmail, subject, html, text, category: 'email_verification' });
+        }
+
+        // Notify a user that sign-in was locked after repeated failures
+        async sendAccountLockout(userEmail, userName, lockoutMinutes, resetUrl) {
+                const subject = 'Your account has been temporarily locked';
+                const html = `
+                    <html>
+                        <body style="font-family: Arial, sans-serif;">
+                            <h2>Too many failed sign-in attempts</h2>
+                            <p>Hello <strong>${userName}</strong>,</p>
+                            <p>We locked sign-in to your account for ${lockoutMinutes} minutes after several failed password attempts.</p>
+                            <p>If this was you, wait and try again. If it was not, someone may be guessing your password; we recommend resetting it:</p>
+                            <p><a href="${resetUrl}" style="background:#f44336;color:white;padding:10px 20px;text-decoration:none;border-radius:5px;">Reset Password</a></p>
+                            <p>Best regards,<br>Deadline Tracker Team</p>
+                        </body>
+                    </html>
+                `;
+                const text = `Hello ${userName},\n\nWe locked sign-in to your account for ${lockoutMinutes} minutes after several failed password attempts.\nIf this was not you, we recommend resetting your password:\n${resetUrl}\n\nDeadline Tracker Team`;
+                return await this.sendEmail({ to: userEmail, subject, html, text, category: 'account_lockout' });
+        }
+
     constructor() {
         this.transporter = null;
         this.initializeTransporter();
@@ -73,7 +115,9 @@ class EmailService {
 
     // Generate email templates
     generateEmailTemplate(type, data) {
-        const { user, deadline, timeRemaining } = data;
+        const { user, deadline, timeRemaining, actions = [] } = data;
+        const buttons = actions.filter(action => action.action !== 'unsubscribe');
+        const unsubscribe = actions.find(action => action.action === 'unsubscribe');
 
         const templates = {
             'deadline-reminder': {
@@ -108,7 +152,7 @@ class EmailService {
                 
                 <div class="deadline-info priority-${deadline.priority}">
                   <h3>${deadline.title}</h3>
-                  <p><strong>Due:</strong> ${new Date(deadline.due_date).toLocaleString()}</p>
+                  <p><strong>Due:</strong> ${formatDateTime(deadline.due_date, user.timezone)}</p>
                   <p><strong>Time Remaining:</strong> ${timeRemaining}</p>
                   <p><strong>Priority:</strong> ${deadline.priority.toUpperCase()}</p>
                   <p><strong>Subject:</strong> ${deadline.subject || 'N/A'}</p>
@@ -123,10 +167,13 @@ class EmailService {
                 
                 <p>Don't forget to complete your task on time! </p>
                 
+                ${buttons.length > 0 ? `<p>${buttons.map(action => `<a href="${action.url}" class="btn">${action.label}</a>`).join(' ')}</p>` : ''}
+                
               </div>
               <div class="footer">
                 <p>Best regards,<br>Deadline Tracker Team</p>
                 <p><small>This is an automated reminder. Please do not reply to this email.</small></p>
+                ${unsubscribe ? `<p><small><a href="${unsubscribe.url}" style="color: #ccc;">${unsubscribe.label}</a></small></p>` : ''}
               </div>
             </div>
           </body>
@@ -140,7 +187,7 @@ Hello ${user.full_name || user.username},
 This is a reminder about your upcoming deadline:
 
 Title: ${deadline.title}
-Due: ${new Date(deadline.due_date).toLocaleString()}
+Due: ${formatDateTime(deadline.due_date, user.timezone)}
 Time Remaining: ${timeRemaining}
 Priority: ${deadline.priority.toUpperCase()}
 Subject: ${deadline.subject || 'N/A'}
@@ -152,7 +199,7 @@ ${deadline.estimated_hours ? `Estimated Hours: ${deadline.estimated_hours}h` : '
 ${deadline.notes ? `Notes: ${deadline.notes}` : ''}
 
 Don't forget to complete your task on time!
-
+${actions.length > 0 ? `\nQuick actions:\n${actions.map(action => `- ${action.label}: ${action.url}`).join('\n')}\n` : ''}
 Best regards,
 Deadline Tracker Team
         `
@@ -186,7 +233,7 @@ Deadline Tracker Team
                 
                 <div class="deadline-info">
                   <h3>${deadline.title}</h3>
-                  <p><strong>Was Due:</strong> ${new Date(deadline.due_date).toLocaleString()}</p>
+                  <p><strong>Was Due:</strong> ${formatDateTime(deadline.due_date, user.timezone)}</p>
                   <p><strong>Overdue By:</strong> ${timeRemaining}</p>
                   <p><strong>Priority:</strong> ${deadline.priority.toUpperCase()}</p>
                   <p><strong>Subject:</strong> ${deadline.subject || 'N/A'}</p>
@@ -209,8 +256,19 @@ Deadline Tracker Team
         return templates[type] || null;
     }
 
-    // Send email
-    async sendEmail({ to, subject, html, text }) {
+    // Queue an email in the outbox; services/emailOutboxService.js delivers it and retries failures
+    async sendEmail({ to, subject, html, text, category = 'general', deadlineId = null }) {
+        try {
+            const outboxId = await EmailOutbox.enqueue({ category, to, subject, html, text, deadlineId });
+            return { success: true, queued: true, outboxId };
+        } catch (error) {
+            console.error('❌ Failed to queue email:', error && error.message ? error.message : error);
+            return { success: false, error: error && error.message ? error.message : error };
+        }
+    }
+
+    // Hand a message to the SMTP transporter (used by the outbox worker)
+    async deliver({ to, subject, html, text }) {
         try {
             if (!this.transporter) {
                 throw new Error('Email transporter not initialized');
@@ -237,12 +295,13 @@ Deadline Tracker Team
     }
 
     // Send deadline reminder email
-    async sendDeadlineReminder(user, deadline, timeRemaining) {
+    async sendDeadlineReminder(user, deadline, timeRemaining, notificationType) {
         try {
             const template = this.generateEmailTemplate('deadline-reminder', {
                 user,
                 deadline,
-                timeRemaining
+                timeRemaining,
+                actions: this.buildReminderActions(user, deadline, timeRemaining, notificationType)
             });
 
             if (!template) {
@@ -253,7 +312,9 @@ Deadline Tracker Team
                 to: user.email,
                 subject: template.subject,
                 html: template.html,
-                text: template.text
+                text: template.text,
+                category: 'deadline_reminder',
+                deadlineId: deadline.id
             });
         } catch (error) {
             console.error('Error sending deadline reminder:', error && error.message ? error.message : error);
@@ -261,6 +322,33 @@ Deadline Tracker Team
         }
     }
 
+    // Signed one-click links for a reminder email (handled by /api/email-actions). Needs API_URL for
+    // absolute links and the recipient's id; without them the email has no action links.
+    buildReminderActions(user, deadline, timeRemaining, notificationType) {
+        if (!process.env.API_URL || !user.id) {
+            return [];
+        }
+
+        const link = action => `${process.env.API_URL}/api/email-actions/${tokenService.generateEmailActionToken({
+            userId: user.id,
+            deadlineId: deadline.id,
+            action,
+            notificationType
+        })}`;
+
+        const actions = [
+            { action: 'complete', label: '✅ Mark completed', url: link('complete') },
+            { action: 'snooze', label: '😴 Snooze 1 day', url: link('snooze') },
+            { action: 'mute', label: '🔕 Mute reminders for this deadline', url: link('mute') }
+        ];
+
+        if (notificationType) {
+            actions.push({ action: 'unsubscribe', label: `Unsubscribe from "${timeRemaining} before" reminder emails`, url: link('unsubscribe') });
+        }
+
+        return actions;
+    }
+
     // Send overdue notification
     async sendOverdueNotification(user, deadline, overdueDuration) {
         try {
@@ -278,7 +366,9 @@ Deadline Tracker Team
                 to: user.email,
                 subject: template.subject,
                 html: template.html,
-                text: template.text
+                text: template.text,
+                category: 'overdue',
+                deadlineId: deadline.id
             });
         } catch (error) {
             console.error('Error sending overdue notification:', error && error.message ? error.message : error);
@@ -286,6 +376,55 @@ Deadline Tracker Team
         }
     }
 
+    // Reminders and overdue alerts held during the user's quiet hours, sent together afterwards, and
+    // snoozed reminders whose snooze ended
+    async sendHeldNotifications(user, items) {
+        try {
+            const overdue = items.filter(item => item.kind === 'overdue');
+            const reminders = items.filter(item => item.kind !== 'overdue');
+            const fromQuietHours = items.some(item => !item.snoozed);
+            const subject = overdue.length > 0
+                ? `🚨 ${overdue.length} overdue deadline${overdue.length !== 1 ? 's' : ''} from your quiet hours`
+                : fromQuietHours
+                    ? `⏰ ${reminders.length} deadline reminder${reminders.length !== 1 ? 's' : ''} from your quiet hours`
+                    : `⏰ Snoozed reminder${reminders.length !== 1 ? 's' : ''}: ${reminders.map(item => item.deadline.title).join(', ')}`;
+            const heading = fromQuietHours ? 'While you were in quiet hours' : 'Snoozed reminders';
+            const intro = fromQuietHours
+                ? 'We held these notifications until your quiet hours ended:'
+                : 'You asked us to remind you again about:';
+
+            const describe = item => item.kind === 'overdue'
+                ? `overdue by ${item.timing}`
+                : `due in ${item.timing}`;
+
+            const html = `
+                <html>
+                    <body style="font-family: Arial, sans-serif;">
+                        <h2>${heading}</h2>
+                        <p>Hello <strong>${user.full_name || user.username}</strong>,</p>
+                        <p>${intro}</p>
+                        <ul>
+                            ${items.map(item => `<li style="margin-bottom:8px;${item.kind === 'overdue' ? 'color:#f44336;' : ''}"><strong>${item.deadline.title}</strong> — ${describe(item)} (due ${formatDateTime(item.deadline.due_date, user.timezone)})</li>`).join('')}
+                        </ul>
+                        <p>Best regards,<br>Deadline Tracker Team</p>
+                    </body>
+                </html>
+            `;
+            const text = `Hello ${user.full_name || user.username},\n\n${intro}\n\n${items.map(item => `- ${item.deadline.title}: ${describe(item)} (due ${formatDateTime(item.deadline.due_date, user.timezone)})`).join('\n')}\n\nDeadline Tracker Team`;
+
+            return await this.sendEmail({
+                to: user.email,
+                subject,
+                html,
+                text,
+                category: fromQuietHours ? 'quiet_hours_digest' : 'deadline_reminder'
+            });
+        } catch (error) {
+            console.error('Error sending held notifications:', error && error.message ? error.message : error);
+            return { success: false, error: error && error.message ? error.message : error };
+        }
+    }
+
     // Format time remaining
     static formatTimeRemaining(milliseconds) {
         const days = Math.floor(milliseconds / (1000 * 60 * 60 * 24));
@@ -312,7 +451,7 @@ Deadline Tracker Team
                 completed_today 
             } = summaryData;
 
-            const subject = `📊 Daily Deadline Summary - ${new Date().toLocaleDateString()}`;
+            const subject = `📊 Daily Deadline Summary - ${formatDate(new Date(), user.timezone)}`;
             
             let summaryText = '';
             let priorityColor = '#4CAF50'; // Green default
@@ -349,7 +488,7 @@ Deadline Tracker Team
                 <div class="container">
                     <div class="header">
                         <h1>📊 Daily Deadline Summary</h1>
-                        <p>${new Date().toLocaleDateString()}</p>
+                        <p>${formatDate(new Date(), user.timezone)}</p>
                     </div>
                     <div class="content">
                         <p>Hello ${user.full_name || user.username},</p>
@@ -380,7 +519,7 @@ Deadline Tracker Team
             `;
 
             const text = `
-Daily Deadline Summary - ${new Date().toLocaleDateString()}
+Daily Deadline Summary - ${formatDate(new Date(), user.timezone)}
 
 Hello ${user.full_name || user.username},
 
@@ -404,7 +543,8 @@ Deadline Tracker Team
                 to: user.email,
                 subject: subject,
                 html: html,
-                text: text
+                text: text,
+                category: 'daily_summary'
             });
         } catch (error) {
             console.error('Error sending daily summary:', error && error.message ? error.message : error);
@@ -412,6 +552,65 @@ Deadline Tracker Team
         }
     }
 
+    // Send weekly planning digest email
+    async sendWeeklyDigest(user, digest) {
+        try {
+            const { upcoming, overdue, completed, shared } = digest;
+            const name = user.full_name || user.username;
+            const subject = `🗓️ Your week ahead - ${formatDate(new Date(), user.timezone)}`;
+
+            const describeDeadline = deadline => `${deadline.title} (due ${formatDateTime(deadline.due_date, user.timezone)})`;
+            const describeCollaborator = collaborator =>
+                `${collaborator.full_name || collaborator.username}: ${collaborator.subtasks_completed} subtask${collaborator.subtasks_completed !== 1 ? 's' : ''} done this week, ${collaborator.subtasks_open} open`;
+
+            const htmlSection = (heading, color, items, render) => items.length === 0 ? '' : `
+                        <h3 style="color: ${color};">${heading} (${items.length})</h3>
+                        <ul>
+                            ${items.map(item => `<li style="margin-bottom:8px;">${render(item)}</li>`).join('')}
+                        </ul>`;
+            const textSection = (heading, items, render) => items.length === 0 ? '' :
+                `${heading} (${items.length}):\n${items.map(item => `- ${render(item)}`).join('\n')}\n\n`;
+
+            const renderShared = deadline => `<strong>${deadline.title}</strong> — ${deadline.completion_percentage || 0}% complete
+                                <ul>${deadline.collaborators.map(collaborator => `<li>${describeCollaborator(collaborator)}</li>`).join('')}</ul>`;
+
+            const html = `
+                <html>
+                    <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333;">
+                        <h2>🗓️ Weekly Planning Digest</h2>
+                        <p>Hello <strong>${name}</strong>,</p>
+                        <p>Here is what your week looks like.</p>
+                        ${htmlSection('🚨 Overdue', '#f44336', overdue, describeDeadline)}
+                        ${htmlSection('📅 Due in the next 7 days', '#2196F3', upcoming, describeDeadline)}
+                        ${htmlSection('✅ Completed last week', '#4CAF50', completed, deadline => deadline.title)}
+                        ${htmlSection('🤝 Shared deadlines', '#ff9800', shared, renderShared)}
+                        <p>Best regards,<br>Deadline Tracker Team</p>
+                        <p><small>This is your automated weekly digest. You can change when it arrives in your notification preferences.</small></p>
+                    </body>
+                </html>
+            `;
+
+            const text = `Weekly Planning Digest - ${formatDate(new Date(), user.timezone)}\n\nHello ${name},\n\n` +
+                textSection('Overdue', overdue, describeDeadline) +
+                textSection('Due in the next 7 days', upcoming, describeDeadline) +
+                textSection('Completed last week', completed, deadline => deadline.title) +
+                textSection('Shared deadlines', shared, deadline =>
+                    `${deadline.title} (${deadline.completion_percentage || 0}% complete)\n${deadline.collaborators.map(collaborator => `    ${describeCollaborator(collaborator)}`).join('\n')}`) +
+                'Best regards,\nDeadline Tracker Team';
+
+            return await this.sendEmail({
+                to: user.email,
+                subject,
+                html,
+                text,
+                category: 'weekly_digest'
+            });
+        } catch (error) {
+            console.error('Error sending weekly digest:', error && error.message ? error.message : error);
+            return { success: false, error: error && error.message ? error.message : error };
+        }
+    }
+
     // Test email functionality
     async sendTestEmail(to) {
         try {
@@ -436,7 +635,8 @@ This test email confirms that deadline notifications will be delivered successfu
                 to: to,
                 subject: testTemplate.subject,
                 html: testTemplate.html,
-                text: testTemplate.text
+                text: testTemplate.text,
+                category: 'test'
             });
         } catch (error) {
             console.error('Error sending test email:', error && error.message ? error.message : error);
@@ -0,0 +1,147 @@
+const os = require('os');
+const EventEmitter = require('events');
+const pool = require('../config/db');
+
+// Leader election with a Postgres session-level advisory lock, so that with several instances only
+// one runs the scheduled tasks. The lock belongs to the dedicated connection that took it: if the
+// leader's process or connection dies, Postgres releases it and another instance takes over on its
+// next attempt. The leader's connection is named after the instance, which lets any instance see
+// who holds the lock.
+//
+// Emits 'elected' and 'resigned'.
+
+const LOCK_NAMESPACE = 20240;
+const SCHEDULER_LOCK = 1;
+const CHECK_INTERVAL_MS = 15 * 1000;
+const APPLICATION_NAME_PREFIX = 'deadline-tracker:';
+
+class LeaderElectionService extends EventEmitter {
+  constructor() {
+    super();
+    this.instanceId = process.env.INSTANCE_ID || `${os.hostname()}:${process.pid}`;
+    this.client = null;
+    this.isLeader = false;
+    this.leaderSince = null;
+    this.timer = null;
+    this.checking = false;
+  }
+
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.check(), CHECK_INTERVAL_MS);
+    this.check();
+  }
+
+  async stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+
+    if (this.client) {
+      await this.client.query('SELECT pg_advisory_unlock($1, $2)', [LOCK_NAMESPACE, SCHEDULER_LOCK])
+        .catch(() => {});
+      this.resign();
+    }
+  }
+
+  async check() {
+    if (this.checking) {
+      return;
+    }
+    this.checking = true;
+
+    try {
+      if (this.isLeader) {
+        // The lock is only as good as the connection holding it
+        await this.client.query('SELECT 1');
+      } else {
+        await this.tryAcquire();
+      }
+    } catch (error) {
+      console.error('❌ Leader election error:', error.message);
+      this.resign(error);
+    } finally {
+      this.checking = false;
+    }
+  }
+
+  async tryAcquire() {
+    const client = await pool.connect();
+
+    try {
+      const result = await client.query('SELECT pg_try_advisory_lock($1, $2) AS acquired', [
+        LOCK_NAMESPACE,
+        SCHEDULER_LOCK
+      ]);
+
+      if (!result.rows[0].acquired) {
+        client.release();
+        return;
+      }
+
+      await client.query("SELECT set_config('application_name', $1, false)", [
+        `${APPLICATION_NAME_PREFIX}${this.instanceId}`.substring(0, 63)
+      ]);
+    } catch (error) {
+      client.release(error);
+      throw error;
+    }
+
+    // Keep the connection (and with it the lock) for as long as this instance leads
+    client.on('error', error => {
+      console.error('❌ Leader connection error:', error.message);
+      this.resign(error);
+    });
+    this.client = client;
+    this.isLeader = true;
+    this.leaderSince = new Date();
+    console.log(`👑 This instance (${this.instanceId}) is now the scheduler leader`);
+    this.emit('elected');
+  }
+
+  // Drop the connection, which releases the lock if it is still held
+  resign(error) {
+    const client = this.client;
+    this.client = null;
+    if (client) {
+      client.release(error || true);
+    }
+
+    if (this.isLeader) {
+      this.isLeader = false;
+      this.leaderSince = null;
+      console.log(`👋 This instance (${this.instanceId}) is no longer the scheduler leader`);
+      this.emit('resigned');
+    }
+  }
+
+  // The instance currently holding the lock (as seen by Postgres), or null
+  async getLeader() {
+    const query = `
+      SELECT a.application_name, a.pid, a.client_addr, a.backend_start
+      FROM pg_locks l
+      JOIN pg_stat_activity a ON a.pid = l.pid
+      WHERE l.locktype = 'advisory' AND l.granted
+        AND l.classid = $1 AND l.objid = $2 AND l.objsubid = 2
+    `;
+
+    const result = await pool.query(query, [LOCK_NAMESPACE, SCHEDULER_LOCK]);
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const row = result.rows[0];
+    return {
+      instanceId: row.application_name && row.application_name.startsWith(APPLICATION_NAME_PREFIX)
+        ? row.application_name.substring(APPLICATION_NAME_PREFIX.length)
+        : row.application_name,
+      databasePid: row.pid,
+      clientAddress: row.client_addr,
+      connectedAt: row.backend_start
+    };
+  }
+}
+
+module.exports = new LeaderElectionService();
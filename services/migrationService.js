@@ -0,0 +1,171 @@
+const fs = require('fs');
+const path = require('path');
+const pool = require('../config/db');
+
+// Versioned schema migrations.
+//
+// Each file in /migrations is named <version>_<name>.js and exports
+//   { description, up(client), down(client) }
+// Every migration runs in its own transaction and is recorded in schema_migrations.
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+// Arbitrary key for pg_advisory_lock so two migrators never run at the same time
+const MIGRATION_LOCK_KEY = 724001;
+
+class MigrationService {
+  // Load migration modules from disk, ordered by version
+  loadMigrations() {
+    const migrations = fs.readdirSync(MIGRATIONS_DIR)
+      .map(file => {
+        const match = file.match(MIGRATION_FILE_PATTERN);
+        if (!match) {
+          return null;
+        }
+
+        const migration = require(path.join(MIGRATIONS_DIR, file));
+        if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+          throw new Error(`Migration ${file} must export up() and down()`);
+        }
+
+        return {
+          version: parseInt(match[1]),
+          name: match[2],
+          description: migration.description || match[2],
+          up: migration.up,
+          down: migration.down
+        };
+      })
+      .filter(Boolean)
+      .sort((a, b) => a.version - b.version);
+
+    for (let i = 1; i < migrations.length; i++) {
+      if (migrations[i].version === migrations[i - 1].version) {
+        throw new Error(`Duplicate migration version ${migrations[i].version}`);
+      }
+    }
+
+    return migrations;
+  }
+
+  async ensureMigrationsTable(client = pool) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  }
+
+  async getAppliedMigrations(client = pool) {
+    await this.ensureMigrationsTable(client);
+    const result = await client.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version ASC');
+    return result.rows;
+  }
+
+  // Every known migration with its applied state
+  async getStatus() {
+    const migrations = this.loadMigrations();
+    const applied = await this.getAppliedMigrations();
+    const appliedByVersion = new Map(applied.map(row => [row.version, row]));
+
+    const status = migrations.map(migration => ({
+      version: migration.version,
+      name: migration.name,
+      description: migration.description,
+      applied: appliedByVersion.has(migration.version),
+      applied_at: appliedByVersion.has(migration.version) ? appliedByVersion.get(migration.version).applied_at : null
+    }));
+
+    // Applied versions whose files are gone (e.g. running an older build against a newer database)
+    const known = new Set(migrations.map(migration => migration.version));
+    const missing = applied.filter(row => !known.has(row.version));
+
+    return { migrations: status, missing };
+  }
+
+  async getPendingMigrations() {
+    const { migrations } = await this.getStatus();
+    return migrations.filter(migration => !migration.applied);
+  }
+
+  // Run fn with a dedicated client holding the migration lock
+  async withLock(fn) {
+    const client = await pool.connect();
+    try {
+      await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+      await this.ensureMigrationsTable(client);
+      return await fn(client);
+    } finally {
+      try {
+        await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]);
+      } finally {
+        client.release();
+      }
+    }
+  }
+
+  // Apply pending migrations in order, optionally stopping at a target version
+  async up(targetVersion = null) {
+    return this.withLock(async (client) => {
+      const applied = new Set((await this.getAppliedMigrations(client)).map(row => row.version));
+      const pending = this.loadMigrations().filter(migration =>
+        !applied.has(migration.version) && (targetVersion === null || migration.version <= targetVersion)
+      );
+
+      const ran = [];
+      for (const migration of pending) {
+        console.log(`⬆️  Applying migration ${migration.version}_${migration.name}...`);
+        try {
+          await client.query('BEGIN');
+          await migration.up(client);
+          await client.query(
+            'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+            [migration.version, migration.name]
+          );
+          await client.query('COMMIT');
+        } catch (error) {
+          await client.query('ROLLBACK');
+          throw new Error(`Migration ${migration.version}_${migration.name} failed: ${error.message}`);
+        }
+        ran.push(migration);
+      }
+
+      return ran;
+    });
+  }
+
+  // Revert the most recently applied migrations (one by default)
+  async down(steps = 1) {
+    return this.withLock(async (client) => {
+      const migrations = new Map(this.loadMigrations().map(migration => [migration.version, migration]));
+      const applied = (await this.getAppliedMigrations(client)).reverse().slice(0, steps);
+
+      const reverted = [];
+      for (const row of applied) {
+        const migration = migrations.get(row.version);
+        if (!migration) {
+          throw new Error(`Cannot revert migration ${row.version}_${row.name}: file not found`);
+        }
+
+        console.log(`⬇️  Reverting migration ${migration.version}_${migration.name}...`);
+        try {
+          await client.query('BEGIN');
+          await migration.down(client);
+          await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+          await client.query('COMMIT');
+        } catch (error) {
+          await client.query('ROLLBACK');
+          throw new Error(`Reverting migration ${migration.version}_${migration.name} failed: ${error.message}`);
+        }
+        reverted.push(migration);
+      }
+
+      return reverted;
+    });
+  }
+}
+
+module.exports = new MigrationService();
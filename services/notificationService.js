@@ -4,7 +4,20 @@ const emailService = require('./emailService');
 const User = require('../models/User');
 const Deadline = require('../models/Deadline');
 const DeadlineCollaborator = require('../models/DeadlineCollaborator');
+const DeadlineSubtask = require('../models/DeadlineSubtask');
 const InAppNotification = require('../models/InAppNotification');
+const Session = require('../models/Session');
+const recurrenceService = require('./recurrenceService');
+const authThrottleService = require('./authThrottleService');
+const ReminderJob = require('../models/ReminderJob');
+const EmailOutbox = require('../models/EmailOutbox');
+const HeldNotification = require('../models/HeldNotification');
+const leaderElectionService = require('./leaderElectionService');
+const webhookService = require('./webhookService');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { formatReminderOffset } = require('../utils/reminderOffsets');
+const { getQuietHoursEnd } = require('../utils/quietHours');
+const { setDeadlineMute } = require('../utils/mutedDeadlines');
 
 class NotificationService {
   constructor() {
@@ -21,55 +34,59 @@ class NotificationService {
 
   console.log('🚀 Starting notification service...');
 
-    // Check for notifications every hour
-    const hourlyTask = cron.schedule('0 * * * *', async () => {
-      console.log('🔍 Running hourly deadline notification check...');
-      await this.checkAndSendNotifications();
-    // Accept userIds as optional fourth argument
-    try {
-      let userIds = arguments[3];
-      let value;
-      if (userIds) {
-        // Store as object: { timestamp, userIds }
-        value = JSON.stringify({ timestamp: new Date().toISOString(), userIds });
-      } else {
-        value = new Date().toISOString();
-      }
-      const query = `
-        UPDATE deadlines 
-        SET notifications_sent = COALESCE(notifications_sent, '{}'::jsonb) || jsonb_build_object($1, $2)
-        WHERE id = $3
-      `;
-      await pool.query(query, [notificationType, value, deadlineId]);
-    } catch (error) {
-      console.error(`❌ Error marking notification as sent:`, error && error.message ? error.message : error);
-    }
-    });
+    // Every instance schedules the tasks, but they only run on the elected leader
+    leaderElectionService.start();
 
     // Overdue deadline check every 4 minutes
-    const overdueTask = cron.schedule('*/4 * * * *', async () => {
+    const overdueTask = cron.schedule('*/4 * * * *', () => this.runAsLeader(async () => {
       console.log('🔍 Running overdue deadline check...');
       await this.checkOverdueDeadlines();
-    });
+      await this.generateNextOccurrences();
+    }));
 
-    // Daily task to update overdue status and send daily summary (8 AM)
-    const dailyTask = cron.schedule('0 8 * * *', async () => {
+    // Daily task to update overdue status and clean up (8 AM)
+    const dailyTask = cron.schedule('0 8 * * *', () => this.runAsLeader(async () => {
       console.log('🔍 Running daily deadline maintenance...');
       await this.updateOverdueDeadlines();
-      await this.sendDailySummary();
-    }, {
+      await this.cleanupStaleSessions();
+      await this.cleanupAuthAttempts();
+      await this.cleanupReminderJobs();
+      await this.cleanupSentEmails();
+      await this.cleanupWebhookDeliveries();
+    }), {
       scheduled: false
     });
 
-    this.scheduledTasks = [hourlyTask, overdueTask, dailyTask];
+    // Daily summaries and weekly digests go out at each user's chosen hour in their own timezone (checked every 15 minutes)
+    const digestTask = cron.schedule('*/15 * * * *', () => this.runAsLeader(async () => {
+      await this.sendDigests();
+    }));
+
+    // Deliver notifications held during quiet hours once they are over, and snoozed reminders and
+    // in-app notifications once their snooze ends (every minute)
+    const heldNotificationsTask = cron.schedule('* * * * *', () => this.runAsLeader(async () => {
+      await this.releaseHeldNotifications();
+      await this.wakeSnoozedNotifications();
+    }));
+
+    this.scheduledTasks = [overdueTask, dailyTask, digestTask, heldNotificationsTask];
     // Start all tasks
     this.scheduledTasks.forEach(task => task.start());
     this.isRunning = true;
     console.log('✅ Notification service started successfully');
     console.log('📅 Scheduled tasks:');
-    console.log('  - Hourly notification check (every hour)');
-    console.log('  - Overdue deadline check (every 4 minutes)');
+    console.log('  - Overdue deadline check and recurring occurrence generation (every 4 minutes)');
     console.log('  - Daily maintenance (8:00 AM)');
+    console.log('  - Daily summaries and weekly digests (at each user\'s digest hour, in their timezone)');
+    console.log('  - Delivery of notifications held during quiet hours or snoozed (every minute)');
+    console.log(`  - Tasks run only while this instance (${leaderElectionService.instanceId}) is the scheduler leader`);
+  }
+
+  async runAsLeader(task) {
+    if (!leaderElectionService.isLeader) {
+      return;
+    }
+    await task();
   }
 
   // Stop notification service
@@ -84,65 +101,23 @@ class NotificationService {
     this.scheduledTasks.forEach(task => task.stop());
     this.scheduledTasks = [];
     this.isRunning = false;
+    leaderElectionService.stop()
+      .catch(error => console.error('❌ Error releasing scheduler leadership:', error.message));
     
     console.log('✅ Notification service stopped');
   }
 
-  // Main function to check and send notifications
-  async checkAndSendNotifications() {
-    try {
-      const notifications = [
-        { hours: 48, type: '2_days' },    // 2 days before
-        { hours: 24, type: '1_day' },     // 1 day before
-        { hours: 12, type: '12_hours' },  // 12 hours before
-        { hours: 1, type: '1_hour' }      // 1 hour before
-      ];
-
-      for (const notification of notifications) {
-        await this.sendNotificationForTimeframe(notification.hours, notification.type);
-      }
-    } catch (error) {
-      console.error('❌ Error in notification check:', error && error.message ? error.message : error);
-    }
-  }
-
-  // Send notifications for a specific timeframe
-  async sendNotificationForTimeframe(hours, notificationType) {
-    try {
-      const startTime = new Date(Date.now() + (hours - 0.5) * 60 * 60 * 1000);
-      const endTime = new Date(Date.now() + (hours + 0.5) * 60 * 60 * 1000);
-
-      // Get deadlines due within the timeframe that haven't been notified
-      const query = `
-        SELECT DISTINCT d.*, 
-               COALESCE(d.notifications_sent, '{}') as notifications_sent
-        FROM deadlines d
-        WHERE d.due_date BETWEEN $1 AND $2
-        AND d.status NOT IN ('completed', 'overdue')
-        AND NOT (COALESCE(d.notifications_sent, '{}')::jsonb ? $3)
-      `;
-
-  const result = await pool.query(query, [startTime, endTime, notificationType]);
-      const deadlines = result.rows;
-
-  console.log(`📨 Found ${deadlines.length} deadlines for ${hours}h notification`);
-
-      for (const deadline of deadlines) {
-        await this.sendDeadlineNotificationToAllCollaborators(deadline, hours, notificationType);
-      }
-
-    } catch (error) {
-      console.error(`❌ Error sending ${hours}h notifications:`, error && error.message ? error.message : error);
-    }
-  }
-
-  // Send deadline notification to all collaborators
-  async sendDeadlineNotificationToAllCollaborators(deadline, hours, notificationType) {
+  // Send a deadline reminder to all collaborators (run by the reminder queue, see reminderQueueService).
+  // `skipUserIds` are recipients who already got it (a retry); the deadline.reminder webhook event is
+  // only sent on the first try. Returns { sent, failed } recipient counts and `sentUserIds`.
+  async sendDeadlineNotificationToAllCollaborators(deadline, minutes, notificationType, { skipUserIds = [], isRetry = false } = {}) {
     try {
       // Get all users who should receive notifications for this deadline
-      const recipients = await DeadlineCollaborator.getNotificationRecipients(deadline.id);
+      const recipients = (await DeadlineCollaborator.getNotificationRecipients(deadline.id))
+        .filter(recipient => !skipUserIds.includes(recipient.user_id));
       
-      const timeRemaining = this.formatTimeRemaining(hours);
+      const timeRemaining = formatReminderOffset(minutes);
+      const sentUserIds = [];
       let successCount = 0;
       let failureCount = 0;
 
@@ -156,10 +131,28 @@ class NotificationService {
           continue;
         }
 
+        if (await User.isDeadlineMuted(recipient.user_id, deadline.id)) {
+          console.log(`🔕 Skipping ${timeRemaining} notification for deadline ${deadline.id} (recipient muted or snoozed its reminders)`);
+          continue;
+        }
+
+        if (await this.holdForQuietHours(recipient.user_id, recipient.timezone, deadline, {
+          kind: 'reminder',
+          notificationType,
+          sendEmail: isReminderEnabled,
+          sendInApp: isInAppReminderEnabled
+        })) {
+          successCount++;
+          sentUserIds.push(recipient.user_id);
+          continue;
+        }
+
         const user = {
+          id: recipient.user_id,
           email: recipient.email,
           username: recipient.username,
-          full_name: recipient.full_name
+          full_name: recipient.full_name,
+          timezone: recipient.timezone
         };
 
         let emailSuccess = false;
@@ -167,7 +160,7 @@ class NotificationService {
 
         // Send email notification if enabled
         if (isReminderEnabled) {
-          const emailResult = await emailService.sendDeadlineReminder(user, deadline, timeRemaining);
+          const emailResult = await emailService.sendDeadlineReminder(user, deadline, timeRemaining, notificationType);
           if (emailResult.success) {
             emailSuccess = true;
             console.log(`✅ Sent ${timeRemaining} email notification for deadline ${deadline.id}`);
@@ -179,7 +172,7 @@ class NotificationService {
         // Send in-app notification if enabled
         if (isInAppReminderEnabled) {
           try {
-            await InAppNotification.createDeadlineReminder(recipient.user_id, deadline, timeRemaining, notificationType);
+            await InAppNotification.createDeadlineReminder(recipient.user_id, deadline, timeRemaining, notificationType, recipient.timezone);
             inAppSuccess = true;
             console.log(`✅ Created ${timeRemaining} in-app notification for deadline ${deadline.id}`);
           } catch (error) {
@@ -189,6 +182,7 @@ class NotificationService {
 
         if (emailSuccess || inAppSuccess) {
           successCount++;
+          sentUserIds.push(recipient.user_id);
         } else {
           failureCount++;
         }
@@ -200,8 +194,16 @@ class NotificationService {
         console.log(`📧 Notification summary for deadline ${deadline.id}: ${successCount} sent, ${failureCount} failed`);
       }
 
+      if (!isRetry) {
+        webhookService.emit('deadline.reminder', deadline, {
+          reminder: { type: notificationType, minutes_before: minutes, time_remaining: timeRemaining }
+        });
+      }
+
+      return { sent: successCount, failed: failureCount, sentUserIds };
     } catch (error) {
       console.error(`❌ Error sending notifications for deadline ${deadline.id}:`, error && error.message ? error.message : error);
+      throw error;
     }
   }
 
@@ -218,6 +220,7 @@ class NotificationService {
       }
 
       const user = {
+        id: deadline.student_id,
         email: deadline.email,
         username: deadline.username,
         full_name: deadline.full_name
@@ -229,7 +232,7 @@ class NotificationService {
       
       // Send email notification if enabled
         if (isReminderEnabled) {
-        const emailResult = await emailService.sendDeadlineReminder(user, deadline, timeRemaining);
+        const emailResult = await emailService.sendDeadlineReminder(user, deadline, timeRemaining, notificationType);
         if (emailResult.success) {
           emailSuccess = true;
             console.log(`✅ Sent ${timeRemaining} email notification for deadline ${deadline.id}`);
@@ -259,6 +262,145 @@ class NotificationService {
     }
   }
 
+  // Hold a notification while the recipient is in quiet hours; returns whether it was held.
+  // Urgent deadlines get through if the recipient allows it.
+  async holdForQuietHours(userId, timeZone, deadline, notification) {
+    const preferences = await User.getNotificationPreferences(userId);
+    const quietHours = preferences && preferences.quiet_hours;
+    if (!quietHours || (quietHours.allow_urgent && deadline.priority === 'urgent')) {
+      return false;
+    }
+
+    const quietUntil = getQuietHoursEnd(quietHours, timeZone);
+    if (!quietUntil) {
+      return false;
+    }
+
+    await HeldNotification.create({ userId, deadlineId: deadline.id, ...notification });
+    console.log(`🌙 Holding ${notification.kind} notification for deadline ${deadline.id} until quiet hours end (${quietUntil.toISOString()})`);
+    return true;
+  }
+
+  // Snooze a user's reminders for a deadline: none until `until`, then one reminder. The reminder is a
+  // held notification released at that time, so it still waits if the user is in quiet hours then.
+  async snoozeDeadline(userId, deadline, until) {
+    const [preferences, sendEmail, sendInApp] = await Promise.all([
+      User.getNotificationPreferences(userId),
+      User.hasEmailNotificationsEnabled(userId),
+      User.hasInAppNotificationsEnabled(userId)
+    ]);
+
+    await User.updateNotificationPreferences(userId, {
+      ...preferences,
+      muted_deadlines: setDeadlineMute(preferences.muted_deadlines, deadline.id, until)
+    });
+
+    return HeldNotification.replaceSnooze({ userId, deadlineId: deadline.id, sendEmail, sendInApp, releaseAt: until });
+  }
+
+  // Snoozed in-app notifications whose time has come reappear as unread
+  async wakeSnoozedNotifications() {
+    try {
+      const woken = await InAppNotification.wakeSnoozed();
+      if (woken > 0) {
+        console.log(`⏰ ${woken} snoozed notification(s) are back`);
+      }
+    } catch (error) {
+      console.error('❌ Error waking snoozed notifications:', error && error.message ? error.message : error);
+    }
+  }
+
+  // Deliver held notifications of users whose quiet hours are over (or who turned them off)
+  async releaseHeldNotifications() {
+    try {
+      const userIds = await HeldNotification.getUserIds();
+
+      for (const userId of userIds) {
+        try {
+          const [user, preferences] = await Promise.all([
+            User.findById(userId),
+            User.getNotificationPreferences(userId)
+          ]);
+          if (user && getQuietHoursEnd(preferences && preferences.quiet_hours, user.timezone)) {
+            continue;
+          }
+
+          await this.deliverHeldNotifications(userId);
+        } catch (error) {
+          console.error('❌ Error delivering held notifications:', error && error.message ? error.message : error);
+        }
+      }
+    } catch (error) {
+      console.error('❌ Error releasing held notifications:', error && error.message ? error.message : error);
+    }
+  }
+
+  // One email for everything held, plus the in-app notifications. Per deadline only the latest
+  // reminder is delivered, and none once an overdue alert was held for it.
+  async deliverHeldNotifications(userId) {
+    const held = await HeldNotification.takeForUser(userId);
+    const user = await User.findById(userId);
+    if (!user || held.length === 0) {
+      return;
+    }
+
+    const latest = new Map();
+    for (const notification of held) {
+      const current = latest.get(notification.deadline_id);
+      if (!current || notification.kind === 'overdue' || current.kind !== 'overdue') {
+        latest.set(notification.deadline_id, notification);
+      }
+    }
+
+    const emailItems = [];
+    let inAppCount = 0;
+
+    for (const notification of latest.values()) {
+      const deadline = await Deadline.findById(notification.deadline_id);
+      if (!deadline || deadline.status === 'completed') {
+        continue;
+      }
+
+      // A snoozed reminder is what its own snooze was waiting for, so only a mute stops it
+      const isOverdue = notification.kind === 'overdue';
+      const isSnoozed = notification.notification_type === 'snoozed';
+      if (!isOverdue && (new Date(deadline.due_date) <= new Date() ||
+          await User.isDeadlineMuted(userId, deadline.id, !isSnoozed))) {
+        continue;
+      }
+
+      const timing = isOverdue
+        ? this.calculateOverdueDuration(deadline.due_date)
+        : this.calculateTimeRemaining(deadline.due_date);
+
+      if (notification.send_in_app) {
+        try {
+          if (isOverdue) {
+            await InAppNotification.createOverdueNotification(userId, deadline, timing, user.timezone);
+          } else {
+            await InAppNotification.createDeadlineReminder(userId, deadline, timing, notification.notification_type, user.timezone);
+          }
+          inAppCount++;
+        } catch (error) {
+          console.error(`❌ Failed to create held in-app notification for deadline ${deadline.id}:`, error && error.message ? error.message : error);
+        }
+      }
+
+      if (notification.send_email) {
+        emailItems.push({ kind: notification.kind, deadline, timing, snoozed: isSnoozed });
+      }
+    }
+
+    if (emailItems.length > 0) {
+      const emailResult = await emailService.sendHeldNotifications(user, emailItems);
+      if (!emailResult.success) {
+        console.error('❌ Failed to send held notifications email:', emailResult.error);
+      }
+    }
+
+    console.log(`🌅 Delivered ${held.length} held notification(s) (${emailItems.length} in one email, ${inAppCount} in-app)`);
+  }
+
   // Mark notification as sent in database
   async markNotificationSent(deadlineId, notificationType) {
     try {
@@ -307,6 +449,7 @@ class NotificationService {
       for (const deadline of allOverdueDeadlines) {
         console.log(`📝 Updating deadline ${deadline.id} status from '${deadline.status}' to 'overdue'`);
         await this.updateDeadlineStatus(deadline.id, 'overdue');
+        webhookService.emit('deadline.overdue', { ...deadline, status: 'overdue' }, { previous_status: deadline.status });
       }
 
       // Send notifications only for recently overdue deadlines
@@ -433,10 +576,22 @@ class NotificationService {
           continue;
         }
 
+        if (await this.holdForQuietHours(recipient.user_id, recipient.timezone, deadline, {
+          kind: 'overdue',
+          notificationType: 'overdue',
+          sendEmail: hasOverdueEnabled,
+          sendInApp: hasInAppOverdueEnabled
+        })) {
+          successCount++;
+          continue;
+        }
+
         const user = {
+          id: recipient.user_id,
           email: recipient.email,
           username: recipient.username,
-          full_name: recipient.full_name
+          full_name: recipient.full_name,
+          timezone: recipient.timezone
         };
 
         let emailSuccess = false;
@@ -457,7 +612,7 @@ class NotificationService {
         if (hasInAppOverdueEnabled) {
           try {
             console.log(`📱 Creating in-app overdue notification for deadline ${deadline.id}...`);
-            const notificationResult = await InAppNotification.createOverdueNotification(recipient.user_id, deadline, overdueDuration);
+            const notificationResult = await InAppNotification.createOverdueNotification(recipient.user_id, deadline, overdueDuration, recipient.timezone);
             console.log(`📱 Notification result: [redacted]`);
             inAppSuccess = true;
             console.log(`✅ Created overdue in-app notification for deadline ${deadline.id}`);
@@ -486,22 +641,120 @@ class NotificationService {
     }
   }
 
+  // Generate the next occurrence for recurring deadlines that were completed or have passed
+  async generateNextOccurrences() {
+    try {
+      const deadlines = await Deadline.getOccurrencesToAdvance();
+
+      if (deadlines.length > 0) {
+        console.log(`🔁 Found ${deadlines.length} recurring deadlines to advance`);
+      }
+
+      for (const deadline of deadlines) {
+        await this.generateNextOccurrence(deadline);
+      }
+    } catch (error) {
+      console.error('❌ Error generating recurring occurrences:', error && error.message ? error.message : error);
+    }
+  }
+
+  // Generate the next occurrence of a single recurring deadline
+  async generateNextOccurrence(deadline) {
+    try {
+      if (!deadline.recurrence_rule || deadline.next_occurrence_generated) {
+        return null;
+      }
+
+      // The series follows the owner's wall clock
+      const owner = await User.findById(deadline.student_id);
+      const nextDate = recurrenceService.getNextOccurrence(
+        deadline.recurrence_rule,
+        deadline.occurrence_date || deadline.due_date,
+        deadline.occurrence_index || 1,
+        owner && owner.timezone
+      );
+
+      if (!nextDate) {
+        await Deadline.markSeriesEnded(deadline.id);
+        console.log(`🏁 Recurring series ended at deadline ${deadline.id}`);
+        return null;
+      }
+
+      const nextOccurrence = await Deadline.createNextOccurrence(deadline, nextDate);
+      if (!nextOccurrence) {
+        return null;
+      }
+
+      // Carry the owner and collaborators over to the new occurrence
+      await DeadlineCollaborator.copyCollaborators(deadline.id, nextOccurrence.id);
+      await DeadlineCollaborator.addCollaborator(nextOccurrence.id, nextOccurrence.student_id, 'owner', {
+        can_edit: true,
+        can_delete: true
+      });
+
+      // Start the new occurrence with a fresh copy of the checklist
+      await DeadlineSubtask.copyToDeadline(deadline.id, nextOccurrence.id, deadline.due_date, nextOccurrence.due_date);
+
+      console.log(`🔁 Generated occurrence ${nextOccurrence.occurrence_index} (deadline ${nextOccurrence.id}) from deadline ${deadline.id}`);
+      return nextOccurrence;
+    } catch (error) {
+      console.error(`❌ Error generating next occurrence for deadline ${deadline.id}:`, error && error.message ? error.message : error);
+      return null;
+    }
+  }
+
   // Update overdue deadlines status (daily maintenance)
   async updateOverdueDeadlines() {
     try {
       const updatedDeadlines = await Deadline.updateOverdueDeadlines();
       console.log(`📅 Updated ${updatedDeadlines.length} deadlines to overdue status`);
+      updatedDeadlines.forEach(deadline => webhookService.emit('deadline.overdue', deadline));
     } catch (error) {
       console.error('❌ Error updating overdue deadlines:', error && error.message ? error.message : error);
     }
   }
 
-  // Send daily summary (optional feature)
-  async sendDailySummary() {
+  // Send the digests that are due: daily summaries and weekly planning digests, each at the hour
+  // the user picked (notification_preferences.digest) in their own timezone
+  async sendDigests() {
+    try {
+      // Claiming marks the users first, so an overlapping run cannot send a second digest
+      const users = await User.claimDueDigests();
+      if (users.length === 0) {
+        return;
+      }
+
+      const failedUserIds = [];
+      const dailyUserIds = users.filter(user => user.digest_frequency !== 'weekly').map(user => user.id);
+      if (dailyUserIds.length > 0) {
+        failedUserIds.push(...await this.sendDailySummary(dailyUserIds));
+      }
+
+      for (const user of users.filter(user => user.digest_frequency === 'weekly')) {
+        if (!await this.sendWeeklyDigest(user)) {
+          failedUserIds.push(user.id);
+        }
+      }
+
+      // Users who got nothing are claimed again by a later run while their digest is still due
+      for (const user of users.filter(user => failedUserIds.includes(user.id))) {
+        try {
+          await User.releaseDigestClaim(user);
+        } catch (error) {
+          console.error('❌ Error releasing digest claim:', error && error.message ? error.message : error);
+        }
+      }
+    } catch (error) {
+      console.error('❌ Error sending digests:', error && error.message ? error.message : error);
+    }
+  }
+
+  // Send daily summary (optional feature) to the given users; "today" is the user's own calendar day.
+  // Returns the IDs of the users who should have got a summary but received it on no channel.
+  async sendDailySummary(userIds) {
+    const failedUserIds = [];
+
     try {
-      console.log('📊 Starting daily summary generation...');
-      
-      // Get users who want daily summaries with their deadline statistics
       const query = `
         WITH user_stats AS (
           SELECT 
@@ -509,29 +762,33 @@ class NotificationService {
             u.email,
             u.username,
             u.full_name,
+            u.timezone,
             COUNT(DISTINCT d.id) as total_deadlines,
-            COUNT(DISTINCT CASE WHEN DATE(d.due_date) = CURRENT_DATE THEN d.id END) as due_today,
+            COUNT(DISTINCT CASE WHEN (d.due_date AT TIME ZONE u.timezone)::date = (CURRENT_TIMESTAMP AT TIME ZONE u.timezone)::date THEN d.id END) as due_today,
             COUNT(DISTINCT CASE WHEN d.due_date BETWEEN NOW() AND NOW() + INTERVAL '7 days' AND d.status != 'completed' THEN d.id END) as upcoming_deadlines,
             COUNT(DISTINCT CASE WHEN d.status = 'overdue' THEN d.id END) as overdue_deadlines,
-            COUNT(DISTINCT CASE WHEN d.status = 'completed' AND DATE(d.updated_at) = CURRENT_DATE THEN d.id END) as completed_today
+            COUNT(DISTINCT CASE WHEN d.status = 'completed' AND (d.updated_at::timestamptz AT TIME ZONE u.timezone)::date = (CURRENT_TIMESTAMP AT TIME ZONE u.timezone)::date THEN d.id END) as completed_today
           FROM users u
           LEFT JOIN deadline_collaborators dc ON u.id = dc.user_id
           LEFT JOIN deadlines d ON dc.deadline_id = d.id AND d.status NOT IN ('deleted')
-          GROUP BY u.id, u.email, u.username, u.full_name
+          WHERE u.id = ANY($1::integer[])
+          GROUP BY u.id, u.email, u.username, u.full_name, u.timezone
         )
         SELECT * FROM user_stats 
         WHERE total_deadlines > 0 OR completed_today > 0
       `;
 
-      const result = await pool.query(query);
+      const result = await pool.query(query, [userIds]);
       const users = result.rows;
 
-  console.log(`📊 Found ${users.length} users with deadline activity for daily summary`);
+      console.log(`📊 Found ${users.length} users with deadline activity for daily summary`);
 
       let emailSummariesSent = 0;
       let inAppSummariesSent = 0;
 
       for (const user of users) {
+        let delivered = false;
+
         try {
           // Check user preferences for daily summary
           const hasEmailDailySummaryEnabled = await User.hasDailySummaryEnabled(user.id);
@@ -556,6 +813,7 @@ class NotificationService {
               const emailResult = await emailService.sendDailySummary(user, summaryData);
               if (emailResult.success) {
                 emailSummariesSent++;
+                delivered = true;
                 console.log(`✅ Sent daily summary email`);
               } else {
                 console.error(`❌ Failed to send daily summary email:`, emailResult.error && emailResult.error.message ? emailResult.error.message : emailResult.error);
@@ -570,6 +828,7 @@ class NotificationService {
             try {
               await InAppNotification.createDailySummary(user.id, summaryData);
               inAppSummariesSent++;
+              delivered = true;
               console.log(`✅ Created daily summary in-app notification`);
             } catch (error) {
               console.error(`❌ Failed to create daily summary in-app notification:`, error && error.message ? error.message : error);
@@ -579,12 +838,189 @@ class NotificationService {
         } catch (error) {
           console.error(`❌ Error processing daily summary:`, error && error.message ? error.message : error);
         }
+
+        if (!delivered) {
+          failedUserIds.push(user.id);
+        }
       }
 
       console.log(`📊 Daily summary completed: ${emailSummariesSent} emails sent, ${inAppSummariesSent} in-app notifications created`);
       
     } catch (error) {
       console.error('❌ Error sending daily summary:', error && error.message ? error.message : error);
+      return userIds;
+    }
+
+    return failedUserIds;
+  }
+
+  // Send the weekly planning digest to one user (claimed by sendDigests). Returns false when the user
+  // should have got a digest but received it on no channel.
+  async sendWeeklyDigest(user) {
+    try {
+      const hasEmailDigestEnabled = await User.hasDailySummaryEnabled(user.id);
+      const hasInAppDigestEnabled = await User.hasInAppDailySummaryEnabled(user.id);
+
+      if (!hasEmailDigestEnabled && !hasInAppDigestEnabled) {
+        console.log(`🔕 Skipping weekly digest for a user (digest disabled)`);
+        return true;
+      }
+
+      const digest = await this.getWeeklyDigestData(user.id);
+      if (digest.upcoming.length === 0 && digest.overdue.length === 0 &&
+          digest.completed.length === 0 && digest.shared.length === 0) {
+        return true;
+      }
+
+      let delivered = false;
+
+      if (hasEmailDigestEnabled) {
+        try {
+          const emailResult = await emailService.sendWeeklyDigest(user, digest);
+          if (emailResult.success) {
+            delivered = true;
+            console.log(`✅ Sent weekly digest email`);
+          } else {
+            console.error(`❌ Failed to send weekly digest email:`, emailResult.error && emailResult.error.message ? emailResult.error.message : emailResult.error);
+          }
+        } catch (error) {
+          console.error(`❌ Error sending weekly digest email:`, error && error.message ? error.message : error);
+        }
+      }
+
+      if (hasInAppDigestEnabled) {
+        try {
+          await InAppNotification.createWeeklyDigest(user.id, digest);
+          delivered = true;
+          console.log(`✅ Created weekly digest in-app notification`);
+        } catch (error) {
+          console.error(`❌ Failed to create weekly digest in-app notification:`, error && error.message ? error.message : error);
+        }
+      }
+
+      return delivered;
+    } catch (error) {
+      console.error('❌ Error sending weekly digest:', error && error.message ? error.message : error);
+      return false;
+    }
+  }
+
+  // What the weekly digest lists: deadlines due in the next 7 days, overdue ones, those completed in the
+  // last 7 days, and for shared deadlines how the other collaborators are doing on their subtasks
+  async getWeeklyDigestData(userId) {
+    const deadlinesQuery = `
+      SELECT d.id, d.title, d.due_date, d.priority, d.status, d.completion_percentage, d.completed_at
+      FROM deadlines d
+      JOIN deadline_collaborators dc ON dc.deadline_id = d.id AND dc.user_id = $1
+      WHERE (d.status != 'completed' AND d.due_date < CURRENT_TIMESTAMP + INTERVAL '7 days')
+         OR (d.status = 'completed' AND d.completed_at >= CURRENT_TIMESTAMP - INTERVAL '7 days')
+      ORDER BY d.due_date ASC
+    `;
+
+    const sharedQuery = `
+      SELECT
+        d.id, d.title, d.due_date, d.status, d.completion_percentage,
+        u.id AS user_id, u.username, u.full_name,
+        COUNT(s.id) FILTER (WHERE s.is_done AND s.completed_at >= CURRENT_TIMESTAMP - INTERVAL '7 days') AS subtasks_completed,
+        COUNT(s.id) FILTER (WHERE s.is_done IS NOT TRUE) AS subtasks_open
+      FROM deadline_collaborators mine
+      JOIN deadlines d ON d.id = mine.deadline_id
+      JOIN deadline_collaborators dc ON dc.deadline_id = d.id AND dc.user_id != mine.user_id
+      JOIN users u ON u.id = dc.user_id
+      LEFT JOIN deadline_subtasks s ON s.deadline_id = d.id AND s.assignee_id = u.id
+      WHERE mine.user_id = $1
+        AND (d.status != 'completed' OR d.completed_at >= CURRENT_TIMESTAMP - INTERVAL '7 days')
+      GROUP BY d.id, u.id
+      ORDER BY d.due_date ASC, u.username ASC
+    `;
+
+    const [deadlinesResult, sharedResult] = await Promise.all([
+      pool.query(deadlinesQuery, [userId]),
+      pool.query(sharedQuery, [userId])
+    ]);
+
+    const now = new Date();
+    const digest = { upcoming: [], overdue: [], completed: [], shared: [] };
+
+    for (const deadline of deadlinesResult.rows) {
+      if (deadline.status === 'completed') {
+        digest.completed.push(deadline);
+      } else if (deadline.status === 'overdue' || new Date(deadline.due_date) < now) {
+        digest.overdue.push(deadline);
+      } else {
+        digest.upcoming.push(deadline);
+      }
+    }
+
+    const shared = new Map();
+    for (const row of sharedResult.rows) {
+      if (!shared.has(row.id)) {
+        shared.set(row.id, {
+          id: row.id,
+          title: row.title,
+          due_date: row.due_date,
+          status: row.status,
+          completion_percentage: row.completion_percentage,
+          collaborators: []
+        });
+      }
+
+      shared.get(row.id).collaborators.push({
+        user_id: row.user_id,
+        username: row.username,
+        full_name: row.full_name,
+        subtasks_completed: parseInt(row.subtasks_completed) || 0,
+        subtasks_open: parseInt(row.subtasks_open) || 0
+      });
+    }
+    digest.shared = Array.from(shared.values());
+
+    return digest;
+  }
+
+  // Delete expired and long-revoked login sessions
+  async cleanupStaleSessions() {
+    try {
+      const deleted = await Session.deleteStale();
+      console.log(`🧹 Removed ${deleted} stale session(s)`);
+    } catch (error) {
+      console.error('❌ Error cleaning up sessions:', error && error.message ? error.message : error);
+    }
+  }
+
+  async cleanupReminderJobs() {
+    try {
+      const deleted = await ReminderJob.deleteFinished(30);
+      console.log(`🧹 Removed ${deleted} finished reminder job(s)`);
+    } catch (error) {
+      console.error('❌ Error cleaning up reminder jobs:', error && error.message ? error.message : error);
+    }
+  }
+
+  async cleanupSentEmails() {
+    try {
+      const deleted = await EmailOutbox.deleteSent(30);
+      console.log(`🧹 Removed ${deleted} delivered email(s) from the outbox`);
+    } catch (error) {
+      console.error('❌ Error cleaning up the email outbox:', error && error.message ? error.message : error);
+    }
+  }
+
+  async cleanupWebhookDeliveries() {
+    try {
+      const deleted = await WebhookDelivery.deleteFinished(30);
+      console.log(`🧹 Removed ${deleted} finished webhook deliver${deleted === 1 ? 'y' : 'ies'}`);
+    } catch (error) {
+      console.error('❌ Error cleaning up webhook deliveries:', error && error.message ? error.message : error);
+    }
+  }
+
+  async cleanupAuthAttempts() {
+    try {
+      const deleted = await authThrottleService.cleanup();
+      console.log(`🧹 Removed ${deleted} expired login attempt record(s)`);
+    } catch (error) {
+      console.error('❌ Error cleaning up login attempts:', error && error.message ? error.message : error);
     }
   }
 
@@ -614,17 +1050,37 @@ class NotificationService {
     }
   }
 
+  // How long until a due date, e.g. "2 days and 3 hours"
+  calculateTimeRemaining(dueDate) {
+    const diffMs = Math.max(new Date(dueDate) - new Date(), 0);
+
+    const days = Math.floor(diffMs / (1000 * 60 * 60 * 24));
+    const hours = Math.floor((diffMs % (1000 * 60 * 60 * 24)) / (1000 * 60 * 60));
+    const minutes = Math.floor((diffMs % (1000 * 60 * 60)) / (1000 * 60));
+
+    if (days > 0) {
+      return `${days} day${days > 1 ? 's' : ''} and ${hours} hour${hours !== 1 ? 's' : ''}`;
+    } else if (hours > 0) {
+      return `${hours} hour${hours > 1 ? 's' : ''}`;
+    } else {
+      return `${minutes} minute${minutes !== 1 ? 's' : ''}`;
+    }
+  }
+
   // Manual trigger for testing
   async triggerNotificationCheck() {
     console.log('🔧 Manually triggering notification check...');
-    await this.checkAndSendNotifications();
     await this.checkOverdueDeadlines();
   }
 
-  // Get notification service status
-  getStatus() {
+  // Get notification service status, including which instance currently runs the scheduled tasks
+  async getStatus() {
     return {
       isRunning: this.isRunning,
+      instanceId: leaderElectionService.instanceId,
+      isLeader: leaderElectionService.isLeader,
+      leaderSince: leaderElectionService.leaderSince,
+      leader: await leaderElectionService.getLeader(),
       activeTasks: this.scheduledTasks.length,
       nextRuns: this.scheduledTasks.map(task => ({
         running: task.running,
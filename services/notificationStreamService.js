@@ -0,0 +1,197 @@
+const InAppNotification = require('../models/InAppNotification');
+const auth = require('../middleware/auth');
+const databaseEventService = require('./databaseEventService');
+
+// Server-Sent Events for in-app notifications. Row changes arrive through the database trigger
+// on in_app_notifications (see migrations/012_notification_events.js), so notifications created by
+// the cron jobs on any instance reach the clients connected to this one.
+//
+// Events sent to clients:
+//   notification          { notification }        a new notification, or a snoozed one waking up
+//   notification_updated  { id, is_read }          read state changed
+//   notification_snoozed  { id, snoozed_until }    hidden until the given time
+//   notification_deleted  { id }
+//   unread_count          { unread_count }         after any change, and on connect
+//   session_ended         {}                       the stream is closed: the session was revoked or
+//                                                  the access token expired; reconnect with a new token
+//
+// The session or access token a stream was opened with is checked again on every heartbeat, and the
+// stream is closed when the token expires.
+
+const CHANNEL = 'in_app_notifications';
+const HEARTBEAT_MS = 25 * 1000;
+const UNREAD_COUNT_DEBOUNCE_MS = 200;
+const MAX_STREAMS_PER_USER = 10;
+// Longest delay setTimeout accepts; streams of tokens valid for longer are ended by the heartbeat check
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+class NotificationStreamService {
+  constructor() {
+    this.clients = new Map();
+    this.streams = new Map();
+    this.pendingCounts = new Map();
+    this.heartbeat = null;
+    this.subscription = null;
+    this.handleEvent = this.handleEvent.bind(this);
+    this.resyncAll = this.resyncAll.bind(this);
+  }
+
+  canConnect(userId) {
+    const streams = this.clients.get(userId);
+    return !streams || streams.size < MAX_STREAMS_PER_USER;
+  }
+
+  send(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  broadcast(userId, event, data) {
+    const streams = this.clients.get(userId);
+    if (!streams) {
+      return;
+    }
+
+    for (const res of streams) {
+      this.send(res, event, data);
+    }
+  }
+
+  // `user` is req.user of the stream request
+  async addClient(user, res) {
+    const userId = user.userId;
+    if (!this.clients.has(userId)) {
+      this.clients.set(userId, new Set());
+    }
+    this.clients.get(userId).add(res);
+
+    const expiresIn = user.expiresAt - Date.now();
+    this.streams.set(res, {
+      user,
+      expiryTimer: expiresIn < MAX_TIMER_MS ? setTimeout(() => this.endStream(res), Math.max(expiresIn, 0)) : null
+    });
+
+    if (!this.subscription) {
+      this.subscription = databaseEventService.subscribe(CHANNEL, this.handleEvent);
+      databaseEventService.on('reconnected', this.resyncAll);
+    }
+    await this.subscription;
+
+    // The client may have disconnected while the listener was starting
+    if (!this.clients.has(userId) || !this.clients.get(userId).has(res)) {
+      return;
+    }
+
+    if (!this.heartbeat) {
+      this.heartbeat = setInterval(() => this.checkStreams(), HEARTBEAT_MS);
+    }
+
+    this.send(res, 'unread_count', { unread_count: await InAppNotification.getUnreadCount(userId) });
+  }
+
+  removeClient(userId, res) {
+    const stream = this.streams.get(res);
+    if (stream) {
+      clearTimeout(stream.expiryTimer);
+      this.streams.delete(res);
+    }
+
+    const streams = this.clients.get(userId);
+    if (streams) {
+      streams.delete(res);
+      if (streams.size === 0) {
+        this.clients.delete(userId);
+      }
+    }
+
+    if (this.clients.size === 0 && this.subscription) {
+      clearInterval(this.heartbeat);
+      this.heartbeat = null;
+      databaseEventService.off('reconnected', this.resyncAll);
+      databaseEventService.unsubscribe(CHANNEL, this.handleEvent);
+      this.subscription = null;
+    }
+  }
+
+  // Keep the connections open, and end the streams whose session or access token is no longer valid
+  async checkStreams() {
+    const checks = new Map();
+
+    for (const [res, { user }] of this.streams) {
+      res.write(': ping\n\n');
+
+      const credential = user.sessionId ? `session:${user.sessionId}` : `token:${user.accessTokenId}`;
+      if (!checks.has(credential)) {
+        checks.set(credential, auth.isCredentialActive(user));
+      }
+
+      try {
+        if (!await checks.get(credential)) {
+          this.endStream(res);
+        }
+      } catch (error) {
+        console.error('❌ Error checking notification stream session:', error.message);
+      }
+    }
+  }
+
+  endStream(res) {
+    const stream = this.streams.get(res);
+    if (!stream) {
+      return;
+    }
+
+    this.send(res, 'session_ended', {});
+    this.removeClient(stream.user.userId, res);
+    res.end();
+  }
+
+  async handleEvent({ event, id, user_id: userId, is_read: isRead, snoozed_until: snoozedUntil, woke }) {
+    if (!this.clients.has(userId)) {
+      return;
+    }
+
+    if (event === 'insert' || woke) {
+      const notification = await InAppNotification.findById(id, userId);
+      if (notification) {
+        this.broadcast(userId, 'notification', { notification });
+      }
+    } else if (event === 'update' && snoozedUntil) {
+      this.broadcast(userId, 'notification_snoozed', { id, snoozed_until: snoozedUntil });
+    } else if (event === 'update') {
+      this.broadcast(userId, 'notification_updated', { id, is_read: isRead });
+    } else if (event === 'delete') {
+      this.broadcast(userId, 'notification_deleted', { id });
+    }
+
+    this.scheduleUnreadCount(userId);
+  }
+
+  // "Mark all as read" fires one event per row, so count updates are coalesced
+  scheduleUnreadCount(userId) {
+    if (this.pendingCounts.has(userId)) {
+      return;
+    }
+
+    this.pendingCounts.set(userId, setTimeout(async () => {
+      this.pendingCounts.delete(userId);
+      if (!this.clients.has(userId)) {
+        return;
+      }
+
+      try {
+        this.broadcast(userId, 'unread_count', { unread_count: await InAppNotification.getUnreadCount(userId) });
+      } catch (error) {
+        console.error('❌ Error sending unread count:', error.message);
+      }
+    }, UNREAD_COUNT_DEBOUNCE_MS));
+  }
+
+  // Events may have been missed while the listener was disconnected
+  resyncAll() {
+    for (const userId of this.clients.keys()) {
+      this.scheduleUnreadCount(userId);
+    }
+  }
+}
+
+module.exports = new NotificationStreamService();
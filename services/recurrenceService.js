@@ -0,0 +1,278 @@
+// Recurrence rules for repeating deadlines.
+//
+// Rules are stored on each deadline as JSONB in a normalized, RRULE-style shape:
+//   {
+//     freq: 'daily' | 'weekly' | 'monthly' | 'yearly',
+//     interval: 1,                          // every N days/weeks/months/years
+//     by_weekday: ['MO', 'WE'],             // optional, weekly only
+//     until: '2025-06-30T21:59:59.000Z',    // optional, last allowed occurrence
+//     count: 10,                            // optional, total occurrences in the series
+//     exceptions: ['2025-04-02'],           // dates (YYYY-MM-DD) to skip
+//     dtstart: '2025-01-06T08:00:00.000Z'   // anchor of the series, set by the server
+//   }
+// An RFC 5545 RRULE string (e.g. "FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE;COUNT=8") is accepted as input
+// and converted to the same shape.
+//
+// Occurrences follow the owner's wall clock: a deadline due Mondays at 09:00 in Europe/Berlin stays at
+// 09:00 there across DST changes, and exceptions, weekdays and date-only `until` values are calendar
+// days in that timezone. Rules saved before timezones existed hold local timestamps without an offset
+// ("2025-01-06 09:00:00"); they are still read as the server's local time.
+
+const {
+  DEFAULT_TIME_ZONE,
+  getZonedParts,
+  zonedTimeToDate,
+  parseLocalDateTime,
+  formatLocalTimestamp
+} = require('../utils/timezone');
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly', 'yearly'];
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const MAX_ITERATIONS = 1000;
+
+// The wall-clock time of an instant in a timezone, held in the UTC fields of a Date, so that day and
+// month arithmetic with the UTC setters is not shifted by DST changes
+const toWallClock = (date, timeZone) => {
+  const parts = getZonedParts(date, timeZone);
+  return new Date(Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second));
+};
+
+// The instant a wall-clock time (see toWallClock) happens in the timezone
+const fromWallClock = (wallClock, timeZone) => zonedTimeToDate(
+  wallClock.getUTCFullYear(), wallClock.getUTCMonth() + 1, wallClock.getUTCDate(),
+  wallClock.getUTCHours(), wallClock.getUTCMinutes(), wallClock.getUTCSeconds(), timeZone
+);
+
+// YYYY-MM-DD of a wall-clock time
+const toDateKey = (wallClock) => wallClock.toISOString().substring(0, 10);
+
+// Wall-clock values without an offset are read in the timezone; anything else names its instant
+const parseDateTime = (value, timeZone) => parseLocalDateTime(value, timeZone) || new Date(value);
+
+// Add months keeping the day of month, clamped to the last day of shorter months
+const addMonths = (wallClock, months) => {
+  const result = new Date(wallClock.getTime());
+  const day = result.getUTCDate();
+  result.setUTCDate(1);
+  result.setUTCMonth(result.getUTCMonth() + months);
+  const lastDay = new Date(Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)).getUTCDate();
+  result.setUTCDate(Math.min(day, lastDay));
+  return result;
+};
+
+const addDays = (wallClock, days) => {
+  const result = new Date(wallClock.getTime());
+  result.setUTCDate(result.getUTCDate() + days);
+  return result;
+};
+
+class RecurrenceService {
+  // Parse an RFC 5545 RRULE string into the rule object accepted by normalizeRule
+  parseRRule(rruleString) {
+    const rule = {};
+    const body = rruleString.trim().replace(/^RRULE:/i, '');
+
+    for (const part of body.split(';')) {
+      const [rawKey, rawValue] = part.split('=');
+      if (!rawKey || rawValue === undefined) {
+        continue;
+      }
+
+      const key = rawKey.trim().toUpperCase();
+      const value = rawValue.trim();
+
+      if (key === 'FREQ') {
+        rule.freq = value.toLowerCase();
+      } else if (key === 'INTERVAL') {
+        rule.interval = parseInt(value);
+      } else if (key === 'COUNT') {
+        rule.count = parseInt(value);
+      } else if (key === 'UNTIL') {
+        // UNTIL is either a DATE (YYYYMMDD) or a DATE-TIME (YYYYMMDDTHHMMSS[Z])
+        const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+        if (match) {
+          const [, y, m, d, hh = '23', mm = '59', ss = '59', utc] = match;
+          rule.until = utc
+            ? new Date(Date.UTC(y, m - 1, d, hh, mm, ss)).toISOString()
+            : `${y}-${m}-${d}T${hh}:${mm}:${ss}`;
+        } else {
+          rule.until = value;
+        }
+      } else if (key === 'BYDAY') {
+        // Ordinal prefixes such as "1MO" are not supported; keep the weekday only
+        rule.by_weekday = value.split(',').map(day => day.replace(/^[+-]?\d+/, '').toUpperCase());
+      }
+    }
+
+    return rule;
+  }
+
+  // Validate and normalize a recurrence rule. Returns { rule, errors }.
+  // `timeZone` is the owner's: date-only and offset-less values are read in it.
+  normalizeRule(input, dtstart, timeZone = DEFAULT_TIME_ZONE) {
+    const errors = [];
+
+    if (input === null || input === undefined) {
+      return { rule: null, errors };
+    }
+
+    const raw = typeof input === 'string' ? this.parseRRule(input) : input;
+
+    if (typeof raw !== 'object' || Array.isArray(raw)) {
+      return { rule: null, errors: ['Recurrence rule must be an object or an RRULE string'] };
+    }
+
+    const freq = typeof raw.freq === 'string' ? raw.freq.toLowerCase() : raw.freq;
+    if (!FREQUENCIES.includes(freq)) {
+      errors.push(`Recurrence frequency must be one of: ${FREQUENCIES.join(', ')}`);
+    }
+
+    const interval = raw.interval === undefined || raw.interval === null ? 1 : parseInt(raw.interval);
+    if (isNaN(interval) || interval < 1 || interval > 365) {
+      errors.push('Recurrence interval must be between 1 and 365');
+    }
+
+    let byWeekday;
+    if (raw.by_weekday !== undefined && raw.by_weekday !== null) {
+      if (freq !== 'weekly') {
+        errors.push('Recurrence by_weekday is only supported for weekly rules');
+      } else if (!Array.isArray(raw.by_weekday) || raw.by_weekday.length === 0) {
+        errors.push('Recurrence by_weekday must be a non-empty array of weekdays (MO, TU, ...)');
+      } else {
+        byWeekday = [...new Set(raw.by_weekday.map(day => String(day).toUpperCase()))];
+        const invalid = byWeekday.filter(day => !WEEKDAYS.includes(day));
+        if (invalid.length > 0) {
+          errors.push(`Invalid recurrence weekday(s): ${invalid.join(', ')}`);
+        }
+      }
+    }
+
+    let count;
+    if (raw.count !== undefined && raw.count !== null) {
+      count = parseInt(raw.count);
+      if (isNaN(count) || count < 1 || count > 1000) {
+        errors.push('Recurrence count must be between 1 and 1000');
+      }
+    }
+
+    let until;
+    if (raw.until !== undefined && raw.until !== null) {
+      const untilDate = parseDateTime(raw.until, timeZone);
+      if (isNaN(untilDate.getTime())) {
+        errors.push('Recurrence until must be a valid date');
+      } else {
+        until = untilDate.toISOString();
+      }
+    }
+
+    if (count !== undefined && until !== undefined) {
+      errors.push('Recurrence rule cannot have both count and until');
+    }
+
+    let exceptions = [];
+    if (raw.exceptions !== undefined && raw.exceptions !== null) {
+      if (!Array.isArray(raw.exceptions)) {
+        errors.push('Recurrence exceptions must be an array of dates');
+      } else {
+        exceptions = raw.exceptions.map(value => {
+          const date = parseDateTime(value, timeZone);
+          if (isNaN(date.getTime())) {
+            errors.push(`Invalid recurrence exception date: ${value}`);
+            return null;
+          }
+          return formatLocalTimestamp(date, timeZone).substring(0, 10);
+        }).filter(Boolean);
+      }
+    }
+
+    const startDate = parseDateTime(dtstart || raw.dtstart, timeZone);
+    if (isNaN(startDate.getTime())) {
+      errors.push('Recurrence rule requires a valid start date');
+    }
+
+    if (errors.length > 0) {
+      return { rule: null, errors };
+    }
+
+    const rule = {
+      freq,
+      interval,
+      exceptions: [...new Set(exceptions)].sort(),
+      dtstart: startDate.toISOString()
+    };
+    if (byWeekday) rule.by_weekday = byWeekday;
+    if (count !== undefined) rule.count = count;
+    if (until !== undefined) rule.until = until;
+
+    return { rule, errors };
+  }
+
+  // Candidate occurrences strictly after the instant `after`, in order, ignoring count/until/exceptions.
+  // Yields wall-clock times in `timeZone` (see toWallClock).
+  * candidatesAfter(rule, after, timeZone) {
+    const start = toWallClock(new Date(rule.dtstart), timeZone);
+    const interval = rule.interval || 1;
+    const isAfter = (candidate) => fromWallClock(candidate, timeZone) > after;
+
+    if (rule.freq === 'weekly' && rule.by_weekday && rule.by_weekday.length > 0) {
+      const days = rule.by_weekday.map(day => WEEKDAYS.indexOf(day)).sort((a, b) => a - b);
+      const weekStart = addDays(start, -start.getUTCDay());
+      for (let week = 0; week < MAX_ITERATIONS; week += interval) {
+        for (const day of days) {
+          const candidate = addDays(weekStart, week * 7 + day);
+          if (candidate >= start && isAfter(candidate)) {
+            yield candidate;
+          }
+        }
+      }
+      return;
+    }
+
+    for (let n = 1; n < MAX_ITERATIONS; n++) {
+      let candidate;
+      if (rule.freq === 'daily') {
+        candidate = addDays(start, n * interval);
+      } else if (rule.freq === 'weekly') {
+        candidate = addDays(start, n * interval * 7);
+      } else if (rule.freq === 'monthly') {
+        candidate = addMonths(start, n * interval);
+      } else {
+        candidate = addMonths(start, n * interval * 12);
+      }
+
+      if (isAfter(candidate)) {
+        yield candidate;
+      }
+    }
+  }
+
+  // Get the next occurrence after `currentOccurrence` as an ISO instant, or null when the series has ended.
+  // `occurrenceIndex` is the 1-based position of the current occurrence within the series, and
+  // `timeZone` the owner's.
+  getNextOccurrence(rule, currentOccurrence, occurrenceIndex = 1, timeZone = DEFAULT_TIME_ZONE) {
+    if (!rule) {
+      return null;
+    }
+
+    if (rule.count && occurrenceIndex >= rule.count) {
+      return null;
+    }
+
+    const exceptions = new Set(rule.exceptions || []);
+    const until = rule.until ? new Date(rule.until) : null;
+
+    for (const candidate of this.candidatesAfter(rule, new Date(currentOccurrence), timeZone)) {
+      const occurrence = fromWallClock(candidate, timeZone);
+      if (until && occurrence > until) {
+        return null;
+      }
+      if (!exceptions.has(toDateKey(candidate))) {
+        return occurrence.toISOString();
+      }
+    }
+
+    return null;
+  }
+}
+
+module.exports = new RecurrenceService();
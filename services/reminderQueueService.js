@@ -0,0 +1,154 @@
+const ReminderJob = require('../models/ReminderJob');
+const Deadline = require('../models/Deadline');
+const notificationService = require('./notificationService');
+const { getReminderType } = require('../utils/reminderOffsets');
+
+// Worker for the reminder_jobs queue (see models/ReminderJob.js). Jobs are created when deadlines
+// are written; every instance polls for due jobs, and SKIP LOCKED keeps two workers from sending the
+// same reminder. Failed sends are retried with exponential backoff; a retry goes only to the recipients
+// the reminder did not reach yet.
+
+const POLL_INTERVAL_MS = 30 * 1000;
+const BATCH_SIZE = 20;
+const MAX_ATTEMPTS = 5;
+const MAX_RETRY_DELAY_SECONDS = 60 * 60;
+const STALE_JOB_MINUTES = 10;
+const STALE_CHECK_INTERVAL_MS = 5 * 60 * 1000;
+
+class ReminderQueueService {
+  constructor() {
+    this.timer = null;
+    this.processing = false;
+    this.lastRunAt = null;
+    this.lastStaleCheckAt = 0;
+  }
+
+  start() {
+    if (this.timer) {
+      console.log('⏰ Reminder queue is already running');
+      return;
+    }
+
+    this.timer = setInterval(() => this.processDueJobs(), POLL_INTERVAL_MS);
+    console.log(`⏰ Reminder queue started (polling every ${POLL_INTERVAL_MS / 1000}s)`);
+
+    // Catch up after a restart: plan reminders for deadlines written outside the API, then send
+    // whatever came due while the server was down
+    this.catchUp()
+      .catch(error => console.error('❌ Reminder queue catch-up error:', error.message))
+      .finally(() => this.processDueJobs());
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    console.log('⏰ Reminder queue stopped');
+  }
+
+  async catchUp() {
+    const scheduled = await ReminderJob.scheduleUpcoming();
+    console.log(`📅 Reminder queue synced (${scheduled} job(s) added or rescheduled)`);
+  }
+
+  async processDueJobs() {
+    if (this.processing) {
+      return;
+    }
+    this.processing = true;
+
+    try {
+      await this.releaseStale();
+
+      let jobs;
+      do {
+        jobs = await ReminderJob.claimDue(BATCH_SIZE);
+        for (const job of jobs) {
+          await this.runJob(job);
+        }
+      } while (jobs.length === BATCH_SIZE);
+
+      this.lastRunAt = new Date();
+    } catch (error) {
+      console.error('❌ Error processing reminder queue:', error && error.message ? error.message : error);
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  // Jobs a crashed worker left running are handed out again. This runs every few minutes rather than
+  // only at startup: an instance restarted right after a crash finds its own jobs not stale yet, and
+  // no other instance would pick them up later.
+  async releaseStale() {
+    if (Date.now() - this.lastStaleCheckAt < STALE_CHECK_INTERVAL_MS) {
+      return;
+    }
+    this.lastStaleCheckAt = Date.now();
+
+    try {
+      const released = await ReminderJob.releaseStale(STALE_JOB_MINUTES);
+      if (released > 0) {
+        console.log(`♻️ Released ${released} stuck reminder job(s)`);
+      }
+    } catch (error) {
+      console.error('❌ Error releasing stuck reminder jobs:', error.message);
+    }
+  }
+
+  async runJob(job) {
+    try {
+      const deadline = await Deadline.findById(job.deadline_id);
+      if (!deadline || ['completed', 'overdue'].includes(deadline.status) || new Date(deadline.due_date) <= new Date()) {
+        await ReminderJob.markSkipped(job.id);
+        return;
+      }
+
+      // After downtime several reminders of a deadline can be due at once; only the closest one is sent
+      if (await ReminderJob.hasCloserDueJob(job)) {
+        await ReminderJob.markSkipped(job.id);
+        return;
+      }
+
+      const result = await notificationService.sendDeadlineNotificationToAllCollaborators(
+        deadline,
+        job.offset_minutes,
+        getReminderType(job.offset_minutes),
+        { skipUserIds: job.delivered_to || [], isRetry: job.attempts > 1 }
+      );
+
+      if (result.sentUserIds.length > 0) {
+        await ReminderJob.recordDelivered(job.id, result.sentUserIds);
+      }
+
+      if (result.failed > 0) {
+        throw new Error(`Reminder could not be delivered to ${result.failed} recipient(s)`);
+      }
+
+      await ReminderJob.markDone(job.id);
+    } catch (error) {
+      await this.handleFailure(job, error)
+        .catch(updateError => console.error('❌ Error updating reminder job:', updateError.message));
+    }
+  }
+
+  async handleFailure(job, error) {
+    if (job.attempts >= MAX_ATTEMPTS) {
+      await ReminderJob.markFailed(job.id, error.message);
+      console.error(`❌ Reminder job ${job.id} failed after ${job.attempts} attempts:`, error.message);
+      return;
+    }
+
+    const delaySeconds = Math.min(60 * 2 ** job.attempts, MAX_RETRY_DELAY_SECONDS);
+    await ReminderJob.retryLater(job.id, error.message, delaySeconds);
+    console.warn(`⚠️ Reminder job ${job.id} failed (attempt ${job.attempts}), retrying in ${delaySeconds}s:`, error.message);
+  }
+
+  async getStatus() {
+    return {
+      isRunning: Boolean(this.timer),
+      lastRunAt: this.lastRunAt,
+      jobs: await ReminderJob.getStats()
+    };
+  }
+}
+
+module.exports = new ReminderQueueService();
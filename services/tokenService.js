@@ -0,0 +1,191 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+
+// Access tokens are short-lived JWTs bound to a server-side session; refresh tokens are
+// opaque random strings that are only ever stored as SHA-256 hashes and rotate on every use.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Actions offered as links in reminder emails
+const EMAIL_ACTIONS = ['complete', 'snooze', 'mute', 'unsubscribe'];
+
+// Personal access tokens are recognizable by prefix so the auth middleware can tell them from JWTs
+const PERSONAL_ACCESS_TOKEN_PREFIX = 'dtp_';
+const PERSONAL_ACCESS_TOKEN_SCOPES = [
+  'deadlines:read',
+  'deadlines:write',
+  'notifications:read',
+  'notifications:write',
+  'profile:read'
+];
+
+class TokenService {
+  get accessTokenExpiresIn() {
+    return process.env.JWT_EXPIRES_IN || '15m';
+  }
+
+  get refreshTokenTtlMs() {
+    return (parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30) * DAY_MS;
+  }
+
+  // Sessions end this long after login even if refreshed continuously
+  get sessionTtlMs() {
+    return (parseInt(process.env.SESSION_MAX_AGE_DAYS) || 90) * DAY_MS;
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  generateAccessToken(userId, sessionId) {
+    return jwt.sign({ userId, sessionId }, process.env.JWT_SECRET, {
+      expiresIn: this.accessTokenExpiresIn
+    });
+  }
+
+  generateRefreshToken() {
+    const token = crypto.randomBytes(48).toString('hex');
+    return {
+      token,
+      hash: this.hashToken(token),
+      expiresAt: new Date(Date.now() + this.refreshTokenTtlMs)
+    };
+  }
+
+  buildTokenResponse(userId, session, refreshToken) {
+    return {
+      token: this.generateAccessToken(userId, session.id),
+      refreshToken: refreshToken.token,
+      expiresIn: this.accessTokenExpiresIn,
+      sessionId: session.id
+    };
+  }
+
+  // Signed, stateless email verification token; bound to the address so it dies if the email changes
+  generateEmailVerificationToken(user) {
+    return jwt.sign(
+      { userId: user.id, email: user.email, purpose: 'email_verification' },
+      process.env.JWT_SECRET,
+      { expiresIn: '24h' }
+    );
+  }
+
+  verifyEmailVerificationToken(token) {
+    let decoded;
+    try {
+      decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (error) {
+      throw new Error('Invalid or expired verification token');
+    }
+
+    if (decoded.purpose !== 'email_verification' || !decoded.userId || !decoded.email) {
+      throw new Error('Invalid or expired verification token');
+    }
+
+    return decoded;
+  }
+
+  // Short-lived token proving the password step of a two-factor login succeeded
+  generateTwoFactorChallengeToken(userId) {
+    return jwt.sign(
+      { userId, purpose: 'two_factor_challenge' },
+      process.env.JWT_SECRET,
+      { expiresIn: '5m' }
+    );
+  }
+
+  verifyTwoFactorChallengeToken(token) {
+    let decoded;
+    try {
+      decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (error) {
+      throw new Error('Invalid or expired challenge token');
+    }
+
+    if (decoded.purpose !== 'two_factor_challenge' || !decoded.userId) {
+      throw new Error('Invalid or expired challenge token');
+    }
+
+    return decoded;
+  }
+
+  // Signed link for a one-click action in a reminder email. Only ever acts for the recipient, on the
+  // deadline (and reminder type) the email was about.
+  generateEmailActionToken({ userId, deadlineId, action, notificationType }) {
+    return jwt.sign(
+      { userId, deadlineId, action, notificationType, purpose: 'email_action' },
+      process.env.JWT_SECRET,
+      { expiresIn: '7d' }
+    );
+  }
+
+  verifyEmailActionToken(token) {
+    let decoded;
+    try {
+      decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (error) {
+      throw new Error('Invalid or expired action link');
+    }
+
+    if (decoded.purpose !== 'email_action' || !decoded.userId || !decoded.deadlineId ||
+        !EMAIL_ACTIONS.includes(decoded.action)) {
+      throw new Error('Invalid or expired action link');
+    }
+
+    return decoded;
+  }
+
+  get personalAccessTokenScopes() {
+    return PERSONAL_ACCESS_TOKEN_SCOPES;
+  }
+
+  isPersonalAccessToken(token) {
+    return token.startsWith(PERSONAL_ACCESS_TOKEN_PREFIX);
+  }
+
+  generatePersonalAccessToken() {
+    const token = PERSONAL_ACCESS_TOKEN_PREFIX + crypto.randomBytes(32).toString('hex');
+    return {
+      token,
+      hash: this.hashToken(token),
+      prefix: token.substring(0, 12)
+    };
+  }
+
+  // Secret token for a calendar feed URL
+  generateCalendarFeedToken() {
+    const token = crypto.randomBytes(32).toString('hex');
+    return {
+      token,
+      hash: this.hashToken(token)
+    };
+  }
+
+  // Start a new session for a user who just authenticated
+  async issueSession(userId, req) {
+    const refreshToken = this.generateRefreshToken();
+    const userAgent = req.get('User-Agent');
+
+    const session = await Session.create({
+      user_id: userId,
+      user_agent: userAgent ? userAgent.substring(0, 255) : null,
+      ip_address: req.ip || null,
+      expires_at: new Date(Date.now() + this.sessionTtlMs),
+      refresh_token_hash: refreshToken.hash,
+      refresh_token_expires_at: refreshToken.expiresAt
+    });
+
+    return this.buildTokenResponse(userId, session, refreshToken);
+  }
+
+  // Exchange a refresh token for a new access/refresh token pair
+  async refreshSession(token) {
+    const refreshToken = this.generateRefreshToken();
+    const session = await Session.rotateRefreshToken(this.hashToken(token), refreshToken.hash, refreshToken.expiresAt);
+
+    return this.buildTokenResponse(session.user_id, session, refreshToken);
+  }
+}
+
+module.exports = new TokenService();
@@ -0,0 +1,144 @@
+const crypto = require('crypto');
+
+// Time-based one-time passwords (RFC 6238, HMAC-SHA1, 6 digits, 30 second steps)
+// compatible with Google Authenticator, Authy, 1Password, etc.
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const ISSUER = 'Deadline Tracker';
+const RECOVERY_CODE_COUNT = 10;
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+const base32Decode = (input) => {
+  const clean = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+class TotpService {
+  get currentStep() {
+    return Math.floor(Date.now() / 1000 / STEP_SECONDS);
+  }
+
+  generateSecret() {
+    return base32Encode(crypto.randomBytes(20));
+  }
+
+  // HOTP value (RFC 4226) for the given time step
+  generateCode(secret, step = this.currentStep) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = ((hmac[offset] & 0x7f) << 24) |
+                   (hmac[offset + 1] << 16) |
+                   (hmac[offset + 2] << 8) |
+                   hmac[offset + 3];
+
+    return String(binary % (10 ** DIGITS)).padStart(DIGITS, '0');
+  }
+
+  // Returns the matching time step (allowing one step of clock drift either way), or null
+  verifyCode(secret, code, window = 1) {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!/^\d{6}$/.test(normalized)) {
+      return null;
+    }
+
+    const current = this.currentStep;
+    for (let offset = -window; offset <= window; offset++) {
+      const expected = Buffer.from(this.generateCode(secret, current + offset));
+      if (crypto.timingSafeEqual(expected, Buffer.from(normalized))) {
+        return current + offset;
+      }
+    }
+
+    return null;
+  }
+
+  buildOtpauthUri(secret, accountName) {
+    const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer: ISSUER,
+      algorithm: 'SHA1',
+      digits: String(DIGITS),
+      period: String(STEP_SECONDS)
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+  }
+
+  // Secrets are encrypted at rest with AES-256-GCM
+  get encryptionKey() {
+    return crypto.createHash('sha256')
+      .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET || '')
+      .digest();
+  }
+
+  encryptSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.encryptionKey, iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+  }
+
+  decryptSecret(payload) {
+    const [iv, tag, encrypted] = payload.split('.').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.encryptionKey, iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+  }
+
+  // One-time recovery codes, formatted xxxxx-xxxxx
+  generateRecoveryCodes(count = RECOVERY_CODE_COUNT) {
+    return Array.from({ length: count }, () => {
+      const code = base32Encode(crypto.randomBytes(7)).substring(0, 10).toLowerCase();
+      return `${code.substring(0, 5)}-${code.substring(5)}`;
+    });
+  }
+
+  hashRecoveryCode(code) {
+    const normalized = String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+  }
+}
+
+module.exports = new TotpService();
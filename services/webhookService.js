@@ -0,0 +1,300 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const DeadlineCollaborator = require('../models/DeadlineCollaborator');
+const databaseEventService = require('./databaseEventService');
+const { publicLookup, assertPublicIpAddress } = require('../utils/webhookUrl');
+
+// Outgoing webhooks. emit() queues an event for the webhooks of everyone who can access the deadline
+// (see models/WebhookDelivery.js); the worker below POSTs each delivery as JSON, signed with the
+// webhook's secret:
+//
+//   X-Webhook-Event: deadline.completed
+//   X-Webhook-Delivery: <delivery id>
+//   X-Webhook-Timestamp: <unix seconds>
+//   X-Webhook-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<body>">
+//
+// Any 2xx response counts as delivered; redirects are not followed. Failed deliveries are retried with
+// exponential backoff (1m, 4m, 16m, ...) and marked failed after MAX_ATTEMPTS. Like the email outbox,
+// new deliveries are announced with NOTIFY and polling picks up retries.
+
+const WEBHOOK_EVENTS = [
+  'deadline.created',
+  'deadline.updated',
+  'deadline.completed',
+  'deadline.deleted',
+  'deadline.overdue',
+  'deadline.reminder',
+  'collaborator.added'
+];
+const TEST_EVENT = 'webhook.test';
+
+const POLL_INTERVAL_MS = 30 * 1000;
+const BATCH_SIZE = 20;
+const MAX_ATTEMPTS = 6;
+const MAX_RETRY_DELAY_SECONDS = 6 * 60 * 60;
+const STALE_DELIVERY_MINUTES = 10;
+const STALE_CHECK_INTERVAL_MS = 5 * 60 * 1000;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const MAX_RESPONSE_BODY_LENGTH = 1024;
+
+// The deadline fields sent in event payloads
+const DEADLINE_FIELDS = [
+  'id', 'student_id', 'title', 'description', 'due_date', 'priority', 'status', 'category', 'subject',
+  'estimated_hours', 'completion_percentage', 'recurrence_rule', 'series_id', 'occurrence_index',
+  'created_at', 'updated_at', 'completed_at'
+];
+
+const serializeDeadline = (deadline) => Object.fromEntries(
+  DEADLINE_FIELDS.filter(field => deadline[field] !== undefined).map(field => [field, deadline[field]])
+);
+
+class WebhookService {
+  constructor() {
+    this.timer = null;
+    this.processing = false;
+    this.rerun = false;
+    this.unsubscribe = null;
+    this.lastRunAt = null;
+    this.lastStaleCheckAt = 0;
+  }
+
+  get events() {
+    return WEBHOOK_EVENTS;
+  }
+
+  generateSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+  }
+
+  sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  buildPayload(event, data) {
+    return {
+      id: `evt_${crypto.randomUUID()}`,
+      event,
+      created_at: new Date().toISOString(),
+      data
+    };
+  }
+
+  // Queue a deadline event for the webhooks of everyone who can access the deadline. Never throws, so
+  // callers do not fail because of webhooks. For deadlines that are being deleted, pass the user IDs
+  // (looked up before the delete) as `userIds`.
+  emit(event, deadline, { actorId = null, userIds = null, ...details } = {}) {
+    this.enqueue(event, deadline, actorId, userIds, details)
+      .catch(error => console.error(`❌ Error queueing ${event} webhooks for deadline ${deadline.id}:`, error.message));
+  }
+
+  async enqueue(event, deadline, actorId, userIds, details) {
+    const audience = userIds || (await DeadlineCollaborator.getNotificationRecipients(deadline.id))
+      .map(recipient => recipient.user_id);
+    if (audience.length === 0) {
+      return 0;
+    }
+
+    const payload = this.buildPayload(event, {
+      deadline: serializeDeadline(deadline),
+      actor_id: actorId,
+      ...details
+    });
+    return WebhookDelivery.enqueue({ event, payload, userIds: audience });
+  }
+
+  // Queue a test event for one webhook, whatever it subscribes to
+  async sendTestEvent(webhook, user) {
+    const payload = this.buildPayload(TEST_EVENT, {
+      webhook_id: webhook.id,
+      message: 'This is a test event from Deadline Tracker.',
+      actor_id: user.userId
+    });
+    return WebhookDelivery.enqueueForWebhook(webhook.id, TEST_EVENT, payload);
+  }
+
+  start() {
+    if (this.timer) {
+      console.log('🪝 Webhook worker is already running');
+      return;
+    }
+
+    this.timer = setInterval(() => this.processPending(), POLL_INTERVAL_MS);
+    console.log(`🪝 Webhook worker started (polling every ${POLL_INTERVAL_MS / 1000}s)`);
+
+    databaseEventService.subscribe(WebhookDelivery.CHANNEL, () => this.processPending())
+      .then(unsubscribe => {
+        this.unsubscribe = unsubscribe;
+      })
+      .catch(error => console.error('❌ Webhook listener error:', error.message));
+
+    this.processPending();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+    console.log('🪝 Webhook worker stopped');
+  }
+
+  async processPending() {
+    // A delivery announced during a run may not have been claimed by it, so run once more afterwards
+    if (this.processing) {
+      this.rerun = true;
+      return;
+    }
+    this.processing = true;
+
+    try {
+      await this.releaseStale();
+
+      do {
+        this.rerun = false;
+        let deliveries;
+        do {
+          deliveries = await WebhookDelivery.claimDue(BATCH_SIZE);
+          for (const delivery of deliveries) {
+            await this.deliver(delivery);
+          }
+        } while (deliveries.length === BATCH_SIZE);
+      } while (this.rerun);
+
+      this.lastRunAt = new Date();
+    } catch (error) {
+      console.error('❌ Error processing webhook deliveries:', error && error.message ? error.message : error);
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  // Deliveries a crashed worker was sending are handed out again, checked every few minutes (an
+  // instance restarted right after a crash finds its own deliveries not stale yet)
+  async releaseStale() {
+    if (Date.now() - this.lastStaleCheckAt < STALE_CHECK_INTERVAL_MS) {
+      return;
+    }
+    this.lastStaleCheckAt = Date.now();
+
+    try {
+      const released = await WebhookDelivery.releaseStale(STALE_DELIVERY_MINUTES);
+      if (released > 0) {
+        console.log(`♻️ Released ${released} stuck webhook deliver${released === 1 ? 'y' : 'ies'}`);
+      }
+    } catch (error) {
+      console.error('❌ Error releasing stuck webhook deliveries:', error.message);
+    }
+  }
+
+  async deliver(delivery) {
+    try {
+      if (!delivery.is_active) {
+        await WebhookDelivery.markFailed(delivery.id, { error: 'Webhook is disabled' });
+        return;
+      }
+
+      const result = await this.post(delivery);
+      if (result.ok) {
+        await WebhookDelivery.markDelivered(delivery.id, result);
+      } else {
+        await this.handleFailure(delivery, result);
+      }
+    } catch (error) {
+      console.error(`❌ Error updating webhook delivery ${delivery.id}:`, error.message);
+    }
+  }
+
+  // POST one delivery; resolves to { ok, responseStatus, responseBody, durationMs, error }
+  async post(delivery) {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const startedAt = Date.now();
+
+    try {
+      assertPublicIpAddress(delivery.url);
+
+      const response = await this.request(delivery.url, {
+        'Content-Type': 'application/json',
+        'User-Agent': 'DeadlineTracker-Webhooks/1.0',
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Delivery': String(delivery.id),
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': `sha256=${this.sign(delivery.secret, timestamp, body)}`
+      }, body);
+
+      return {
+        ok: response.status >= 200 && response.status < 300,
+        responseStatus: response.status,
+        responseBody: response.body,
+        durationMs: Date.now() - startedAt,
+        error: `Endpoint responded with HTTP ${response.status}`
+      };
+    } catch (error) {
+      return {
+        ok: false,
+        responseStatus: null,
+        responseBody: null,
+        durationMs: Date.now() - startedAt,
+        error: error.name === 'AbortError' ? `No response within ${REQUEST_TIMEOUT_MS / 1000}s` : error.message
+      };
+    }
+  }
+
+  // POST with node's http client rather than fetch so the connection goes through publicLookup, which
+  // checks the address actually connected to. Resolves to { status, body } with the body cut to
+  // MAX_RESPONSE_BODY_LENGTH characters; redirects are not followed.
+  request(url, headers, body) {
+    return new Promise((resolve, reject) => {
+      const client = new URL(url).protocol === 'https:' ? https : http;
+      const request = client.request(url, {
+        method: 'POST',
+        headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+        lookup: publicLookup,
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+      }, (response) => {
+        let responseBody = '';
+        const finish = () => resolve({ status: response.statusCode, body: responseBody.slice(0, MAX_RESPONSE_BODY_LENGTH) });
+
+        response.setEncoding('utf8');
+        response.on('data', (chunk) => {
+          responseBody += chunk;
+          if (responseBody.length >= MAX_RESPONSE_BODY_LENGTH) {
+            finish();
+            response.destroy();
+          }
+        });
+        response.on('end', finish);
+        response.on('error', finish);
+      });
+
+      request.on('error', reject);
+      request.end(body);
+    });
+  }
+
+  async handleFailure(delivery, result) {
+    if (delivery.attempts >= MAX_ATTEMPTS) {
+      await WebhookDelivery.markFailed(delivery.id, result);
+      console.error(`❌ Webhook delivery ${delivery.id} failed after ${delivery.attempts} attempts:`, result.error);
+      return;
+    }
+
+    const delaySeconds = Math.min(60 * 4 ** (delivery.attempts - 1), MAX_RETRY_DELAY_SECONDS);
+    await WebhookDelivery.markFailed(delivery.id, result, delaySeconds);
+    console.warn(`⚠️ Webhook delivery ${delivery.id} failed (attempt ${delivery.attempts}), retrying in ${delaySeconds}s:`, result.error);
+  }
+
+  async getStatus() {
+    return {
+      isRunning: Boolean(this.timer),
+      lastRunAt: this.lastRunAt,
+      deliveries: await WebhookDelivery.getStats()
+    };
+  }
+}
+
+module.exports = new WebhookService();
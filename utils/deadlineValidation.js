@@ -0,0 +1,177 @@
+// Validation rules for deadline fields, shared by the deadline endpoints and bulk import.
+
+const recurrenceService = require('../services/recurrenceService');
+const { validateReminderOffsets } = require('./reminderOffsets');
+const { DEFAULT_TIME_ZONE, parseLocalDateTime } = require('./timezone');
+
+const PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+const STATUSES = ['pending', 'in_progress', 'completed', 'overdue'];
+const SORT_FIELDS = ['id', 'title', 'due_date', 'status', 'priority', 'created_at'];
+
+const validateDateFormat = (dateString) => {
+  // Accept various datetime formats
+  const isoRegex = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d{3})?(Z|[+-]\d{2}:\d{2})?$/;
+  const standardRegex = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/;
+  const datetimeLocalRegex = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}$/; // From datetime-local input
+  const dateOnlyRegex = /^\d{4}-\d{2}-\d{2}$/;
+  
+  const matchesFormat = isoRegex.test(dateString) || standardRegex.test(dateString) || 
+         datetimeLocalRegex.test(dateString) || dateOnlyRegex.test(dateString);
+  return matchesFormat && !isNaN(new Date(dateString.replace(' ', 'T')).getTime());
+};
+
+const validatePriority = (priority) => {
+  return PRIORITIES.includes(priority);
+};
+
+const validateStatus = (status) => {
+  return STATUSES.includes(status);
+};
+
+const validateTitle = (title) => {
+  return title && title.trim().length >= 1 && title.length <= 255;
+};
+
+const validateDescription = (description) => {
+  return !description || description.length <= 1000;
+};
+
+// Normalize accepted due date formats to an ISO timestamp. Times without "Z" or an offset are the
+// user's wall-clock time in their timezone; date-only values mean the end of that day.
+const formatDueDate = (dueDate, timeZone = DEFAULT_TIME_ZONE) => {
+  const localDate = parseLocalDateTime(dueDate, timeZone);
+  return (localDate || new Date(dueDate)).toISOString();
+};
+
+// Check the fields of a new deadline. Returns { errors, recurrenceRule, reminderOffsets } where
+// recurrenceRule is the normalized rule (or null) and reminderOffsets are minutes (null: owner's defaults).
+// `timeZone` is the user's, for due dates without an offset.
+const validateNewDeadline = (data, { timeZone = DEFAULT_TIME_ZONE } = {}) => {
+  const {
+    title,
+    description,
+    due_date,
+    priority = 'medium',
+    status = 'pending',
+    category,
+    subject,
+    estimated_hours,
+    notes,
+    recurrence_rule,
+    reminder_offsets
+  } = data;
+
+  const errors = [];
+
+  if (!validateTitle(title)) {
+    errors.push('Title is required and must be between 1 and 255 characters');
+  }
+
+  if (!validateDescription(description)) {
+    errors.push('Description must be less than 1000 characters');
+  }
+
+  if (!due_date) {
+    errors.push('Due date is required');
+  } else if (!validateDateFormat(due_date)) {
+    errors.push('Due date must be in valid format (YYYY-MM-DD, YYYY-MM-DDTHH:mm:ss, or with Z or an offset such as +02:00)');
+  }
+  // Any date is allowed (past, present, or future)
+
+  if (!validatePriority(priority)) {
+    errors.push('Priority must be: low, medium, high, or urgent');
+  }
+
+  if (!validateStatus(status)) {
+    errors.push('Status must be: pending, in_progress, completed, or overdue');
+  }
+
+  if (category && (category.length > 50)) {
+    errors.push('Category must be less than 50 characters');
+  }
+
+  if (subject && (subject.length > 100)) {
+    errors.push('Subject must be less than 100 characters');
+  }
+
+  if (estimated_hours && (isNaN(parseInt(estimated_hours)) || parseInt(estimated_hours) < 0)) {
+    errors.push('Estimated hours must be a positive number');
+  }
+
+  if (notes && notes.length > 1000) {
+    errors.push('Notes must be less than 1000 characters');
+  }
+
+  // Validate recurrence rule (the series is anchored on the due date)
+  let recurrenceRule = null;
+  if (recurrence_rule !== undefined && recurrence_rule !== null && due_date && validateDateFormat(due_date)) {
+    const recurrence = recurrenceService.normalizeRule(recurrence_rule, formatDueDate(due_date, timeZone), timeZone);
+    recurrenceRule = recurrence.rule;
+    errors.push(...recurrence.errors);
+  }
+
+  let reminderOffsets = null;
+  if (reminder_offsets !== undefined) {
+    const reminders = validateReminderOffsets(reminder_offsets);
+    reminderOffsets = reminders.offsets;
+    errors.push(...reminders.errors);
+  }
+
+  return { errors, recurrenceRule, reminderOffsets };
+};
+
+// Validate list filters (status, priority, search, category, subject, sortBy, sortOrder)
+// from a query string. Returns { errors, filters } in the shape getUserAccessibleDeadlines expects.
+const parseListFilters = (query) => {
+  const {
+    status,
+    priority,
+    search,
+    sortBy = 'due_date',
+    sortOrder = 'ASC',
+    category,
+    subject
+  } = query;
+
+  const errors = [];
+
+  if (status && !validateStatus(status)) {
+    errors.push('Invalid status value');
+  }
+  
+  if (priority && !validatePriority(priority)) {
+    errors.push('Invalid priority value');
+  }
+
+  if (sortBy && !SORT_FIELDS.includes(sortBy)) {
+    errors.push('Invalid sort field');
+  }
+
+  if (sortOrder && !['ASC', 'DESC'].includes(sortOrder.toUpperCase())) {
+    errors.push('Sort order must be ASC or DESC');
+  }
+
+  const filters = {
+    sortBy,
+    sortOrder: sortOrder.toUpperCase()
+  };
+
+  if (status) filters.status = status;
+  if (priority) filters.priority = priority;
+  if (search) filters.search = search;
+  if (category) filters.category = category;
+  if (subject) filters.subject = subject;
+
+  return { errors, filters };
+};
+
+module.exports = {
+  validateDateFormat,
+  validatePriority,
+  validateStatus,
+  validateTitle,
+  validateDescription,
+  formatDueDate,
+  validateNewDeadline,
+  parseListFilters
+};
@@ -0,0 +1,60 @@
+// Digest schedule: how often the summary of a user's deadlines goes out, stored in
+// notification_preferences.digest as { frequency, weekday, hour }. A daily summary is sent every day
+// and a weekly planning digest on `weekday`, both at `hour` o'clock in the user's timezone.
+// Whether it arrives by email and/or in-app stays with daily_summary / in_app_daily_summary.
+
+const { WEEKDAYS } = require('./timezone');
+
+const DIGEST_FREQUENCIES = ['daily', 'weekly'];
+
+const DEFAULT_DIGEST_SCHEDULE = {
+  frequency: 'daily',
+  weekday: 'mon',
+  hour: 8
+};
+
+// Returns { errors, digest } with the schedule normalized; null restores the default
+const validateDigestSchedule = (value) => {
+  if (value === null) {
+    return { errors: [], digest: { ...DEFAULT_DIGEST_SCHEDULE } };
+  }
+
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    return { errors: ['digest must be an object or null'], digest: null };
+  }
+
+  const errors = [];
+  const digest = { ...DEFAULT_DIGEST_SCHEDULE };
+
+  if (value.frequency !== undefined) {
+    if (!DIGEST_FREQUENCIES.includes(value.frequency)) {
+      errors.push(`digest.frequency must be one of: ${DIGEST_FREQUENCIES.join(', ')}`);
+    } else {
+      digest.frequency = value.frequency;
+    }
+  }
+
+  if (value.weekday !== undefined) {
+    if (!WEEKDAYS.includes(value.weekday)) {
+      errors.push(`digest.weekday must be one of: ${WEEKDAYS.join(', ')}`);
+    } else {
+      digest.weekday = value.weekday;
+    }
+  }
+
+  if (value.hour !== undefined) {
+    if (!Number.isInteger(value.hour) || value.hour < 0 || value.hour > 23) {
+      errors.push('digest.hour must be a whole hour from 0 to 23');
+    } else {
+      digest.hour = value.hour;
+    }
+  }
+
+  return { errors, digest };
+};
+
+module.exports = {
+  DIGEST_FREQUENCIES,
+  DEFAULT_DIGEST_SCHEDULE,
+  validateDigestSchedule
+};
@@ -0,0 +1,54 @@
+// Deadlines a user muted or snoozed reminders for, stored in notification_preferences.muted_deadlines
+// as { "<deadline id>": null | "<ISO time the snooze ends>" }; null mutes until removed.
+
+// Returns { errors, mutedDeadlines } with the map normalized; null clears it
+const validateMutedDeadlines = (value) => {
+  if (value === null) {
+    return { errors: [], mutedDeadlines: {} };
+  }
+
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    return { errors: ['muted_deadlines must be an object keyed by deadline ID, or null'], mutedDeadlines: null };
+  }
+
+  const errors = [];
+  const mutedDeadlines = {};
+
+  for (const [deadlineId, until] of Object.entries(value)) {
+    if (!/^[1-9]\d*$/.test(deadlineId)) {
+      errors.push(`Invalid deadline ID in muted_deadlines: ${deadlineId}`);
+      continue;
+    }
+
+    if (until === null) {
+      mutedDeadlines[deadlineId] = null;
+    } else if (typeof until === 'string' && !isNaN(new Date(until).getTime())) {
+      mutedDeadlines[deadlineId] = new Date(until).toISOString();
+    } else {
+      errors.push(`muted_deadlines.${deadlineId} must be null (muted) or the date and time a snooze ends`);
+    }
+  }
+
+  return { errors, mutedDeadlines: removeExpiredSnoozes(mutedDeadlines) };
+};
+
+const removeExpiredSnoozes = (mutedDeadlines, now = new Date()) => {
+  const remaining = {};
+  for (const [deadlineId, until] of Object.entries(mutedDeadlines || {})) {
+    if (until === null || new Date(until) > now) {
+      remaining[deadlineId] = until;
+    }
+  }
+  return remaining;
+};
+
+// Copy of the map with one deadline muted (until = null) or snoozed until a Date
+const setDeadlineMute = (mutedDeadlines, deadlineId, until) => ({
+  ...removeExpiredSnoozes(mutedDeadlines),
+  [deadlineId]: until === null ? null : until.toISOString()
+});
+
+module.exports = {
+  validateMutedDeadlines,
+  setDeadlineMute
+};
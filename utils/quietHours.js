@@ -0,0 +1,184 @@
+// Quiet hours: times of the week, in the user's timezone, during which reminders and overdue alerts
+// are held and delivered together afterwards. Stored in notification_preferences.quiet_hours as
+//   { enabled, timezone, start, end, days: { mon: { start, end } | null, ... }, allow_urgent }
+// start/end ("HH:MM") apply to every day not listed in `days`; null in `days` means no quiet hours
+// start on that day. A window whose end is before its start runs past midnight into the next day.
+// Without a timezone of their own, quiet hours follow the timezone of the user's profile.
+
+const { WEEKDAYS, isValidTimeZone, resolveTimeZone, getZonedParts, getTimeZoneOffset } = require('./timezone');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const MINUTES_PER_DAY = 24 * 60;
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(part => parseInt(part));
+  return hours * 60 + minutes;
+};
+
+const validateWindow = (value, label, errors) => {
+  if (value === null) {
+    return null;
+  }
+
+  if (typeof value !== 'object' || Array.isArray(value) ||
+      !TIME_PATTERN.test(value.start) || !TIME_PATTERN.test(value.end)) {
+    errors.push(`${label} must be { "start": "HH:MM", "end": "HH:MM" } or null`);
+    return null;
+  }
+
+  if (value.start === value.end) {
+    errors.push(`${label} must not start and end at the same time`);
+    return null;
+  }
+
+  return { start: value.start, end: value.end };
+};
+
+// Returns { errors, quietHours } with the setting normalized; null turns quiet hours off
+const validateQuietHours = (value) => {
+  if (value === null) {
+    return { errors: [], quietHours: null };
+  }
+
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    return { errors: ['quiet_hours must be an object or null'], quietHours: null };
+  }
+
+  const errors = [];
+  const quietHours = {
+    enabled: true,
+    timezone: null,
+    start: null,
+    end: null,
+    days: {},
+    allow_urgent: false
+  };
+
+  if (value.enabled !== undefined) {
+    if (typeof value.enabled !== 'boolean') {
+      errors.push('quiet_hours.enabled must be a boolean');
+    } else {
+      quietHours.enabled = value.enabled;
+    }
+  }
+
+  if (value.timezone !== undefined && value.timezone !== null) {
+    if (!isValidTimeZone(value.timezone)) {
+      errors.push('quiet_hours.timezone must be an IANA timezone such as "Europe/Berlin"');
+    } else {
+      quietHours.timezone = value.timezone;
+    }
+  }
+
+  if (value.start !== undefined || value.end !== undefined) {
+    const window = validateWindow({ start: value.start, end: value.end }, 'quiet_hours start/end', errors);
+    if (window) {
+      quietHours.start = window.start;
+      quietHours.end = window.end;
+    }
+  }
+
+  if (value.days !== undefined) {
+    if (typeof value.days !== 'object' || value.days === null || Array.isArray(value.days)) {
+      errors.push(`quiet_hours.days must be an object keyed by weekday (${WEEKDAYS.join(', ')})`);
+    } else {
+      for (const [day, window] of Object.entries(value.days)) {
+        if (!WEEKDAYS.includes(day)) {
+          errors.push(`Invalid weekday in quiet_hours.days: ${day}`);
+          continue;
+        }
+        quietHours.days[day] = validateWindow(window, `quiet_hours.days.${day}`, errors);
+      }
+    }
+  }
+
+  if (value.allow_urgent !== undefined) {
+    if (typeof value.allow_urgent !== 'boolean') {
+      errors.push('quiet_hours.allow_urgent must be a boolean');
+    } else {
+      quietHours.allow_urgent = value.allow_urgent;
+    }
+  }
+
+  return { errors, quietHours };
+};
+
+// Weekday, minute of the day and UTC offset (in minutes) of an instant in a timezone
+const getLocalTime = (date, timeZone) => {
+  const parts = getZonedParts(date, timeZone);
+  return {
+    weekday: parts.weekday,
+    minutes: parts.hour * 60 + parts.minute,
+    offset: Math.round(getTimeZoneOffset(date, timeZone) / 60000)
+  };
+};
+
+const getWindow = (quietHours, weekday) => {
+  const days = quietHours.days || {};
+  const day = WEEKDAYS[weekday];
+  if (days[day] !== undefined) {
+    return days[day];
+  }
+  return quietHours.start && quietHours.end ? { start: quietHours.start, end: quietHours.end } : null;
+};
+
+// End of the quiet window `date` falls in, or null
+const getWindowEnd = (quietHours, date, timeZone) => {
+  const local = getLocalTime(date, timeZone);
+  let minutesLeft = null;
+
+  // A window that started yesterday evening
+  const yesterday = getWindow(quietHours, (local.weekday + 6) % 7);
+  if (yesterday) {
+    const start = toMinutes(yesterday.start);
+    const end = toMinutes(yesterday.end);
+    if (end < start && local.minutes < end) {
+      minutesLeft = end - local.minutes;
+    }
+  }
+
+  const today = getWindow(quietHours, local.weekday);
+  if (minutesLeft === null && today) {
+    const start = toMinutes(today.start);
+    const end = toMinutes(today.end);
+    if (start < end && local.minutes >= start && local.minutes < end) {
+      minutesLeft = end - local.minutes;
+    } else if (end < start && local.minutes >= start) {
+      minutesLeft = end + MINUTES_PER_DAY - local.minutes;
+    }
+  }
+
+  if (minutesLeft === null) {
+    return null;
+  }
+
+  const end = new Date((Math.floor(date.getTime() / 60000) + minutesLeft) * 60000);
+  // Wall-clock end time: correct for a daylight saving change during the window
+  const shift = getLocalTime(end, timeZone).offset - local.offset;
+  return new Date(end.getTime() - shift * 60000);
+};
+
+// When the quiet hours `now` falls in end (following back-to-back windows), or null outside quiet hours.
+// `userTimeZone` (the profile's) applies when the quiet hours do not name a timezone.
+const getQuietHoursEnd = (quietHours, userTimeZone, now = new Date()) => {
+  if (!quietHours || quietHours.enabled === false) {
+    return null;
+  }
+
+  const timeZone = resolveTimeZone(quietHours.timezone || userTimeZone);
+  let end = null;
+  for (let i = 0; i < WEEKDAYS.length; i++) {
+    const next = getWindowEnd(quietHours, end || now, timeZone);
+    if (!next) {
+      break;
+    }
+    end = next;
+  }
+
+  return end;
+};
+
+module.exports = {
+  validateQuietHours,
+  getQuietHoursEnd
+};
@@ -0,0 +1,100 @@
+// Reminder offsets: how long before a deadline is due a reminder goes out, in minutes.
+// A deadline may carry its own offsets; otherwise the owner's default from the notification
+// preferences applies, and without one the original four reminders (48h, 24h, 12h and 1h).
+
+const MAX_OFFSETS = 10;
+const MAX_OFFSET_MINUTES = 60 * 24 * 60; // 60 days
+
+// The original reminders keep their notifications_sent keys and the on/off switches in
+// notification_preferences.reminders / in_app_reminders
+const LEGACY_REMINDERS = [
+  { minutes: 48 * 60, type: '2_days' },
+  { minutes: 24 * 60, type: '1_day' },
+  { minutes: 12 * 60, type: '12_hours' },
+  { minutes: 60, type: '1_hour' }
+];
+const DEFAULT_REMINDER_OFFSETS = LEGACY_REMINDERS.map(reminder => reminder.minutes);
+
+const UNITS = [
+  { suffix: 'w', minutes: 7 * 24 * 60, name: 'week' },
+  { suffix: 'd', minutes: 24 * 60, name: 'day' },
+  { suffix: 'h', minutes: 60, name: 'hour' },
+  { suffix: 'm', minutes: 1, name: 'minute' }
+];
+
+// A number of minutes, or a duration such as "30m", "12h", "3d" or "1w"
+const parseReminderOffset = (value) => {
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? value : NaN;
+  }
+
+  const match = typeof value === 'string' && /^\s*(\d+)\s*([mhdw])\s*$/i.exec(value);
+  if (!match) {
+    return NaN;
+  }
+
+  const unit = UNITS.find(candidate => candidate.suffix === match[2].toLowerCase());
+  return parseInt(match[1]) * unit.minutes;
+};
+
+// Returns { errors, offsets } with offsets in minutes, de-duplicated and longest first.
+// null clears the setting (fall back to the defaults); [] means no reminders at all.
+const validateReminderOffsets = (value) => {
+  if (value === null) {
+    return { errors: [], offsets: null };
+  }
+
+  if (!Array.isArray(value)) {
+    return { errors: ['Reminder offsets must be an array (minutes, or durations such as "30m", "12h", "3d", "1w")'], offsets: null };
+  }
+
+  if (value.length > MAX_OFFSETS) {
+    return { errors: [`At most ${MAX_OFFSETS} reminder offsets are allowed`], offsets: null };
+  }
+
+  const errors = [];
+  const offsets = [];
+  for (const entry of value) {
+    const minutes = parseReminderOffset(entry);
+    if (isNaN(minutes) || minutes < 1 || minutes > MAX_OFFSET_MINUTES) {
+      errors.push(`Invalid reminder offset: ${JSON.stringify(entry)} (between 1 minute and 60 days)`);
+    } else {
+      offsets.push(minutes);
+    }
+  }
+
+  return { errors, offsets: [...new Set(offsets)].sort((a, b) => b - a) };
+};
+
+// Offsets in effect for a deadline, given its owner's notification preferences
+const resolveReminderOffsets = (deadline, preferences) => {
+  if (Array.isArray(deadline.reminder_offsets)) {
+    return deadline.reminder_offsets;
+  }
+  if (preferences && Array.isArray(preferences.reminder_offsets)) {
+    return preferences.reminder_offsets;
+  }
+  return DEFAULT_REMINDER_OFFSETS;
+};
+
+// Key recorded in deadlines.notifications_sent, which is also the key of the preference switch
+const getReminderType = (minutes) => {
+  const legacy = LEGACY_REMINDERS.find(reminder => reminder.minutes === minutes);
+  return legacy ? legacy.type : `reminder_${minutes}m`;
+};
+
+// "3 days", "12 hours", "90 minutes"
+const formatReminderOffset = (minutes) => {
+  const unit = UNITS.find(candidate => minutes % candidate.minutes === 0);
+  const count = minutes / unit.minutes;
+  return `${count} ${unit.name}${count > 1 ? 's' : ''}`;
+};
+
+module.exports = {
+  DEFAULT_REMINDER_OFFSETS,
+  parseReminderOffset,
+  validateReminderOffsets,
+  resolveReminderOffsets,
+  getReminderType,
+  formatReminderOffset
+};
@@ -0,0 +1,39 @@
+// Snooze requests: { "duration": "3h" } (minutes, or a duration such as "30m", "3h", "1d", "1w")
+// or { "until": "<ISO date and time>" }, at most 30 days ahead. An `until` without an offset is
+// wall-clock time in the user's timezone.
+
+const { parseReminderOffset } = require('./reminderOffsets');
+const { parseLocalDateTime } = require('./timezone');
+
+const MAX_SNOOZE_MINUTES = 30 * 24 * 60;
+
+// Returns { errors, until } with `until` the Date the snooze ends
+const parseSnooze = ({ duration, until } = {}, timeZone, now = new Date()) => {
+  if ((duration === undefined) === (until === undefined)) {
+    return { errors: ['Give either duration (e.g. "3h") or until (a date and time)'], until: null };
+  }
+
+  let end;
+  if (duration !== undefined) {
+    const minutes = parseReminderOffset(duration);
+    if (isNaN(minutes) || minutes < 1) {
+      return { errors: ['duration must be minutes or a duration such as "30m", "3h", "1d", "1w"'], until: null };
+    }
+    end = new Date(now.getTime() + minutes * 60000);
+  } else {
+    end = typeof until === 'string' ? parseLocalDateTime(until, timeZone) || new Date(until) : new Date(NaN);
+    if (isNaN(end.getTime()) || end <= now) {
+      return { errors: ['until must be a date and time in the future'], until: null };
+    }
+  }
+
+  if (end.getTime() - now.getTime() > MAX_SNOOZE_MINUTES * 60000) {
+    return { errors: ['A snooze can last at most 30 days'], until: null };
+  }
+
+  return { errors: [], until: end };
+};
+
+module.exports = {
+  parseSnooze
+};
@@ -0,0 +1,129 @@
+// Time zone helpers built on Intl. Users have an IANA time zone (users.timezone); due dates are
+// stored as TIMESTAMPTZ, entered as wall-clock times in the user's zone unless they carry an offset,
+// and shown in the recipient's zone.
+
+const DEFAULT_TIME_ZONE = 'UTC';
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const LOCAL_DATE_TIME_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d{1,3})?)?)?$/;
+
+const pad = (number) => String(number).padStart(2, '0');
+
+const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || timeZone.length === 0) {
+    return false;
+  }
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// The given zone, or UTC when it is missing or unknown
+const resolveTimeZone = (timeZone) => (isValidTimeZone(timeZone) ? timeZone : DEFAULT_TIME_ZONE);
+
+// Calendar fields of an instant as seen in a time zone
+const getZonedParts = (date, timeZone) => {
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone: resolveTimeZone(timeZone),
+    hourCycle: 'h23',
+    weekday: 'short',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  });
+
+  const parts = {};
+  for (const part of formatter.formatToParts(new Date(date))) {
+    parts[part.type] = part.value;
+  }
+
+  return {
+    year: parseInt(parts.year),
+    month: parseInt(parts.month),
+    day: parseInt(parts.day),
+    hour: parseInt(parts.hour),
+    minute: parseInt(parts.minute),
+    second: parseInt(parts.second),
+    weekday: WEEKDAYS.indexOf(parts.weekday.toLowerCase())
+  };
+};
+
+// Milliseconds the wall clock in `timeZone` is ahead of UTC at the given instant
+const getTimeZoneOffset = (date, timeZone) => {
+  const time = new Date(date).getTime();
+  const parts = getZonedParts(time, timeZone);
+  return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) -
+    Math.floor(time / 1000) * 1000;
+};
+
+// The instant at which the wall clock in `timeZone` shows the given time (month is 1-based)
+const zonedTimeToDate = (year, month, day, hour, minute, second, timeZone) => {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+  let time = wallClock - getTimeZoneOffset(wallClock, timeZone);
+  // Second pass settles times near a DST change
+  time = wallClock - getTimeZoneOffset(time, timeZone);
+  return new Date(time);
+};
+
+// "YYYY-MM-DD", "YYYY-MM-DD HH:mm[:ss]" or "YYYY-MM-DDTHH:mm[:ss]" as a wall-clock time in the zone.
+// Date-only values mean the end of that day. Returns null for other formats.
+const parseLocalDateTime = (value, timeZone) => {
+  const match = typeof value === 'string' && LOCAL_DATE_TIME_PATTERN.exec(value.trim());
+  if (!match) {
+    return null;
+  }
+
+  const [, year, month, day, hour, minute, second] = match;
+  if (hour === undefined) {
+    return zonedTimeToDate(parseInt(year), parseInt(month), parseInt(day), 23, 59, 59, resolveTimeZone(timeZone));
+  }
+
+  return zonedTimeToDate(parseInt(year), parseInt(month), parseInt(day),
+    parseInt(hour), parseInt(minute), parseInt(second || '0'), resolveTimeZone(timeZone));
+};
+
+// Wall-clock "YYYY-MM-DD HH:mm:ss" of an instant in the zone
+const formatLocalTimestamp = (date, timeZone) => {
+  const parts = getZonedParts(date, timeZone);
+  return `${parts.year}-${pad(parts.month)}-${pad(parts.day)} ${pad(parts.hour)}:${pad(parts.minute)}:${pad(parts.second)}`;
+};
+
+// For people: "Tue, Oct 20, 2026, 5:00 PM GMT+2"
+const formatDateTime = (date, timeZone) => new Date(date).toLocaleString('en-US', {
+  timeZone: resolveTimeZone(timeZone),
+  weekday: 'short',
+  year: 'numeric',
+  month: 'short',
+  day: 'numeric',
+  hour: 'numeric',
+  minute: '2-digit',
+  timeZoneName: 'short'
+});
+
+// For people: "Oct 20, 2026"
+const formatDate = (date, timeZone) => new Date(date).toLocaleDateString('en-US', {
+  timeZone: resolveTimeZone(timeZone),
+  year: 'numeric',
+  month: 'short',
+  day: 'numeric'
+});
+
+module.exports = {
+  DEFAULT_TIME_ZONE,
+  WEEKDAYS,
+  isValidTimeZone,
+  resolveTimeZone,
+  getZonedParts,
+  getTimeZoneOffset,
+  zonedTimeToDate,
+  parseLocalDateTime,
+  formatLocalTimestamp,
+  formatDateTime,
+  formatDate
+};
@@ -0,0 +1,133 @@
+// Webhook URLs are chosen by users but requested by the server, so they must not reach the server's own
+// network: loopback, private, link-local (cloud metadata) and other reserved addresses are refused, both
+// when a webhook is saved and for every delivery. Deliveries check the address the connection is actually
+// made to (publicLookup), so a name that resolves differently between a check and the request (DNS
+// rebinding) cannot get through. IPv6 addresses that embed an IPv4 address (mapped, NAT64, 6to4) are
+// judged by that address. Set WEBHOOK_ALLOW_PRIVATE_URLS=true to allow them, e.g. for local development.
+
+const dns = require('dns');
+const net = require('net');
+
+const MAX_URL_LENGTH = 2048;
+
+const blockedAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => blockedAddresses.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b:1::', 48], ['2001::', 32], ['fc00::', 7], ['fe80::', 10], ['fec0::', 10],
+  ['ff00::', 8]
+].forEach(([network, prefix]) => blockedAddresses.addSubnet(network, prefix, 'ipv6'));
+
+const allowPrivateUrls = () => process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true';
+
+// The eight 16-bit groups of an IPv6 address (a dotted IPv4 tail counts as the last two)
+const ipv6Groups = (address) => {
+  const dotted = /(\d+)\.(\d+)\.(\d+)\.(\d+)$/.exec(address);
+  const value = dotted
+    ? `${address.slice(0, dotted.index)}${((dotted[1] << 8) | dotted[2]).toString(16)}:${((dotted[3] << 8) | dotted[4]).toString(16)}`
+    : address;
+
+  const [head, tail] = value.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail ? tail.split(':') : [];
+  const zeros = tail === undefined ? [] : Array(8 - headGroups.length - tailGroups.length).fill('0');
+  return [...headGroups, ...zeros, ...tailGroups].map(group => parseInt(group, 16));
+};
+
+// The IPv4 address an IPv6 address stands for, if it embeds one: IPv4-mapped (::ffff:a.b.c.d),
+// IPv4-compatible (::a.b.c.d), NAT64 (64:ff9b::a.b.c.d) and 6to4 (2002:aabb:ccdd::)
+const embeddedIpv4 = (address) => {
+  const groups = ipv6Groups(address);
+  const zeroUpTo = (end) => groups.slice(0, end).every(group => group === 0);
+  const toIpv4 = (high, low) => [high >> 8, high & 255, low >> 8, low & 255].join('.');
+
+  if (groups[0] === 0x2002) {
+    return toIpv4(groups[1], groups[2]);
+  }
+  if (zeroUpTo(6) || (zeroUpTo(5) && groups[5] === 0xffff) ||
+      (groups[0] === 0x64 && groups[1] === 0xff9b && groups.slice(2, 6).every(group => group === 0))) {
+    return toIpv4(groups[6], groups[7]);
+  }
+  return null;
+};
+
+const isPrivateAddress = (address) => {
+  const type = net.isIP(address);
+  if (type === 4) {
+    return blockedAddresses.check(address, 'ipv4');
+  }
+  if (type !== 6) {
+    return false;
+  }
+
+  const withoutZone = address.replace(/%.*$/, '');
+  const ipv4 = embeddedIpv4(withoutZone);
+  return blockedAddresses.check(withoutZone, 'ipv6') || (ipv4 !== null && blockedAddresses.check(ipv4, 'ipv4'));
+};
+
+// URL hostnames keep IPv6 literals in brackets
+const stripBrackets = (hostname) => hostname.replace(/^\[(.*)\]$/, '$1');
+
+// Returns an array of error messages (empty when the URL can be used)
+const validateWebhookUrl = (value) => {
+  if (typeof value !== 'string' || value.length === 0 || value.length > MAX_URL_LENGTH) {
+    return [`url is required and must be at most ${MAX_URL_LENGTH} characters`];
+  }
+
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return ['url must be a valid URL'];
+  }
+
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+    return ['url must start with https:// or http://'];
+  }
+  if (url.username || url.password) {
+    return ['url must not contain a username or password'];
+  }
+
+  const hostname = stripBrackets(url.hostname);
+  if (!allowPrivateUrls() && (hostname === 'localhost' || hostname.endsWith('.localhost') || isPrivateAddress(hostname))) {
+    return ['url must point to a public address'];
+  }
+
+  return [];
+};
+
+// `lookup` for http(s).request: resolves like dns.lookup but fails when any address of the name is not
+// public, so the address that is checked is the one connected to
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+
+    const blocked = !allowPrivateUrls() && addresses.find(({ address }) => isPrivateAddress(address));
+    if (blocked) {
+      return callback(new Error(`${hostname} resolves to an address that is not public (${blocked.address})`));
+    }
+
+    if (options.all) {
+      return callback(null, addresses);
+    }
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+// IP addresses in a URL are connected to without a lookup, so they are checked here instead
+const assertPublicIpAddress = (value) => {
+  const hostname = stripBrackets(new URL(value).hostname);
+  if (!allowPrivateUrls() && net.isIP(hostname) && isPrivateAddress(hostname)) {
+    throw new Error(`${hostname} is not a public address`);
+  }
+};
+
+module.exports = {
+  validateWebhookUrl,
+  publicLookup,
+  assertPublicIpAddress
+};